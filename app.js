@@ -10,651 +10,9806 @@
 // Storage Keys & Constants
 // ============================================
 const STORAGE_KEY = 'fitcrm_clients';
+const IDB_NAME = 'fitcrm';
+const IDB_VERSION = 2;
+const AUDIT_LOG_KEY = 'fitcrm_audit_log';
+
+// Options offered by the client form selects
+const GENDER_OPTIONS = ['Female', 'Male', 'Prefer not to say'];
+const GOAL_OPTIONS = ['Weight Loss', 'Muscle Gain', 'General Fitness', 'Other'];
+
+// Currency used for prices (ISO 4217 code)
+const CURRENCY = 'EGP';
+
+/**
+ * Current version of the stored client schema.
+ * Bump this and append a step to SCHEMA_MIGRATIONS whenever
+ * the shape of a client record changes.
+ */
+const SCHEMA_VERSION = 9;
 
 // ============================================
-// Client Data Management
+// Schema Migrations
 // ============================================
 
 /**
- * Get all clients from localStorage
- * @returns {Array} Array of client objects
+ * Ordered migration steps. Each step upgrades a single client
+ * record from (version - 1) to version.
  */
-function getClients() {
-    const data = localStorage.getItem(STORAGE_KEY);
-    return data ? JSON.parse(data) : [];
-}
+const SCHEMA_MIGRATIONS = [
+    {
+        // v0 was a bare array and records could be missing exerciseHistory
+        version: 1,
+        migrate(client) {
+            const history = Array.isArray(client.exerciseHistory) ? client.exerciseHistory : [];
+            return {
+                ...client,
+                exerciseHistory: history.map(entry => ({
+                    ...entry,
+                    id: entry.id || generateId(),
+                    tags: Array.isArray(entry.tags) ? entry.tags : []
+                }))
+            };
+        }
+    },
+    {
+        // v2 adds body measurements and the initial assessment
+        version: 2,
+        migrate(client) {
+            return {
+                ...client,
+                measurements: Array.isArray(client.measurements) ? client.measurements : [],
+                assessment: client.assessment || null
+            };
+        }
+    },
+    {
+        // v3 adds the assigned training program
+        version: 3,
+        migrate(client) {
+            return { ...client, program: client.program || null };
+        }
+    },
+    {
+        // v4 adds scheduled sessions
+        version: 4,
+        migrate(client) {
+            return { ...client, sessions: Array.isArray(client.sessions) ? client.sessions : [] };
+        }
+    },
+    {
+        // v5 adds the membership plan
+        version: 5,
+        migrate(client) {
+            return { ...client, membership: client.membership || null };
+        }
+    },
+    {
+        // v6 adds the payments ledger
+        version: 6,
+        migrate(client) {
+            return { ...client, ledger: Array.isArray(client.ledger) ? client.ledger : [] };
+        }
+    },
+    {
+        // v7 adds session packs and their credit log
+        version: 7,
+        migrate(client) {
+            return {
+                ...client,
+                packs: Array.isArray(client.packs) ? client.packs : [],
+                creditLog: Array.isArray(client.creditLog) ? client.creditLog : []
+            };
+        }
+    },
+    {
+        // v8 adds the assigned trainer
+        version: 8,
+        migrate(client) {
+            return { ...client, trainerId: client.trainerId || null };
+        }
+    },
+    {
+        // v9 adds values for the custom fields defined in Settings
+        version: 9,
+        migrate(client) {
+            return { ...client, customFields: client.customFields || {} };
+        }
+    }
+];
 
 /**
- * Save clients array to localStorage
- * @param {Array} clients - Array of client objects
+ * Normalize a raw storage payload into { version, clients }
+ * Legacy payloads (a bare array) are treated as version 0.
+ * @param {*} payload - Parsed JSON from localStorage
+ * @returns {Object} { version: number, clients: Array }
  */
-function saveClients(clients) {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(clients));
+function parseStoragePayload(payload) {
+    if (Array.isArray(payload)) {
+        return { version: 0, clients: payload };
+    }
+    return {
+        version: payload?.version || 0,
+        clients: Array.isArray(payload?.clients) ? payload.clients : []
+    };
 }
 
 /**
- * Generate a unique ID for new clients
- * @returns {string} Unique identifier
+ * Run every migration newer than fromVersion over the clients
+ * @param {Array} clients - Client records
+ * @param {number} fromVersion - Schema version the records were saved with
+ * @returns {Array} Upgraded client records
  */
-function generateId() {
-    return 'client_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+function migrateClients(clients, fromVersion) {
+    return SCHEMA_MIGRATIONS
+        .filter(step => step.version > fromVersion)
+        .reduce((records, step) => records.map(client => step.migrate(client)), clients);
 }
 
+// ============================================
+// localStorage Payload
+// ============================================
+
 /**
- * Add a new client to storage
- * @param {Object} clientData - Client information
- * @returns {Object} The saved client with ID
+ * Read clients from the versioned localStorage payload
+ * Older payloads are upgraded in place on first read.
+ * @returns {Array} Array of client objects
  */
-function addClient(clientData) {
-    const clients = getClients();
-    const newClient = {
-        id: generateId(),
-        ...clientData,
-        createdAt: new Date().toISOString(),
-        exerciseHistory: []
-    };
-    clients.push(newClient);
-    saveClients(clients);
-    return newClient;
+function readLocalClients() {
+    const data = localStorage.getItem(STORAGE_KEY);
+    if (!data) return [];
+    
+    const { version, clients } = parseStoragePayload(JSON.parse(data));
+    if (version < SCHEMA_VERSION) {
+        const migrated = migrateClients(clients, version);
+        writeLocalClients(migrated);
+        return migrated;
+    }
+    return clients;
 }
 
 /**
- * Update an existing client
- * @param {string} id - Client ID
- * @param {Object} updatedData - Updated client information
- * @returns {Object|null} Updated client or null if not found
+ * Write clients to localStorage as a versioned payload
+ * @param {Array} clients - Array of client objects
  */
-function updateClient(id, updatedData) {
-    const clients = getClients();
-    const index = clients.findIndex(c => c.id === id);
-    if (index === -1) return null;
-    
-    clients[index] = {
-        ...clients[index],
-        ...updatedData,
-        updatedAt: new Date().toISOString()
-    };
-    saveClients(clients);
-    return clients[index];
+function writeLocalClients(clients) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        version: SCHEMA_VERSION,
+        clients
+    }));
 }
 
+// ============================================
+// Storage Adapters
+// ============================================
+
 /**
- * Delete a client by ID
- * @param {string} id - Client ID
- * @returns {boolean} True if deleted, false if not found
+ * Repository interface implemented by every storage adapter.
+ * All methods are async. Clients are always returned with their
+ * exerciseHistory attached, whatever the adapter stores internally.
+ *
+ * @typedef {Object} ClientRepository
+ * @property {string} name - Adapter name
+ * @property {function(): Promise<Array>} getAll - All clients
+ * @property {function(string): Promise<Object|null>} get - One client by ID
+ * @property {function(Object): Promise<void>} put - Insert or replace a client.
+ *   When exerciseHistory is omitted the stored history is left untouched.
+ * @property {function(string, Object): Promise<void>} putEntry - Insert or replace one history entry
+ * @property {function(string, string): Promise<boolean>} removeEntry - Delete one history entry
+ * @property {function(string): Promise<boolean>} remove - Delete a client and its history
+ * @property {function(Array): Promise<void>} replaceAll - Replace the whole data set
+ * @property {function(): Promise<boolean>} isInitialized - True once the store has been written to
+ * @property {function(Object): Promise<void>} addAudit - Append an audit record
+ * @property {function(string=): Promise<Array>} getAudit - Audit records, newest first,
+ *   for one client or for everyone
+ * @property {function(function(Object): boolean): Promise<void>} pruneAudit - Drop the
+ *   before/after snapshots of every record the predicate matches
  */
-function deleteClient(id) {
-    const clients = getClients();
-    const filtered = clients.filter(c => c.id !== id);
-    if (filtered.length === clients.length) return false;
-    saveClients(filtered);
-    return true;
+
+/**
+ * Create the localStorage adapter (whole array in one key)
+ * @returns {ClientRepository} Repository backed by localStorage
+ */
+function createLocalStorageAdapter() {
+    return {
+        name: 'localStorage',
+        
+        async getAll() {
+            return readLocalClients();
+        },
+        
+        async get(id) {
+            return readLocalClients().find(c => c.id === id) || null;
+        },
+        
+        async put(client) {
+            const clients = readLocalClients();
+            const index = clients.findIndex(c => c.id === client.id);
+            if (index === -1) {
+                clients.push({ exerciseHistory: [], ...client });
+            } else {
+                clients[index] = {
+                    ...client,
+                    exerciseHistory: client.exerciseHistory || clients[index].exerciseHistory || []
+                };
+            }
+            writeLocalClients(clients);
+        },
+        
+        async putEntry(clientId, entry) {
+            const clients = readLocalClients();
+            const client = clients.find(c => c.id === clientId);
+            if (!client) return;
+            const history = client.exerciseHistory || [];
+            const index = history.findIndex(e => e.id === entry.id);
+            if (index === -1) {
+                history.push(entry);
+            } else {
+                history[index] = entry;
+            }
+            client.exerciseHistory = history;
+            writeLocalClients(clients);
+        },
+        
+        async removeEntry(clientId, entryId) {
+            const clients = readLocalClients();
+            const client = clients.find(c => c.id === clientId);
+            const history = client?.exerciseHistory || [];
+            const filtered = history.filter(e => e.id !== entryId);
+            if (filtered.length === history.length) return false;
+            client.exerciseHistory = filtered;
+            writeLocalClients(clients);
+            return true;
+        },
+        
+        async remove(id) {
+            const clients = readLocalClients();
+            const filtered = clients.filter(c => c.id !== id);
+            if (filtered.length === clients.length) return false;
+            writeLocalClients(filtered);
+            return true;
+        },
+        
+        async replaceAll(clients) {
+            writeLocalClients(clients);
+        },
+        
+        async isInitialized() {
+            return localStorage.getItem(STORAGE_KEY) !== null;
+        },
+        
+        async addAudit(record) {
+            writeLocalAudit([...readLocalAudit(), record]);
+        },
+        
+        async getAudit(clientId) {
+            return readLocalAudit()
+                .filter(record => !clientId || record.clientId === clientId)
+                .reverse();
+        },
+        
+        async pruneAudit(shouldPrune) {
+            writeLocalAudit(readLocalAudit().map(record => shouldPrune(record) ? pruneAuditRecord(record) : record));
+        }
+    };
 }
 
 /**
- * Get a single client by ID
- * @param {string} id - Client ID
- * @returns {Object|null} Client object or null
+ * Read the audit log kept by the localStorage adapter (oldest first)
+ * @returns {Array} Audit records
  */
-function getClientById(id) {
-    const clients = getClients();
-    return clients.find(c => c.id === id) || null;
+function readLocalAudit() {
+    try {
+        return JSON.parse(localStorage.getItem(AUDIT_LOG_KEY)) || [];
+    } catch (error) {
+        console.error('Error reading audit log:', error);
+        return [];
+    }
 }
 
 /**
- * Search clients by name
- * @param {string} query - Search query
- * @returns {Array} Filtered clients
+ * Write the localStorage audit log
+ * localStorage is small, so only the newest AUDIT_LOCAL_SNAPSHOTS records
+ * keep their snapshots and the log is capped at AUDIT_LOCAL_MAX_RECORDS.
+ * @param {Array} records - Audit records, oldest first
  */
-function searchClients(query) {
-    const clients = getClients();
-    if (!query.trim()) return clients;
-    const lowerQuery = query.toLowerCase();
-    return clients.filter(c => c.fullName.toLowerCase().includes(lowerQuery));
+function writeLocalAudit(records) {
+    const kept = records.slice(-AUDIT_LOCAL_MAX_RECORDS);
+    const snapshotsFrom = kept.length - AUDIT_LOCAL_SNAPSHOTS;
+    try {
+        localStorage.setItem(AUDIT_LOG_KEY, JSON.stringify(
+            kept.map((record, index) => index < snapshotsFrom ? pruneAuditRecord(record) : record)
+        ));
+    } catch (error) {
+        console.error('Error saving audit log:', error);
+    }
 }
 
 /**
- * Add an exercise entry to client's history
- * @param {string} clientId - Client ID
- * @param {Object} exerciseData - Exercise entry data
- * @returns {Object|null} Updated client or null
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
  */
-function addExerciseEntry(clientId, exerciseData) {
-    const client = getClientById(clientId);
-    if (!client) return null;
-    
-    const exerciseHistory = client.exerciseHistory || [];
-    exerciseHistory.push({
-        id: generateId(),
-        ...exerciseData
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
     });
-    
-    return updateClient(clientId, { exerciseHistory });
 }
 
-// ============================================
-// Form Validation
-// ============================================
-
 /**
- * Validate email format
- * @param {string} email - Email address
- * @returns {boolean} True if valid
+ * Resolve when an IndexedDB transaction commits
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise<void>}
  */
-function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
 }
 
 /**
- * Validate phone number (basic validation)
- * @param {string} phone - Phone number
- * @returns {boolean} True if valid
+ * Open (and create/upgrade) the FitCRM IndexedDB database
+ * Clients and exercise entries live in separate stores so that
+ * logging a session only writes one small record.
+ * @returns {Promise<IDBDatabase>} Open database
  */
-function isValidPhone(phone) {
-    // Allow digits, spaces, dashes, parentheses, plus sign
-    const phoneRegex = /^[\d\s\-\(\)\+]{7,20}$/;
-    return phoneRegex.test(phone);
+function openClientDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+        
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('clients')) {
+                const clients = db.createObjectStore('clients', { keyPath: 'id' });
+                clients.createIndex('email', 'email');
+                clients.createIndex('fullName', 'fullName');
+            }
+            if (!db.objectStoreNames.contains('exercises')) {
+                const exercises = db.createObjectStore('exercises', { keyPath: 'id' });
+                exercises.createIndex('clientId', 'clientId');
+                exercises.createIndex('date', 'date');
+            }
+            if (!db.objectStoreNames.contains('meta')) {
+                db.createObjectStore('meta', { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains('audit')) {
+                const audit = db.createObjectStore('audit', { keyPath: 'id' });
+                audit.createIndex('clientId', 'clientId');
+            }
+        };
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+    });
 }
 
 /**
- * Validate the client form
- * @param {HTMLFormElement} form - The form element
- * @returns {Object} { isValid: boolean, errors: Object }
+ * Create the IndexedDB adapter
+ * Runs pending schema migrations before the adapter is handed out.
+ * @returns {Promise<ClientRepository>} Repository backed by IndexedDB
  */
-function validateClientForm(form) {
-    const errors = {};
-    const formData = new FormData(form);
-    
-    // Full Name - required
-    const fullName = formData.get('fullName')?.trim();
-    if (!fullName) {
-        errors.fullName = 'Full name is required';
-    } else if (fullName.length < 2) {
-        errors.fullName = 'Name must be at least 2 characters';
-    }
-    
-    // Age - required, must be 1-120
-    const age = parseInt(formData.get('age'));
-    if (!age || isNaN(age)) {
-        errors.age = 'Age is required';
-    } else if (age < 1 || age > 120) {
-        errors.age = 'Age must be between 1 and 120';
-    }
+async function createIndexedDBAdapter() {
+    const db = await openClientDatabase();
     
-    // Gender - required
-    const gender = formData.get('gender');
-    if (!gender) {
-        errors.gender = 'Please select a gender';
+    /**
+     * Attach history entries (stored with a clientId) back onto a client
+     */
+    function withHistory(client, entries) {
+        return {
+            ...client,
+            exerciseHistory: entries.map(({ clientId, ...entry }) => entry)
+        };
     }
     
-    // Email - required, valid format
-    const email = formData.get('email')?.trim();
-    if (!email) {
-        errors.email = 'Email is required';
-    } else if (!isValidEmail(email)) {
-        errors.email = 'Please enter a valid email address';
+    /**
+     * Queue the writes for one client inside an open transaction
+     */
+    function writeClient(tx, client) {
+        const { exerciseHistory, ...profile } = client;
+        tx.objectStore('clients').put(profile);
+        if (!Array.isArray(exerciseHistory)) return;
+        
+        const exercises = tx.objectStore('exercises');
+        const keep = new Set(exerciseHistory.map(entry => entry.id));
+        exercises.index('clientId').getAllKeys(client.id).onsuccess = (e) => {
+            e.target.result
+                .filter(key => !keep.has(key))
+                .forEach(key => exercises.delete(key));
+        };
+        exerciseHistory.forEach(entry => exercises.put({ ...entry, clientId: client.id }));
     }
     
-    // Phone - required, valid format
-    const phone = formData.get('phone')?.trim();
-    if (!phone) {
-        errors.phone = 'Phone number is required';
-    } else if (!isValidPhone(phone)) {
-        errors.phone = 'Please enter a valid phone number';
+    /**
+     * Stamp the store as written with the current schema version
+     */
+    function markInitialized(tx) {
+        tx.objectStore('meta').put({ key: 'schemaVersion', value: SCHEMA_VERSION });
     }
     
-    // Fitness Goal - required
-    const goal = formData.get('goal');
-    if (!goal) {
-        errors.goal = 'Please select a fitness goal';
-    }
+    const adapter = {
+        name: 'indexedDB',
+        
+        async getAll() {
+            const tx = db.transaction(['clients', 'exercises'], 'readonly');
+            const [clients, entries] = await Promise.all([
+                promisifyRequest(tx.objectStore('clients').getAll()),
+                promisifyRequest(tx.objectStore('exercises').getAll())
+            ]);
+            const byClient = {};
+            entries.forEach(entry => {
+                (byClient[entry.clientId] = byClient[entry.clientId] || []).push(entry);
+            });
+            return clients.map(client => withHistory(client, byClient[client.id] || []));
+        },
+        
+        async get(id) {
+            const tx = db.transaction(['clients', 'exercises'], 'readonly');
+            const [client, entries] = await Promise.all([
+                promisifyRequest(tx.objectStore('clients').get(id)),
+                promisifyRequest(tx.objectStore('exercises').index('clientId').getAll(id))
+            ]);
+            return client ? withHistory(client, entries) : null;
+        },
+        
+        async put(client) {
+            const tx = db.transaction(['clients', 'exercises', 'meta'], 'readwrite');
+            writeClient(tx, client);
+            markInitialized(tx);
+            await transactionDone(tx);
+        },
+        
+        async putEntry(clientId, entry) {
+            const tx = db.transaction(['exercises', 'meta'], 'readwrite');
+            tx.objectStore('exercises').put({ ...entry, clientId });
+            markInitialized(tx);
+            await transactionDone(tx);
+        },
+        
+        async removeEntry(clientId, entryId) {
+            const tx = db.transaction('exercises', 'readwrite');
+            const exercises = tx.objectStore('exercises');
+            let removed = false;
+            exercises.get(entryId).onsuccess = (e) => {
+                if (e.target.result?.clientId !== clientId) return;
+                exercises.delete(entryId);
+                removed = true;
+            };
+            await transactionDone(tx);
+            return removed;
+        },
+        
+        async remove(id) {
+            const existing = await promisifyRequest(
+                db.transaction('clients', 'readonly').objectStore('clients').getKey(id)
+            );
+            if (existing === undefined) return false;
+            
+            const tx = db.transaction(['clients', 'exercises'], 'readwrite');
+            const exercises = tx.objectStore('exercises');
+            tx.objectStore('clients').delete(id);
+            exercises.index('clientId').getAllKeys(id).onsuccess = (e) => {
+                e.target.result.forEach(key => exercises.delete(key));
+            };
+            await transactionDone(tx);
+            return true;
+        },
+        
+        async replaceAll(clients) {
+            const tx = db.transaction(['clients', 'exercises', 'meta'], 'readwrite');
+            tx.objectStore('clients').clear();
+            tx.objectStore('exercises').clear();
+            clients.forEach(client => writeClient(tx, client));
+            markInitialized(tx);
+            await transactionDone(tx);
+        },
+        
+        async isInitialized() {
+            const tx = db.transaction('meta', 'readonly');
+            const record = await promisifyRequest(tx.objectStore('meta').get('schemaVersion'));
+            return Boolean(record);
+        },
+        
+        async addAudit(record) {
+            const tx = db.transaction('audit', 'readwrite');
+            tx.objectStore('audit').put(record);
+            await transactionDone(tx);
+        },
+        
+        async getAudit(clientId) {
+            const store = db.transaction('audit', 'readonly').objectStore('audit');
+            const records = await promisifyRequest(
+                clientId ? store.index('clientId').getAll(clientId) : store.getAll()
+            );
+            return records.sort((a, b) => b.at.localeCompare(a.at));
+        },
+        
+        async pruneAudit(shouldPrune) {
+            const tx = db.transaction('audit', 'readwrite');
+            tx.objectStore('audit').openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                if (shouldPrune(cursor.value)) cursor.update(pruneAuditRecord(cursor.value));
+                cursor.continue();
+            };
+            await transactionDone(tx);
+        }
+    };
     
-    // Start Date - required
-    const startDate = formData.get('startDate');
-    if (!startDate) {
-        errors.startDate = 'Membership start date is required';
+    // Upgrade records written by an older schema
+    const versionRecord = await promisifyRequest(
+        db.transaction('meta', 'readonly').objectStore('meta').get('schemaVersion')
+    );
+    if (versionRecord && versionRecord.value < SCHEMA_VERSION) {
+        await adapter.replaceAll(migrateClients(await adapter.getAll(), versionRecord.value));
     }
     
-    return {
-        isValid: Object.keys(errors).length === 0,
-        errors
-    };
+    return adapter;
 }
 
 /**
- * Display validation errors on form
- * @param {HTMLFormElement} form - The form element
- * @param {Object} errors - Error messages by field name
+ * One-time move of the legacy localStorage payload into another adapter.
+ * The localStorage key is only removed after the target has committed.
+ * @param {ClientRepository} repository - Target repository
  */
-function displayFormErrors(form, errors) {
-    // Clear existing errors
-    form.querySelectorAll('.error-message').forEach(el => el.remove());
-    form.querySelectorAll('.input-error').forEach(el => el.classList.remove('input-error'));
+async function moveLocalStorageData(repository) {
+    if (localStorage.getItem(STORAGE_KEY) === null) return;
+    if (await repository.isInitialized()) return;
     
-    // Display new errors
-    Object.entries(errors).forEach(([fieldName, message]) => {
-        const field = form.querySelector(`[name="${fieldName}"]`);
-        if (field) {
-            field.classList.add('input-error');
-            const errorEl = document.createElement('span');
-            errorEl.className = 'error-message';
-            errorEl.textContent = message;
-            field.parentNode.appendChild(errorEl);
-        }
-    });
+    await repository.replaceAll(readLocalClients());
+    localStorage.removeItem(STORAGE_KEY);
+    console.log(`FitCRM: moved client data from localStorage to ${repository.name}`);
 }
 
+// ============================================
+// Repository Selection
+// ============================================
+
+let repositoryPromise = null;
+
 /**
- * Clear all form errors
- * @param {HTMLFormElement} form - The form element
+ * Open the preferred storage backend
+ * IndexedDB when available, otherwise localStorage.
+ * @returns {Promise<ClientRepository>} Ready-to-use repository
  */
-function clearFormErrors(form) {
-    form.querySelectorAll('.error-message').forEach(el => el.remove());
-    form.querySelectorAll('.input-error').forEach(el => el.classList.remove('input-error'));
+async function openDefaultRepository() {
+    if (!window.indexedDB) {
+        return createLocalStorageAdapter();
+    }
+    try {
+        const repository = await createIndexedDBAdapter();
+        await moveLocalStorageData(repository);
+        return repository;
+    } catch (error) {
+        console.error('IndexedDB unavailable, falling back to localStorage:', error);
+        return createLocalStorageAdapter();
+    }
 }
 
 /**
- * Get form data as an object
- * @param {HTMLFormElement} form - The form element
- * @returns {Object} Form data object
+ * Get the active repository, opening it on first use
+ * With sync on, the local repository is wrapped by createSyncAdapter.
+ * @returns {Promise<ClientRepository>} Active repository
  */
-function getFormData(form) {
-    const formData = new FormData(form);
-    return {
-        fullName: formData.get('fullName')?.trim(),
-        age: parseInt(formData.get('age')),
-        gender: formData.get('gender'),
-        email: formData.get('email')?.trim(),
-        phone: formData.get('phone')?.trim(),
-        goal: formData.get('goal'),
-        goalText: formData.get('goalText')?.trim() || '',
-        startDate: formData.get('startDate')
-    };
+function getRepository() {
+    if (!repositoryPromise) {
+        repositoryPromise = openDefaultRepository().then(async local => {
+            // A synced device gets its clients from the server, not the samples
+            const syncing = Boolean(getSyncSettings());
+            if (!syncing) await initializeSampleData(local);
+            
+            const repository = syncing ? createSyncAdapter(local) : local;
+            await purgeExpiredTrash(repository);
+            if (syncing) await startBackgroundSync(local);
+            return repository;
+        });
+    }
+    return repositoryPromise;
+}
+
+/**
+ * Swap in a different storage adapter (e.g. for a custom backend)
+ * The adapter is used as is; server sync only wraps the default one.
+ * @param {ClientRepository} repository - Adapter implementing ClientRepository
+ */
+function setRepository(repository) {
+    repositoryPromise = Promise.resolve(repository);
 }
 
 // ============================================
-// UI Helpers
+// Server Sync
 // ============================================
 
+// Sync settings ({ endpoint }); sync is off while this key is missing
+const SYNC_SETTINGS_KEY = 'fitcrm_sync_settings';
+// This device's queue, conflicts and last-seen server versions
+const SYNC_STATE_KEY = 'fitcrm_sync_state';
+// Local changes are pushed this long after the last one; the server is polled this often
+const SYNC_PUSH_DELAY_MS = 2000;
+const SYNC_POLL_INTERVAL_MS = 60 * 1000;
+const SYNC_REQUEST_TIMEOUT_MS = 10000;
+// Pages wait this long for the first sync before showing local data
+const SYNC_STARTUP_WAIT_MS = 3000;
+// Server path of the shared custom field definitions
+const SYNC_CUSTOM_FIELDS_PATH = '/settings/customFields';
+
+let syncRun = null;
+let syncStartup = null;
+let syncPushTimer = null;
+let syncPollTimer = null;
+let syncOnlineHandler = null;
+
 /**
- * Show a toast notification
- * @param {string} message - Message to display
- * @param {string} type - 'success', 'error', or 'info'
+ * The sync settings, or null while sync is off
+ * @returns {Object|null} { endpoint }
  */
-function showToast(message, type = 'info') {
-    // Remove existing toasts
-    document.querySelectorAll('.toast').forEach(t => t.remove());
-    
-    const toast = document.createElement('div');
-    toast.className = `toast toast-${type}`;
-    toast.textContent = message;
-    toast.setAttribute('role', 'alert');
-    document.body.appendChild(toast);
-    
-    // Trigger animation
-    requestAnimationFrame(() => {
-        toast.classList.add('toast-show');
-    });
+function getSyncSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(SYNC_SETTINGS_KEY));
+    } catch (error) {
+        console.error('Error reading sync settings:', error);
+        return null;
+    }
+}
+
+/**
+ * Read this device's sync bookkeeping
+ * - cursor: server position of the last pull (opaque)
+ * - versions: per client, the version (updatedAt) of the server copy last seen
+ * - pending: per client, 'put' or 'purge' waiting to be pushed
+ * - conflicts: per client, the server change that clashed with a pending one
+ * - fieldsVersion / fieldsPending: the same for the custom field definitions
+ * @returns {Object} Sync state
+ */
+function readSyncState() {
+    const empty = {
+        cursor: null,
+        versions: {},
+        pending: {},
+        conflicts: {},
+        fieldsVersion: null,
+        fieldsPending: false,
+        lastSyncedAt: null,
+        lastError: null
+    };
+    try {
+        return { ...empty, ...JSON.parse(localStorage.getItem(SYNC_STATE_KEY)) };
+    } catch (error) {
+        console.error('Error reading sync state:', error);
+        return empty;
+    }
+}
+
+/**
+ * Change the stored sync state
+ * The state is read fresh each time, so changes queued while a request
+ * was out are not lost.
+ * @param {function(Object): void} change - Mutates the state
+ * @returns {Object} The new state
+ */
+function updateSyncState(change) {
+    const state = readSyncState();
+    change(state);
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+    return state;
+}
+
+/**
+ * Validate a sync server address
+ * @param {string} endpoint - Base URL of the sync API
+ * @returns {Object} { isValid, errors }
+ */
+function validateSyncEndpoint(endpoint) {
+    const errors = {};
+    let url = null;
+    try {
+        url = new URL(endpoint);
+    } catch (error) {
+        // Reported below
+    }
     
-    // Auto-remove after 3 seconds
-    setTimeout(() => {
-        toast.classList.remove('toast-show');
-        setTimeout(() => toast.remove(), 300);
-    }, 3000);
+    if (!endpoint || !endpoint.trim()) {
+        errors.endpoint = t('validation.endpointRequired');
+    } else if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        errors.endpoint = t('validation.endpointUrl');
+    }
+    
+    return { isValid: Object.keys(errors).length === 0, errors };
 }
 
 /**
- * Show a confirmation dialog
- * @param {string} message - Confirmation message
- * @param {Function} onConfirm - Callback when confirmed
- * @param {Function} onCancel - Callback when cancelled
+ * Call the sync API
+ * 404 and 409 are returned to the caller; other failures throw.
+ * @param {string} endpoint - Base URL of the sync API
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the endpoint
+ * @param {Object} body - JSON body (optional)
+ * @returns {Promise<Object>} { status, data }
+ * @throws {Error} If the server can't be reached or answers with an error
  */
-function showConfirmDialog(message, onConfirm, onCancel) {
-    // Remove existing dialogs
-    document.querySelectorAll('.modal-overlay').forEach(m => m.remove());
+async function syncRequest(endpoint, method, path, body = null) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SYNC_REQUEST_TIMEOUT_MS);
+    let response;
+    try {
+        response = await fetch(`${endpoint}${path}`, {
+            method,
+            headers: {
+                'Accept': 'application/json',
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        });
+    } catch (error) {
+        throw new Error(error.name === 'AbortError'
+            ? t('sync.timeout')
+            : t('sync.unreachable', { endpoint }));
+    } finally {
+        clearTimeout(timer);
+    }
     
-    const overlay = document.createElement('div');
-    overlay.className = 'modal-overlay';
-    overlay.innerHTML = `
-        <div class="modal" role="dialog" aria-modal="true" aria-labelledby="confirm-title">
-            <h3 id="confirm-title" class="modal-title">Confirm Action</h3>
-            <p class="modal-message">${message}</p>
-            <div class="modal-actions">
-                <button class="btn btn-secondary" data-action="cancel">Cancel</button>
-                <button class="btn btn-danger" data-action="confirm">Delete</button>
-            </div>
-        </div>
-    `;
+    const data = await response.json().catch(() => null);
+    if (!response.ok && response.status !== 404 && response.status !== 409) {
+        throw new Error(data?.error || t('sync.requestFailed', { status: String(response.status) }));
+    }
+    return { status: response.status, data };
+}
+
+/**
+ * The client in a change from the server, upgraded to the current schema
+ * @param {Object} change - { id, client, version, schemaVersion }
+ * @returns {Object|null} Client, or null when it was deleted permanently
+ */
+function getRemoteClient(change) {
+    if (!change.client) return null;
+    return migrateClients([change.client], change.schemaVersion || SCHEMA_VERSION)[0];
+}
+
+/**
+ * Store a client as it is on the server, bypassing the sync queue
+ * The change is recorded in the audit log, so it can be undone like any other.
+ * @param {ClientRepository} local - Local repository
+ * @param {string} clientId - Client ID
+ * @param {Object|null} remote - Server copy, or null when deleted permanently
+ * @param {string} label - Audit label
+ */
+async function applyRemoteClient(local, clientId, remote, label) {
+    // Background changes must not become the page's last change (see showUndoToast)
+    const pageRecord = lastAuditRecord;
+    try {
+        const before = await local.get(clientId);
+        if (!remote) {
+            if (before) await removeFromTrash(local, before, label);
+            return;
+        }
+        await local.put(remote);
+        await writeAuditRecord(local, { action: 'sync', label, clientId, before, after: remote });
+    } finally {
+        lastAuditRecord = pageRecord;
+    }
+}
+
+/**
+ * Wrap a local repository so every write is queued for the sync server
+ * Reads and the audit log stay local; the audit log is not synced.
+ * @param {ClientRepository} local - Local repository
+ * @returns {ClientRepository} Repository with a `local` property for the wrapped one
+ */
+function createSyncAdapter(local) {
+    const queue = (clientId, operation = 'put') => {
+        updateSyncState(state => {
+            state.pending[clientId] = operation;
+        });
+        scheduleSync(local);
+    };
     
-    document.body.appendChild(overlay);
+    return {
+        name: `${local.name} + sync`,
+        local,
+        
+        getAll: () => local.getAll(),
+        get: (id) => local.get(id),
+        isInitialized: () => local.isInitialized(),
+        addAudit: (record) => local.addAudit(record),
+        getAudit: (clientId) => local.getAudit(clientId),
+        pruneAudit: (shouldPrune) => local.pruneAudit(shouldPrune),
+        
+        async put(client) {
+            await local.put(client);
+            queue(client.id);
+        },
+        
+        async putEntry(clientId, entry) {
+            await local.putEntry(clientId, entry);
+            queue(clientId);
+        },
+        
+        async removeEntry(clientId, entryId) {
+            const removed = await local.removeEntry(clientId, entryId);
+            if (removed) queue(clientId);
+            return removed;
+        },
+        
+        async remove(id) {
+            const removed = await local.remove(id);
+            if (removed) queue(id, 'purge');
+            return removed;
+        },
+        
+        async replaceAll(clients) {
+            const kept = new Set(clients.map(client => client.id));
+            const previous = await local.getAll();
+            await local.replaceAll(clients);
+            previous.filter(client => !kept.has(client.id)).forEach(client => queue(client.id, 'purge'));
+            clients.forEach(client => queue(client.id));
+        }
+    };
+}
+
+/**
+ * Send queued changes to the server
+ * Each change carries the server version it was based on. The server
+ * refuses it (409) when the client changed there since; that is a conflict.
+ * @param {ClientRepository} local - Local repository
+ * @param {string} endpoint - Base URL of the sync API
+ * @returns {Promise<number>} Number of changes accepted
+ */
+async function pushSyncChanges(local, endpoint) {
+    const { pending, versions, conflicts } = readSyncState();
+    let pushed = 0;
     
-    // Focus the cancel button
-    overlay.querySelector('[data-action="cancel"]').focus();
+    for (const [clientId, operation] of Object.entries(pending)) {
+        if (conflicts[clientId]) continue;
+        
+        const client = operation === 'put' ? await local.get(clientId) : null;
+        const baseVersion = versions[clientId] ?? null;
+        const path = `/clients/${encodeURIComponent(clientId)}`;
+        
+        // Created and deleted before it ever reached the server
+        if (!client && baseVersion === null) {
+            updateSyncState(state => {
+                delete state.pending[clientId];
+            });
+            continue;
+        }
+        
+        const { status, data } = client
+            ? await syncRequest(endpoint, 'PUT', path, { client, baseVersion, schemaVersion: SCHEMA_VERSION })
+            : await syncRequest(endpoint, 'DELETE', `${path}?baseVersion=${encodeURIComponent(baseVersion)}`);
+        
+        if (status === 409) {
+            updateSyncState(state => {
+                state.conflicts[clientId] = { ...data.change, detectedAt: new Date().toISOString() };
+            });
+            continue;
+        }
+        
+        const current = await local.get(clientId);
+        updateSyncState(state => {
+            if (client) {
+                state.versions[clientId] = data.version;
+            } else {
+                delete state.versions[clientId];
+            }
+            // Changed again while the request was out: push that next time
+            if (getRecordVersion(current) === getRecordVersion(client)) {
+                delete state.pending[clientId];
+            }
+        });
+        pushed++;
+    }
     
-    // Handle clicks
-    overlay.addEventListener('click', (e) => {
-        const action = e.target.dataset.action;
-        if (action === 'confirm') {
-            onConfirm?.();
-            overlay.remove();
-        } else if (action === 'cancel' || e.target === overlay) {
-            onCancel?.();
-            overlay.remove();
+    return pushed;
+}
+
+/**
+ * Fetch changes made on other devices since the last pull and store them
+ * A client with queued local changes is left alone; if the server's copy
+ * differs, the two become a conflict for the user to settle.
+ * @param {ClientRepository} local - Local repository
+ * @param {string} endpoint - Base URL of the sync API
+ * @returns {Promise<number>} Number of clients updated locally
+ */
+async function pullSyncChanges(local, endpoint) {
+    const { cursor } = readSyncState();
+    const query = cursor === null ? '' : `?since=${encodeURIComponent(cursor)}`;
+    const { data } = await syncRequest(endpoint, 'GET', `/clients${query}`);
+    let pulled = 0;
+    
+    for (const change of data.changes) {
+        const state = readSyncState();
+        // Already seen, usually our own push coming back
+        if (change.version === (state.versions[change.id] ?? null)) continue;
+        
+        if (state.pending[change.id]) {
+            const current = await local.get(change.id);
+            updateSyncState(next => {
+                if (getRecordVersion(current) === change.version) {
+                    next.versions[change.id] = change.version;
+                    delete next.pending[change.id];
+                } else {
+                    next.conflicts[change.id] = { ...change, detectedAt: new Date().toISOString() };
+                }
+            });
+            continue;
         }
+        
+        const existing = await local.get(change.id);
+        await applyRemoteClient(local, change.id, getRemoteClient(change),
+            !change.client ? 'Deleted permanently on another device'
+                : existing ? 'Changed on another device' : 'Added on another device');
+        updateSyncState(next => {
+            if (change.version === null) {
+                delete next.versions[change.id];
+            } else {
+                next.versions[change.id] = change.version;
+            }
+        });
+        pulled++;
+    }
+    
+    updateSyncState(state => {
+        state.cursor = data.cursor;
     });
+    return pulled;
+}
+
+/**
+ * Share the custom field definitions through the server
+ * They are one document on the server. Changes made on both sides are
+ * merged (see mergeCustomFields) instead of becoming a conflict.
+ * @param {string} endpoint - Base URL of the sync API
+ * @returns {Promise<boolean>} True if fields from another device were stored here
+ */
+async function syncCustomFields(endpoint) {
+    const { fieldsVersion, fieldsPending } = readSyncState();
+    const { status, data } = await syncRequest(endpoint, 'GET', SYNC_CUSTOM_FIELDS_PATH);
+    const remote = status === 404 ? null : data;
+    const remoteChanged = Boolean(remote) && remote.version !== fieldsVersion;
+    const remoteFields = remoteChanged ? parseCustomFieldDefinitions(remote.value) : [];
     
-    // Handle escape key
-    const handleEscape = (e) => {
-        if (e.key === 'Escape') {
-            onCancel?.();
-            overlay.remove();
-            document.removeEventListener('keydown', handleEscape);
+    if (!fieldsPending) {
+        if (remoteChanged) {
+            writeCustomFields(remoteFields, { queue: false });
+            updateSyncState(state => {
+                state.fieldsVersion = remote.version;
+            });
         }
-    };
-    document.addEventListener('keydown', handleEscape);
+        return remoteChanged;
+    }
+    
+    const fields = remoteChanged ? mergeCustomFields(getCustomFields(), remoteFields) : getCustomFields();
+    if (remoteChanged) writeCustomFields(fields, { queue: false });
+    const result = await syncRequest(endpoint, 'PUT', SYNC_CUSTOM_FIELDS_PATH, {
+        value: fields,
+        baseVersion: remote ? remote.version : null
+    });
+    // Changed on the server again in the meantime: merge that next time
+    if (result.status === 409) return remoteChanged;
+    
+    updateSyncState(state => {
+        state.fieldsVersion = result.data.version;
+        // Edited again while the request was out: push that next time
+        if (JSON.stringify(getCustomFields()) === JSON.stringify(fields)) {
+            state.fieldsPending = false;
+        }
+    });
+    return remoteChanged;
 }
 
-// ============================================
-// Exercise API (Wger)
-// ============================================
+/**
+ * Queue the custom field definitions for the sync server, if sync is on
+ */
+function queueCustomFieldsSync() {
+    if (!getSyncSettings()) return;
+    updateSyncState(state => {
+        state.fieldsPending = true;
+    });
+    getRepository().then(repository => {
+        if (repository.local) scheduleSync(repository.local);
+    });
+}
 
 /**
- * Fetch 5 random suggested exercises from Wger REST API
- * As per assignment: "Retrieve the suggested exercises for the next session 
- * by grabbing 5 exercises from an online workout manager that provides REST APIs"
- * 
- * Fetches a larger pool (50 exercises) and randomly selects 5 unique ones
- * so each client gets different exercise suggestions.
- * 
- * @param {string} goal - Fitness goal (optional)
- * @param {number} limit - Number of exercises to return (default: 5)
- * @returns {Promise<Object>} Object with success flag and exercises array
+ * Push queued changes, then pull changes from other devices
+ * The custom field definitions are synced last.
+ * @param {ClientRepository} local - Local repository
+ * @returns {Promise<Object>} { pushed, pulled, conflicts, customFields } - conflicts counts
+ *   new ones, customFields tells whether fields changed on another device arrived
+ * @throws {Error} If sync is off, the browser is offline or the server fails
  */
-async function fetchSuggestedExercises(goal = null, limit = 5) {
-    // Wger API - fetch a larger pool of exercises (50) for randomization
-    // language=2 is English
-    const apiUrl = `https://wger.de/api/v2/exerciseinfo/?language=2&limit=50`;
+async function runSync(local) {
+    const settings = getSyncSettings();
+    if (!settings) {
+        throw new Error(t('sync.notSetUp'));
+    }
+    if (!navigator.onLine) {
+        throw new Error(t('sync.offlineQueued'));
+    }
     
+    const knownConflicts = new Set(Object.keys(readSyncState().conflicts));
     try {
-        const response = await fetch(apiUrl, {
-            headers: {
-                'Accept': 'application/json'
+        const pushed = await pushSyncChanges(local, settings.endpoint);
+        const pulled = await pullSyncChanges(local, settings.endpoint);
+        const customFields = await syncCustomFields(settings.endpoint);
+        const state = updateSyncState(next => {
+            next.lastSyncedAt = new Date().toISOString();
+            next.lastError = null;
+        });
+        
+        // Changes made during this run go out with the next one
+        if (state.fieldsPending || Object.keys(state.pending).some(clientId => !state.conflicts[clientId])) {
+            scheduleSync(local);
+        }
+        return {
+            pushed,
+            pulled,
+            conflicts: Object.keys(state.conflicts).filter(clientId => !knownConflicts.has(clientId)).length,
+            customFields
+        };
+    } catch (error) {
+        updateSyncState(state => {
+            state.lastError = error.message;
+        });
+        throw error;
+    }
+}
+
+/**
+ * Run a sync, or join the one already running
+ * @param {ClientRepository} local - Local repository
+ * @returns {Promise<Object>} See runSync
+ */
+function syncWith(local) {
+    if (!syncRun) {
+        syncRun = runSync(local).finally(() => {
+            syncRun = null;
+        });
+    }
+    return syncRun;
+}
+
+/**
+ * Sync with the server now
+ * @returns {Promise<Object>} { pushed, pulled, conflicts }
+ * @throws {Error} If sync is off or fails (queued changes are kept)
+ */
+async function syncNow() {
+    const repository = await getRepository();
+    if (!repository.local) {
+        throw new Error(t('sync.notSetUp'));
+    }
+    return syncWith(repository.local);
+}
+
+/**
+ * Tell the user about conflicts and changes from other devices
+ * @param {Object} result - See runSync
+ * @param {boolean} quiet - Don't announce pulled changes (the page hasn't rendered yet)
+ */
+function announceSyncResult({ pulled, conflicts, customFields }, quiet = false) {
+    if (conflicts > 0) {
+        showToast(t('sync.conflicts', { count: conflicts }), 'warning', {
+            label: t('sync.resolve'),
+            onClick: () => {
+                window.location.href = 'clients.html?sync=conflicts';
             }
         });
+    } else if (pulled > 0 && !quiet) {
+        showToast(t('sync.pulled', { count: pulled }), 'info', {
+            label: t('sync.refresh'),
+            onClick: () => window.location.reload()
+        });
+    } else if (customFields && !quiet) {
+        showToast(t('sync.customFields'), 'info', {
+            label: t('sync.refresh'),
+            onClick: () => window.location.reload()
+        });
+    }
+}
+
+/**
+ * Sync in the background; failures only leave the changes queued
+ * @param {ClientRepository} local - Local repository
+ */
+async function backgroundSync(local) {
+    if (!navigator.onLine) return;
+    try {
+        announceSyncResult(await syncWith(local));
+    } catch (error) {
+        console.warn('FitCRM sync failed, changes stay queued:', error.message);
+    }
+}
+
+/**
+ * Push local changes shortly after the last one
+ * @param {ClientRepository} local - Local repository
+ */
+function scheduleSync(local) {
+    clearTimeout(syncPushTimer);
+    syncPushTimer = setTimeout(() => backgroundSync(local), SYNC_PUSH_DELAY_MS);
+}
+
+/**
+ * Start syncing: now, every SYNC_POLL_INTERVAL_MS and when the connection
+ * comes back. Waits up to SYNC_STARTUP_WAIT_MS for the first sync so pages
+ * open with fresh data when the server is quick.
+ * @param {ClientRepository} local - Local repository
+ * @returns {Promise<void>}
+ */
+async function startBackgroundSync(local) {
+    stopBackgroundSync();
+    syncPollTimer = setInterval(() => backgroundSync(local), SYNC_POLL_INTERVAL_MS);
+    syncOnlineHandler = () => backgroundSync(local);
+    window.addEventListener('online', syncOnlineHandler);
+    
+    if (!navigator.onLine) return;
+    
+    let rendered = false;
+    syncStartup = syncWith(local);
+    const firstSync = syncStartup.then(
+        result => announceSyncResult(result, !rendered),
+        error => console.warn('FitCRM sync failed, changes stay queued:', error.message)
+    );
+    await Promise.race([firstSync, new Promise(resolve => setTimeout(resolve, SYNC_STARTUP_WAIT_MS))]);
+    rendered = true;
+}
+
+/**
+ * Stop the timers started by startBackgroundSync
+ */
+function stopBackgroundSync() {
+    clearTimeout(syncPushTimer);
+    clearInterval(syncPollTimer);
+    if (syncOnlineHandler) window.removeEventListener('online', syncOnlineHandler);
+    syncOnlineHandler = null;
+    syncStartup = null;
+}
+
+/**
+ * Turn on sync with a server
+ * With `upload`, every client on this device is queued for the server;
+ * without it, this device's clients are replaced by the server's. Either
+ * way, the custom field definitions are merged with the server's.
+ * @param {string} endpoint - Base URL of the sync API
+ * @param {Object} options - { upload }
+ * @returns {Promise<Object>} Result of the first sync
+ * @throws {Error} With an `errors` object for a bad address, if the server can't be
+ *   reached, or if the current user is not an admin
+ */
+async function enableSync(endpoint, { upload = true } = {}) {
+    assertPermission('manageData');
+    const { isValid, errors } = validateSyncEndpoint(endpoint);
+    if (!isValid) {
+        const error = new Error(errors.endpoint);
+        error.errors = errors;
+        throw error;
+    }
+    
+    const base = endpoint.trim().replace(/\/+$/, '');
+    const current = await getRepository();
+    const local = current.local || current;
+    stopBackgroundSync();
+    
+    if (upload) {
+        const clients = await local.getAll();
+        localStorage.setItem(SYNC_STATE_KEY, JSON.stringify({
+            pending: Object.fromEntries(clients.map(client => [client.id, 'put'])),
+            fieldsPending: getCustomFields().length > 0
+        }));
+    } else {
+        const { data } = await syncRequest(base, 'GET', '/clients');
+        const changes = data.changes.filter(change => change.client);
+        await local.replaceAll(changes.map(getRemoteClient));
+        localStorage.setItem(SYNC_STATE_KEY, JSON.stringify({
+            cursor: data.cursor,
+            versions: Object.fromEntries(changes.map(change => [change.id, change.version])),
+            fieldsPending: getCustomFields().length > 0
+        }));
+    }
+    
+    localStorage.setItem(SYNC_SETTINGS_KEY, JSON.stringify({ endpoint: base }));
+    repositoryPromise = null;
+    await getRepository();
+    return syncStartup || syncNow();
+}
+
+/**
+ * Turn sync off. Clients stay on this device; unsent changes are not sent.
+ * @throws {Error} If the current user is not an admin
+ */
+function disableSync() {
+    assertPermission('manageData');
+    stopBackgroundSync();
+    localStorage.removeItem(SYNC_SETTINGS_KEY);
+    localStorage.removeItem(SYNC_STATE_KEY);
+    repositoryPromise = null;
+}
+
+/**
+ * Where sync stands, for display
+ * @returns {Object} { enabled, endpoint, online, pending, conflicts, lastSyncedAt, lastError }
+ */
+function getSyncStatus() {
+    const settings = getSyncSettings();
+    const state = readSyncState();
+    return {
+        enabled: Boolean(settings),
+        endpoint: settings?.endpoint || '',
+        online: navigator.onLine,
+        pending: Object.keys(state.pending).length + (state.fieldsPending ? 1 : 0),
+        conflicts: Object.keys(state.conflicts).length,
+        lastSyncedAt: state.lastSyncedAt,
+        lastError: state.lastError
+    };
+}
+
+/**
+ * Clients changed both here and on the server
+ * @returns {Promise<Array>} [{ clientId, name, local, remote, changes, detectedAt }];
+ *   local/remote are null when deleted permanently on that side, and
+ *   changes lists the fields that differ (before: server, after: this device)
+ */
+async function getSyncConflicts() {
+    const repository = await getRepository();
+    const local = repository.local || repository;
+    const { conflicts } = readSyncState();
+    
+    return Promise.all(Object.entries(conflicts).map(async ([clientId, change]) => {
+        const mine = await local.get(clientId);
+        const theirs = getRemoteClient(change);
+        return {
+            clientId,
+            name: (mine || theirs)?.fullName || '',
+            local: mine,
+            remote: theirs,
+            changes: diffClientRecords(theirs, mine),
+            detectedAt: change.detectedAt
+        };
+    }));
+}
+
+/**
+ * Settle a conflict by keeping one side
+ * 'local' sends this device's version over the server's; 'remote' replaces
+ * this device's version with the server's.
+ * @param {string} clientId - Client ID
+ * @param {string} keep - 'local' | 'remote'
+ * @returns {Promise<void>}
+ * @throws {Error} If there is no such conflict
+ */
+async function resolveSyncConflict(clientId, keep) {
+    const repository = await getRepository();
+    const change = readSyncState().conflicts[clientId];
+    if (!repository.local || !change) {
+        throw new Error(t('sync.alreadyResolved'));
+    }
+    
+    if (keep === 'remote') {
+        await applyRemoteClient(repository.local, clientId, getRemoteClient(change), 'Kept the version from another device');
+    }
+    updateSyncState(state => {
+        delete state.conflicts[clientId];
+        if (change.version === null) {
+            delete state.versions[clientId];
+        } else {
+            state.versions[clientId] = change.version;
+        }
+        if (keep === 'remote') delete state.pending[clientId];
+    });
+    scheduleSync(repository.local);
+}
+
+// ============================================
+// Client Data Management
+// ============================================
+
+/**
+ * Get all clients from the active repository
+ * Clients in the trash are left out (see getTrashedClients).
+ * @returns {Promise<Array>} Array of client objects
+ */
+async function getClients() {
+    const repository = await getRepository();
+    const clients = await repository.getAll();
+    return clients.filter(client => !client.deletedAt);
+}
+
+/**
+ * Replace all clients in the active repository
+ * @param {Array} clients - Array of client objects
+ * @returns {Promise<void>}
+ */
+async function saveClients(clients) {
+    const repository = await getRepository();
+    await repository.replaceAll(clients);
+}
+
+/**
+ * Generate a unique ID for new clients
+ * @returns {string} Unique identifier
+ */
+function generateId() {
+    return 'client_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Add a new client to storage
+ * A client that looks like an existing one (same email or phone, or a
+ * similar name; see findDuplicateClients) is refused unless
+ * allowDuplicates is set. Without a trainerId, a client added by a
+ * trainer is assigned to them.
+ * @param {Object} clientData - Client information
+ * @param {Object} options - { allowDuplicates }
+ * @returns {Promise<Object>} The saved client with ID
+ * @throws {Error} With a `duplicates` list for a possible duplicate, or if the
+ *   client is assigned to someone else by a user who may not assign trainers
+ */
+async function addClient(clientData, { allowDuplicates = false } = {}) {
+    const trainer = getCurrentTrainer();
+    if (clientData.trainerId && clientData.trainerId !== trainer?.id) {
+        assertPermission('assignTrainers');
+    }
+    if (!allowDuplicates) {
+        assertNoDuplicates(findDuplicateClients(clientData, await getClients()));
+    }
+    
+    const repository = await getRepository();
+    const newClient = {
+        id: generateId(),
+        trainerId: trainer?.role === 'trainer' ? trainer.id : null,
+        ...clientData,
+        createdAt: new Date().toISOString(),
+        exerciseHistory: [],
+        measurements: [],
+        assessment: null,
+        program: null,
+        sessions: [],
+        membership: null,
+        ledger: [],
+        packs: [],
+        creditLog: [],
+        customFields: clientData.customFields || {}
+    };
+    await recordMutation(newClient.id, 'Created client', () => repository.put(newClient), 'create');
+    return newClient;
+}
+
+/**
+ * Update an existing client
+ * @param {string} id - Client ID
+ * @param {Object} updatedData - Updated client information
+ * @returns {Promise<Object|null>} Updated client or null if not found
+ * @throws {Error} If the trainer changes and the current user may not assign trainers
+ */
+async function updateClient(id, updatedData) {
+    const repository = await getRepository();
+    const existing = await repository.get(id);
+    if (!existing) return null;
+    if ('trainerId' in updatedData && (updatedData.trainerId || null) !== (existing.trainerId || null)) {
+        assertPermission('assignTrainers');
+    }
+    
+    const updated = {
+        ...existing,
+        ...updatedData,
+        updatedAt: new Date().toISOString()
+    };
+    
+    // Only rewrite history when the caller actually changed it
+    const { exerciseHistory, ...profile } = updated;
+    await recordMutation(id, null, () => repository.put('exerciseHistory' in updatedData ? updated : profile));
+    return updated;
+}
+
+/**
+ * Move a client to the trash
+ * Trashed clients are hidden everywhere and purged after
+ * TRASH_RETENTION_DAYS; restoreClient brings them back.
+ * @param {string} id - Client ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ * @throws {Error} If the current user is not an admin
+ */
+async function deleteClient(id) {
+    assertPermission('deleteClients');
+    const client = await getClientById(id);
+    if (!client) return false;
+    
+    await recordMutation(id, 'Moved to trash', () => updateClient(id, {
+        deletedAt: new Date().toISOString()
+    }), 'delete');
+    return true;
+}
+
+/**
+ * Get a single client by ID
+ * @param {string} id - Client ID
+ * @returns {Promise<Object|null>} Client object, or null if missing or in the trash
+ */
+async function getClientById(id) {
+    const repository = await getRepository();
+    const client = await repository.get(id);
+    return client && !client.deletedAt ? client : null;
+}
+
+/**
+ * Search clients by name, email or phone
+ * @param {string} query - Search query
+ * @returns {Promise<Array>} Filtered clients
+ */
+async function searchClients(query) {
+    const clients = await getClients();
+    return clients.filter(c => clientMatchesQuery(c, query));
+}
+
+/**
+ * Check a session entry and throw if it is invalid
+ * @param {Object} exerciseData - Exercise entry data
+ * @throws {Error} With an `errors` object (see validateExerciseEntry)
+ */
+function assertValidExerciseEntry(exerciseData) {
+    const { isValid, errors } = validateExerciseEntry(exerciseData);
+    if (!isValid) {
+        const error = new Error(Object.values(errors)[0]);
+        error.errors = errors;
+        throw error;
+    }
+}
+
+/**
+ * Add an exercise entry to client's history
+ * @param {string} clientId - Client ID
+ * @param {Object} exerciseData - Session data (see validateExerciseEntry)
+ * New personal records are detected and stored on the entry
+ * as `personalRecords` (see findPersonalRecords). Clients with a session
+ * pack use one credit (see getCreditDeduction). The signed-in trainer is
+ * stored as `loggedBy`.
+ * @returns {Promise<Object|null>} Updated client or null
+ * @throws {Error} If the entry fails validation or the current user can't log workouts
+ */
+async function addExerciseEntry(clientId, exerciseData) {
+    assertPermission('logWorkouts');
+    assertValidExerciseEntry(exerciseData);
+    
+    const repository = await getRepository();
+    const client = await repository.get(clientId);
+    if (!client) return null;
+    
+    const trainer = getCurrentTrainer();
+    const entry = {
+        id: generateId(),
+        ...normalizeExerciseEntry(exerciseData),
+        loggedBy: trainer ? { id: trainer.id, name: trainer.name } : null
+    };
+    entry.personalRecords = findPersonalRecords(client.exerciseHistory || [], entry);
+    
+    return recordMutation(clientId, `Logged "${entry.title || 'Training Session'}"`, async () => {
+        await repository.putEntry(clientId, entry);
+        return updateClient(clientId, getCreditDeduction(client, entry));
+    });
+}
+
+/**
+ * Update one entry in a client's exercise history
+ * @param {string} clientId - Client ID
+ * @param {string} entryId - Exercise entry ID
+ * @param {Object} exerciseData - Fields to change
+ * @returns {Promise<Object|null>} Updated client or null if client/entry not found
+ * @throws {Error} If the resulting entry fails validation or the current user can't log workouts
+ */
+async function updateExerciseEntry(clientId, entryId, exerciseData) {
+    assertPermission('logWorkouts');
+    const repository = await getRepository();
+    const client = await repository.get(clientId);
+    const entry = client?.exerciseHistory.find(e => e.id === entryId);
+    if (!entry) return null;
+    
+    const merged = { ...entry, ...exerciseData };
+    assertValidExerciseEntry(merged);
+    
+    const updatedEntry = {
+        ...normalizeExerciseEntry(merged),
+        id: entryId
+    };
+    updatedEntry.personalRecords = findPersonalRecords(client.exerciseHistory, updatedEntry);
+    
+    return recordMutation(clientId, `Edited the "${updatedEntry.title || 'Training Session'}" session`, async () => {
+        await repository.putEntry(clientId, updatedEntry);
+        return updateClient(clientId, {});
+    });
+}
+
+/**
+ * Delete one entry from a client's exercise history
+ * A credit used by the entry is refunded.
+ * @param {string} clientId - Client ID
+ * @param {string} entryId - Exercise entry ID
+ * @returns {Promise<Object|null>} Updated client or null if client/entry not found
+ * @throws {Error} If the current user can't log workouts
+ */
+async function deleteExerciseEntry(clientId, entryId) {
+    assertPermission('logWorkouts');
+    const repository = await getRepository();
+    const client = await repository.get(clientId);
+    const entry = client?.exerciseHistory.find(e => e.id === entryId);
+    
+    return recordMutation(clientId, `Deleted the "${entry?.title || 'Training Session'}" session`, async () => {
+        const removed = await repository.removeEntry(clientId, entryId);
+        if (!removed) return null;
+        return updateClient(clientId, entry ? getCreditRefund(client, entry) : {});
+    });
+}
+
+// ============================================
+// Audit Log & Trash
+// ============================================
+
+// Deleted clients stay restorable in the trash this long
+const TRASH_RETENTION_DAYS = 30;
+// Audit records keep their undo snapshots this long; the change summary stays
+const AUDIT_SNAPSHOT_DAYS = 30;
+const AUDIT_LOCAL_MAX_RECORDS = 200;
+const AUDIT_LOCAL_SNAPSHOTS = 20;
+const AUDIT_DEFAULT_ACTOR = 'Trainer';
+// Undo toast carried over to the next page (e.g. after a redirect)
+const PENDING_UNDO_KEY = 'fitcrm_pending_undo';
+
+// Field names shown in the change history, in display order
+const AUDIT_FIELD_LABELS = {
+    fullName: 'Name',
+    age: 'Age',
+    gender: 'Gender',
+    email: 'Email',
+    phone: 'Phone',
+    goal: 'Fitness goal',
+    goalText: 'Goal details',
+    startDate: 'Start date',
+    trainerId: 'Trainer',
+    customFields: 'Custom fields',
+    exerciseHistory: 'Logged sessions',
+    measurements: 'Measurements',
+    assessment: 'Assessment',
+    program: 'Program',
+    sessions: 'Scheduled sessions',
+    membership: 'Membership',
+    ledger: 'Payments',
+    packs: 'Session packs',
+    creditLog: 'Session credits'
+};
+const AUDIT_IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'deletedAt'];
+
+// Clients with a recordMutation in progress; nested mutations are not recorded twice
+const auditingClients = new Set();
+let lastAuditRecord = null;
+
+/**
+ * Name recorded as the author of a change
+ * @returns {string} The signed-in trainer's name, or AUDIT_DEFAULT_ACTOR
+ */
+function getAuditActor() {
+    return getCurrentTrainer()?.name || AUDIT_DEFAULT_ACTOR;
+}
+
+/**
+ * Short text for a field value in the change history
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function describeAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value !== 'object') return String(value);
+    if (value.plan && value.startDate) return `${value.plan} from ${formatDate(value.startDate)}`;
+    return value.name || value.title || 'Recorded';
+}
+
+/**
+ * Count what was added, removed and edited between two versions of a list
+ * Items are matched by id.
+ * @param {Array} before - Old items
+ * @param {Array} after - New items
+ * @returns {string} e.g. "1 added, 2 edited"
+ */
+function describeCollectionChange(before = [], after = []) {
+    const oldItems = new Map(before.map(item => [item.id, JSON.stringify(item)]));
+    const newIds = new Set(after.map(item => item.id));
+    const added = after.filter(item => !oldItems.has(item.id)).length;
+    const removed = before.filter(item => !newIds.has(item.id)).length;
+    const edited = after.filter(item => oldItems.has(item.id) && oldItems.get(item.id) !== JSON.stringify(item)).length;
+    
+    return [
+        added && `${added} added`,
+        removed && `${removed} removed`,
+        edited && `${edited} edited`
+    ].filter(Boolean).join(', ') || 'reordered';
+}
+
+/**
+ * List the fields that differ between two versions of a client
+ * @param {Object|null} before - Client before the change
+ * @param {Object|null} after - Client after the change
+ * @returns {Array<Object>} Changes as { field, label, before, after, detail? };
+ *   empty when the client was created or purged
+ */
+function diffClientRecords(before, after) {
+    if (!before || !after) return [];
+    
+    const known = Object.keys(AUDIT_FIELD_LABELS);
+    const fields = [...new Set([...known, ...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => !AUDIT_IGNORED_FIELDS.includes(field));
+    
+    return fields.flatMap(field => {
+        const oldValue = before[field];
+        const newValue = after[field];
+        if (JSON.stringify(oldValue ?? null) === JSON.stringify(newValue ?? null)) return [];
+        
+        const label = AUDIT_FIELD_LABELS[field]
+            || field.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+        if (field === 'trainerId') {
+            return [{ field, label, before: getTrainerName(oldValue) || '—', after: getTrainerName(newValue) || '—' }];
+        }
+        if (field === 'customFields') {
+            return diffCustomFieldValues(oldValue || {}, newValue || {});
+        }
+        if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+            return [{
+                field,
+                label,
+                before: String((oldValue || []).length),
+                after: String((newValue || []).length),
+                detail: describeCollectionChange(oldValue, newValue)
+            }];
+        }
+        return [{ field, label, before: describeAuditValue(oldValue), after: describeAuditValue(newValue) }];
+    });
+}
+
+/**
+ * Label for a change recorded without one
+ * @param {Array<Object>} changes - Result of diffClientRecords
+ * @returns {string} e.g. "Changed email, payments (1 added)"
+ */
+function describeAuditChanges(changes) {
+    const parts = changes.map(change => change.label.toLowerCase() + (change.detail ? ` (${change.detail})` : ''));
+    return `Changed ${parts.join(', ')}`;
+}
+
+/**
+ * Drop the undo snapshots from an audit record, keeping the summary
+ * @param {Object} record - Audit record
+ * @returns {Object} Record without before/after
+ */
+function pruneAuditRecord(record) {
+    const { before, after, ...summary } = record;
+    return { ...summary, pruned: true };
+}
+
+/**
+ * Append a record to the audit log
+ * Updates that changed nothing are not recorded.
+ * @param {ClientRepository} repository - Repository to write to
+ * @param {Object} data - { action, label, clientId, before, after, clientName?, undoOf? }
+ * @returns {Promise<Object|null>} The record, or null if nothing changed
+ */
+async function writeAuditRecord(repository, data) {
+    const { action, label, clientId, before, after } = data;
+    const changes = diffClientRecords(before, after);
+    if (['update', 'sync'].includes(action) && before && changes.length === 0) return null;
+    
+    const record = {
+        id: generateId(),
+        at: new Date().toISOString(),
+        actor: getAuditActor(),
+        action,
+        label: label || describeAuditChanges(changes),
+        clientId,
+        clientName: data.clientName || (after || before)?.fullName || '',
+        changes,
+        before,
+        after,
+        schemaVersion: SCHEMA_VERSION,
+        undoOf: data.undoOf || null
+    };
+    await repository.addAudit(record);
+    lastAuditRecord = record;
+    return record;
+}
+
+/**
+ * Run a change to one client and record it in the audit log
+ * Snapshots of the whole client are taken before and after. Changes
+ * made inside another recordMutation for the same client are part of
+ * the outer record, so one user action is one undo step.
+ * @param {string} clientId - Client being changed
+ * @param {string|null} label - What happened (null: describe the changed fields)
+ * @param {Function} mutate - Async function making the change
+ * @param {string} action - 'create' | 'update' | 'delete' | 'restore' | 'import'
+ *   ('undo', 'redo', 'purge' and 'sync' are recorded elsewhere)
+ * @returns {Promise<*>} Whatever mutate returns
+ */
+async function recordMutation(clientId, label, mutate, action = 'update') {
+    if (auditingClients.has(clientId)) return mutate();
+    
+    const repository = await getRepository();
+    auditingClients.add(clientId);
+    lastAuditRecord = null;
+    try {
+        const before = await repository.get(clientId);
+        const result = await mutate();
+        const after = await repository.get(clientId);
+        await writeAuditRecord(repository, { action, label, clientId, before, after });
+        return result;
+    } finally {
+        auditingClients.delete(clientId);
+    }
+}
+
+/**
+ * The audit record of the last change made on this page
+ * Null when that change turned out to change nothing.
+ * @returns {Object|null} Audit record
+ */
+function getLastAuditRecord() {
+    return lastAuditRecord;
+}
+
+/**
+ * Audit records for one client, newest first
+ * @param {string} clientId - Client ID
+ * @returns {Promise<Array>} Audit records
+ */
+async function getClientAuditLog(clientId) {
+    const repository = await getRepository();
+    return repository.getAudit(clientId);
+}
+
+/**
+ * Version stamp used to tell whether a client changed after a record
+ * @param {Object|null} client - Client record
+ * @returns {string|null} updatedAt or createdAt, or null for no client
+ */
+function getRecordVersion(client) {
+    return client ? (client.updatedAt || client.createdAt || '') : null;
+}
+
+/**
+ * Whether a change can still be undone
+ * Only the latest change to a client can be reverted, and only while
+ * its snapshots are kept.
+ * @param {Object} record - Audit record
+ * @param {Object|null} current - The client as stored now (trash included)
+ * @returns {boolean} True if revertChange will accept the record
+ */
+function canRevertChange(record, current) {
+    if (record.pruned || record.action === 'purge') return false;
+    return getRecordVersion(current) === getRecordVersion(record.after);
+}
+
+/**
+ * Put a client back the way it was before a recorded change
+ * Reverting an undo redoes the change. The revert is itself recorded.
+ * A change that created the client is undone by moving it to the trash.
+ * Like deleteClient, a revert that moves the client to the trash needs
+ * the deleteClients permission.
+ * @param {string} auditId - Audit record ID
+ * @returns {Promise<Object>} { client, record } - restored client and new audit record
+ * @throws {Error} If the record is gone, too old, the client changed since,
+ *   or the revert would trash the client and the user is not an admin
+ */
+async function revertChange(auditId) {
+    const repository = await getRepository();
+    const record = (await repository.getAudit()).find(r => r.id === auditId);
+    if (!record) {
+        throw new Error(t('audit.missing'));
+    }
+    if (record.pruned || record.action === 'purge') {
+        throw new Error(t('audit.pruned'));
+    }
+    
+    const current = await repository.get(record.clientId);
+    if (!canRevertChange(record, current)) {
+        throw new Error(t('audit.changedSince', { name: record.clientName }));
+    }
+    
+    const now = new Date().toISOString();
+    const restored = record.before
+        ? { ...migrateClients([record.before], record.schemaVersion)[0], updatedAt: now }
+        : { ...current, deletedAt: now, updatedAt: now };
+    if (restored.deletedAt && !current?.deletedAt) assertPermission('deleteClients');
+    await repository.put(restored);
+    
+    const action = record.action === 'undo' ? 'redo' : 'undo';
+    const revertedLabel = record.label.replace(/^(Undid|Redid): /, '');
+    const auditRecord = await writeAuditRecord(repository, {
+        action,
+        label: `${action === 'redo' ? 'Redid' : 'Undid'}: ${revertedLabel}`,
+        clientId: record.clientId,
+        before: current,
+        after: restored,
+        undoOf: record.id
+    });
+    return { client: restored, record: auditRecord };
+}
+
+/**
+ * Clients in the trash, most recently deleted first
+ * @returns {Promise<Array>} Trashed clients
+ */
+async function getTrashedClients() {
+    const repository = await getRepository();
+    const clients = await repository.getAll();
+    return clients
+        .filter(client => client.deletedAt)
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Days until a trashed client is purged
+ * @param {Object} client - Trashed client
+ * @param {string} today - YYYY-MM-DD (defaults to today)
+ * @returns {number} Days left, 0 when due
+ */
+function getTrashDaysLeft(client, today = formatDateOnly(new Date())) {
+    const deletedOn = formatDateOnly(new Date(client.deletedAt));
+    return Math.max(0, TRASH_RETENTION_DAYS - getDaysBetween(deletedOn, today));
+}
+
+/**
+ * Take a client back out of the trash
+ * @param {string} id - Client ID
+ * @returns {Promise<Object|null>} Restored client or null if not in the trash
+ */
+async function restoreClient(id) {
+    const repository = await getRepository();
+    const client = await repository.get(id);
+    if (!client?.deletedAt) return null;
+    
+    return recordMutation(id, 'Restored from the trash', () => updateClient(id, { deletedAt: null }), 'restore');
+}
+
+/**
+ * Permanently delete a trashed client
+ * The client's undo snapshots are dropped with it.
+ * @param {ClientRepository} repository - Repository to write to
+ * @param {Object} client - Trashed client
+ * @param {string} label - Audit label
+ */
+async function removeFromTrash(repository, client, label) {
+    await repository.remove(client.id);
+    await repository.pruneAudit(record => record.clientId === client.id && !record.pruned);
+    await writeAuditRecord(repository, {
+        action: 'purge',
+        label,
+        clientId: client.id,
+        clientName: client.fullName,
+        before: null,
+        after: null
+    });
+}
+
+/**
+ * Permanently delete one client from the trash
+ * @param {string} id - Client ID
+ * @returns {Promise<boolean>} True if deleted, false if not in the trash
+ * @throws {Error} If the current user is not an admin
+ */
+async function purgeClient(id) {
+    assertPermission('deleteClients');
+    const repository = await getRepository();
+    const client = await repository.get(id);
+    if (!client?.deletedAt) return false;
+    
+    await removeFromTrash(repository, client, 'Deleted permanently');
+    return true;
+}
+
+/**
+ * Permanently delete everything in the trash
+ * @returns {Promise<number>} Number of clients deleted
+ * @throws {Error} If the current user is not an admin
+ */
+async function emptyTrash() {
+    assertPermission('deleteClients');
+    const repository = await getRepository();
+    const trashed = await getTrashedClients();
+    for (const client of trashed) {
+        await removeFromTrash(repository, client, 'Deleted permanently');
+    }
+    return trashed.length;
+}
+
+/**
+ * Housekeeping when the repository opens: purge clients that have been
+ * in the trash for TRASH_RETENTION_DAYS and drop undo snapshots older
+ * than AUDIT_SNAPSHOT_DAYS.
+ * @param {ClientRepository} repository - Repository being opened
+ * @returns {Promise<void>}
+ */
+async function purgeExpiredTrash(repository) {
+    const clients = await repository.getAll();
+    for (const client of clients.filter(c => c.deletedAt && getTrashDaysLeft(c) === 0)) {
+        await removeFromTrash(repository, client, `Deleted permanently after ${TRASH_RETENTION_DAYS} days in the trash`);
+    }
+    
+    const cutoff = new Date(Date.now() - AUDIT_SNAPSHOT_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await repository.pruneAudit(record => !record.pruned && record.at < cutoff);
+}
+
+// ============================================
+// Trainer Accounts & Roles
+// ============================================
+
+// Accounts live on this device only; the signed-in account lasts for the browser tab
+const TRAINERS_KEY = 'fitcrm_trainers';
+const SESSION_KEY = 'fitcrm_session';
+const LOGIN_ATTEMPTS_KEY = 'fitcrm_login_attempts';
+
+const TRAINER_ROLES = {
+    admin: 'Admin',
+    trainer: 'Trainer',
+    frontdesk: 'Front Desk'
+};
+
+// What each role may do. Everything not listed here is open to every role.
+// deleteRecords covers deleting payments, sessions, measurements, freezes and
+// program templates, and adjusting session credits by hand.
+const ROLE_PERMISSIONS = {
+    admin: ['deleteClients', 'deleteRecords', 'manageTrainers', 'manageData', 'manageSettings', 'assignTrainers', 'logWorkouts'],
+    trainer: ['logWorkouts'],
+    frontdesk: ['assignTrainers']
+};
+
+const PIN_MIN_LENGTH = 4;
+const PIN_HASH_ITERATIONS = 100000;
+// After this many wrong PINs in a row, sign-in is refused for a while
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_LOCKOUT_MS = 30 * 1000;
+
+/**
+ * Read every account, PIN hashes included
+ * @returns {Array} Account records
+ */
+function readTrainerAccounts() {
+    try {
+        return JSON.parse(localStorage.getItem(TRAINERS_KEY)) || [];
+    } catch (error) {
+        console.error('Error reading trainer accounts:', error);
+        return [];
+    }
+}
+
+/**
+ * Save every account
+ * @param {Array} accounts - Account records
+ */
+function writeTrainerAccounts(accounts) {
+    localStorage.setItem(TRAINERS_KEY, JSON.stringify(accounts));
+}
+
+/**
+ * An account without its PIN hash
+ * @param {Object} account - Account record
+ * @returns {Object} { id, name, username, role, createdAt }
+ */
+function toPublicTrainer({ pinHash, pinSalt, ...trainer }) {
+    return trainer;
+}
+
+/**
+ * Whether trainer accounts have been set up
+ * Until the first account exists the app runs as a single user with every permission.
+ * @returns {boolean} True once an account exists
+ */
+function hasTrainerAccounts() {
+    return readTrainerAccounts().length > 0;
+}
+
+/**
+ * All accounts, sorted by name
+ * @returns {Array} Trainers (without PIN hashes)
+ */
+function getTrainers() {
+    return readTrainerAccounts()
+        .map(toPublicTrainer)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Accounts clients can be assigned to (front desk staff don't train anyone)
+ * @returns {Array} Trainers and admins
+ */
+function getAssignableTrainers() {
+    return getTrainers().filter(trainer => trainer.role !== 'frontdesk');
+}
+
+/**
+ * Display name of an account
+ * @param {string|null} trainerId - Account ID
+ * @returns {string} Name, or '' for no or a removed account
+ */
+function getTrainerName(trainerId) {
+    return readTrainerAccounts().find(trainer => trainer.id === trainerId)?.name || '';
+}
+
+/**
+ * Hash a PIN or password with PBKDF2 (Web Crypto)
+ * @param {string} pin - PIN or password
+ * @param {string} salt - Base64 salt
+ * @returns {Promise<string>} Base64 hash
+ * @throws {Error} If Web Crypto is unavailable (pages not served over https or localhost)
+ */
+async function hashPin(pin, salt) {
+    if (!window.crypto?.subtle) {
+        throw new Error(t('login.insecure'));
+    }
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        salt: Uint8Array.from(atob(salt), c => c.charCodeAt(0)),
+        iterations: PIN_HASH_ITERATIONS
+    }, key, 256);
+    return btoa(String.fromCharCode(...new Uint8Array(bits)));
+}
+
+/**
+ * A new random salt for hashPin
+ * @returns {string} Base64 salt
+ */
+function createPinSalt() {
+    return btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(16))));
+}
+
+/**
+ * Validate account data
+ * @param {Object} data - { name, username, role, pin, pinConfirm }
+ * @param {Object} options - { id: account being edited, requirePin }
+ * @returns {Object} { isValid, errors }
+ */
+function validateTrainerData(data, { id = null, requirePin = true } = {}) {
+    const errors = {};
+    const username = (data.username || '').trim().toLowerCase();
+    
+    if (!data.name || data.name.trim().length < 2) {
+        errors.name = t('validation.fullNameShort', { min: 2 });
+    }
+    if (!username) {
+        errors.username = t('login.usernameRequired');
+    } else if (!/^[a-z0-9._-]+$/.test(username)) {
+        errors.username = t('validation.usernameChars');
+    } else if (readTrainerAccounts().some(trainer => trainer.username === username && trainer.id !== id)) {
+        errors.username = t('validation.usernameTaken');
+    }
+    if (!TRAINER_ROLES[data.role]) {
+        errors.role = t('validation.roleRequired');
+    }
+    if (requirePin || data.pin) {
+        if (!data.pin || data.pin.length < PIN_MIN_LENGTH) {
+            errors.pin = t('validation.pinShort', { min: PIN_MIN_LENGTH });
+        } else if (data.pin !== data.pinConfirm) {
+            errors.pinConfirm = t('validation.pinMismatch');
+        }
+    }
+    
+    return { isValid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Check account data and throw if it is invalid
+ * @param {Object} data - See validateTrainerData
+ * @param {Object} options - See validateTrainerData
+ * @throws {Error} With an `errors` object
+ */
+function assertValidTrainer(data, options) {
+    const { isValid, errors } = validateTrainerData(data, options);
+    if (!isValid) {
+        const error = new Error(Object.values(errors)[0]);
+        error.errors = errors;
+        throw error;
+    }
+}
+
+/**
+ * Create an account
+ * The first account is always an admin and is signed in right away.
+ * @param {Object} data - { name, username, role, pin, pinConfirm }
+ * @returns {Promise<Object>} The new trainer (without PIN hash)
+ * @throws {Error} If the data is invalid or the current user is not an admin
+ */
+async function createTrainer(data) {
+    const accounts = readTrainerAccounts();
+    const first = accounts.length === 0;
+    if (!first) assertPermission('manageTrainers');
+    
+    const role = first ? 'admin' : data.role;
+    assertValidTrainer({ ...data, role });
+    
+    const pinSalt = createPinSalt();
+    const account = {
+        id: 'trainer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+        name: data.name.trim(),
+        username: data.username.trim().toLowerCase(),
+        role,
+        pinSalt,
+        pinHash: await hashPin(data.pin, pinSalt),
+        createdAt: new Date().toISOString()
+    };
+    writeTrainerAccounts([...accounts, account]);
+    if (first) sessionStorage.setItem(SESSION_KEY, JSON.stringify({ trainerId: account.id }));
+    return toPublicTrainer(account);
+}
+
+/**
+ * Change an account's name, role or PIN (a blank PIN keeps the old one)
+ * Admins can edit anyone; everyone else only their own name and PIN.
+ * @param {string} id - Account ID
+ * @param {Object} data - { name, username, role, pin, pinConfirm }
+ * @returns {Promise<Object>} Updated trainer
+ * @throws {Error} If not allowed, invalid, or it would leave no admin
+ */
+async function updateTrainer(id, data) {
+    const accounts = readTrainerAccounts();
+    const account = accounts.find(trainer => trainer.id === id);
+    if (!account) {
+        throw new Error(t('trainers.missing'));
+    }
+    if (getCurrentTrainer()?.id !== id) assertPermission('manageTrainers');
+    
+    const role = can('manageTrainers') ? data.role : account.role;
+    assertValidTrainer({ ...data, role }, { id, requirePin: false });
+    if (account.role === 'admin' && role !== 'admin' && accounts.filter(t => t.role === 'admin').length === 1) {
+        throw new Error(t('trainers.lastAdmin'));
+    }
+    
+    Object.assign(account, {
+        name: data.name.trim(),
+        username: data.username.trim().toLowerCase(),
+        role
+    });
+    if (data.pin) {
+        account.pinSalt = createPinSalt();
+        account.pinHash = await hashPin(data.pin, account.pinSalt);
+    }
+    writeTrainerAccounts(accounts);
+    return toPublicTrainer(account);
+}
+
+/**
+ * Remove an account; its clients become unassigned
+ * @param {string} id - Account ID
+ * @returns {Promise<number>} Number of clients unassigned
+ * @throws {Error} If not an admin, or for the current or last admin account
+ */
+async function removeTrainer(id) {
+    assertPermission('manageTrainers');
+    const accounts = readTrainerAccounts();
+    if (id === getCurrentTrainer()?.id) {
+        throw new Error(t('trainers.removeSelf'));
+    }
+    
+    writeTrainerAccounts(accounts.filter(trainer => trainer.id !== id));
+    const assigned = (await getClients()).filter(client => client.trainerId === id);
+    for (const client of assigned) {
+        await updateClient(client.id, { trainerId: null });
+    }
+    return assigned.length;
+}
+
+/**
+ * Sign in with a username and PIN
+ * @param {string} username - Username
+ * @param {string} pin - PIN or password
+ * @returns {Promise<Object>} The signed-in trainer
+ * @throws {Error} For a wrong username or PIN, or while locked out
+ */
+async function signIn(username, pin) {
+    const name = (username || '').trim().toLowerCase();
+    const attempts = JSON.parse(localStorage.getItem(LOGIN_ATTEMPTS_KEY) || '{}');
+    const failed = attempts[name] || { count: 0, at: 0 };
+    const waitMs = failed.at + LOGIN_LOCKOUT_MS - Date.now();
+    if (failed.count >= LOGIN_MAX_ATTEMPTS && waitMs > 0) {
+        throw new Error(t('login.lockedOut', { count: Math.ceil(waitMs / 1000) }));
+    }
+    
+    const account = readTrainerAccounts().find(trainer => trainer.username === name);
+    // Hash even for an unknown user so both cases take as long
+    const hash = await hashPin(pin || '', account?.pinSalt || createPinSalt());
+    if (!account || hash !== account.pinHash) {
+        attempts[name] = { count: (failed.count % LOGIN_MAX_ATTEMPTS) + 1, at: Date.now() };
+        localStorage.setItem(LOGIN_ATTEMPTS_KEY, JSON.stringify(attempts));
+        throw new Error(t('login.wrongPin'));
+    }
+    
+    delete attempts[name];
+    localStorage.setItem(LOGIN_ATTEMPTS_KEY, JSON.stringify(attempts));
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify({ trainerId: account.id }));
+    return toPublicTrainer(account);
+}
+
+/**
+ * Sign out of this browser tab
+ */
+function signOut() {
+    sessionStorage.removeItem(SESSION_KEY);
+}
+
+/**
+ * The signed-in trainer
+ * @returns {Object|null} Trainer, or null when nobody is signed in
+ */
+function getCurrentTrainer() {
+    try {
+        const session = JSON.parse(sessionStorage.getItem(SESSION_KEY));
+        const account = readTrainerAccounts().find(trainer => trainer.id === session?.trainerId);
+        return account ? toPublicTrainer(account) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether the current user may do something
+ * Everything is allowed until trainer accounts are set up.
+ * @param {string} permission - Key from ROLE_PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+function can(permission) {
+    if (!hasTrainerAccounts()) return true;
+    const trainer = getCurrentTrainer();
+    return Boolean(trainer && ROLE_PERMISSIONS[trainer.role]?.includes(permission));
+}
+
+/**
+ * Throw unless the current user may do something
+ * @param {string} permission - Key from ROLE_PERMISSIONS
+ * @throws {Error} With a `permission` property
+ */
+function assertPermission(permission) {
+    if (can(permission)) return;
+    const roles = Object.keys(ROLE_PERMISSIONS)
+        .filter(role => ROLE_PERMISSIONS[role].includes(permission))
+        .map(role => translateValue(TRAINER_ROLES[role]));
+    const error = new Error(t('trainers.onlyRoles', { roles: formatList(roles, 'disjunction') }));
+    error.permission = permission;
+    throw error;
+}
+
+/**
+ * Gate a page behind sign-in and show who is signed in
+ * Does nothing until trainer accounts are set up. Call first thing
+ * in a page script.
+ * @returns {boolean} False if the page is redirecting to login.html
+ */
+function requireSignIn() {
+    if (!hasTrainerAccounts()) return true;
+    
+    const trainer = getCurrentTrainer();
+    if (!trainer) {
+        const next = window.location.pathname.split('/').pop() + window.location.search;
+        window.location.replace(`login.html?next=${encodeURIComponent(next)}`);
+        return false;
+    }
+    
+    const menu = document.createElement('div');
+    menu.className = 'account-menu';
+    menu.innerHTML = `
+        <span class="account-name"></span>
+        <button type="button" class="btn btn-ghost btn-sm">${t('account.signOut')}</button>
+    `;
+    menu.querySelector('.account-name').textContent = `${trainer.name} · ${translateValue(TRAINER_ROLES[trainer.role])}`;
+    menu.querySelector('button').addEventListener('click', () => {
+        signOut();
+        window.location.href = 'login.html';
+    });
+    document.querySelector('.header-inner')?.appendChild(menu);
+    return true;
+}
+
+// ============================================
+// Duplicate Detection & Merge
+// ============================================
+
+// Names at least this similar (0–1, after normalizing) count as a possible duplicate
+const DUPLICATE_NAME_SIMILARITY = 0.85;
+// Shorter phone numbers are too ambiguous to compare
+const DUPLICATE_MIN_PHONE_DIGITS = 8;
+const DUPLICATE_REASON_LABELS = {
+    email: 'Same email',
+    phone: 'Same phone number',
+    name: 'Similar name'
+};
+
+/**
+ * Normalize an email for comparison
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lowercase email
+ */
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Normalize a phone number for comparison
+ * Keeps the digits only and drops an international "00" or trunk "0" prefix.
+ * @param {string} phone - Phone number as typed
+ * @returns {string} Digits
+ */
+function normalizePhone(phone) {
+    return String(phone || '').replace(/\D/g, '').replace(/^0+/, '');
+}
+
+/**
+ * Whether two phone numbers are the same line
+ * "+20 10 1234 5678" and "010-1234-5678" match: one number may carry a
+ * country code the other leaves out.
+ * @param {string} a - Phone number
+ * @param {string} b - Phone number
+ * @returns {boolean} True if they match
+ */
+function phonesMatch(a, b) {
+    const digitsA = normalizePhone(a);
+    const digitsB = normalizePhone(b);
+    if (Math.min(digitsA.length, digitsB.length) < DUPLICATE_MIN_PHONE_DIGITS) return false;
+    return digitsA.endsWith(digitsB) || digitsB.endsWith(digitsA);
+}
+
+/**
+ * Normalize a name for comparison
+ * Lowercase, accents removed, punctuation dropped and the words sorted,
+ * so "Ahmed, Sara" and "sara ahmed" compare equal.
+ * @param {string} name - Full name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .sort()
+        .join(' ');
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function getLevenshteinDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Similarity of two names, from 0 (nothing alike) to 1 (same after normalizing)
+ * @param {string} a - Full name
+ * @param {string} b - Full name
+ * @returns {number} Similarity
+ */
+function getNameSimilarity(a, b) {
+    const nameA = normalizeName(a);
+    const nameB = normalizeName(b);
+    const length = Math.max(nameA.length, nameB.length);
+    if (length === 0) return 0;
+    return 1 - getLevenshteinDistance(nameA, nameB) / length;
+}
+
+/**
+ * Why two clients look like the same person
+ * @param {Object} a - Client (or form data)
+ * @param {Object} b - Client
+ * @returns {Array<string>} Keys of DUPLICATE_REASON_LABELS; empty if they differ
+ */
+function getDuplicateReasons(a, b) {
+    const reasons = [];
+    if (normalizeEmail(a.email) && normalizeEmail(a.email) === normalizeEmail(b.email)) reasons.push('email');
+    if (phonesMatch(a.phone, b.phone)) reasons.push('phone');
+    if (getNameSimilarity(a.fullName, b.fullName) >= DUPLICATE_NAME_SIMILARITY) reasons.push('name');
+    return reasons;
+}
+
+/**
+ * Existing clients that may be the same person as new or edited client data
+ * @param {Object} data - Client data ({ fullName, email, phone })
+ * @param {Array} clients - Clients to compare against
+ * @param {string} ignoreId - Client being edited, left out of the results
+ * @returns {Array<Object>} { client, reasons }, strongest matches first
+ */
+function findDuplicateClients(data, clients, ignoreId = null) {
+    return clients
+        .filter(client => client.id !== ignoreId)
+        .map(client => ({ client, reasons: getDuplicateReasons(data, client) }))
+        .filter(match => match.reasons.length > 0)
+        .sort((a, b) => b.reasons.length - a.reasons.length);
+}
+
+/**
+ * Every pair of clients that may be the same person
+ * @param {Array} clients - Clients to check
+ * @returns {Array<Object>} { a, b, reasons }, strongest matches first
+ */
+function findDuplicateGroups(clients) {
+    const pairs = [];
+    clients.forEach((a, index) => {
+        clients.slice(index + 1).forEach(b => {
+            const reasons = getDuplicateReasons(a, b);
+            if (reasons.length > 0) pairs.push({ a, b, reasons });
+        });
+    });
+    return pairs.sort((x, y) => y.reasons.length - x.reasons.length);
+}
+
+/**
+ * Describe possible duplicates in one line
+ * @param {Array<Object>} duplicates - Result of findDuplicateClients
+ * @returns {string} e.g. "Same email as Sara Ahmed"
+ */
+function describeDuplicates(duplicates) {
+    const [{ client, reasons }] = duplicates;
+    const params = {
+        reasons: formatList(reasons.map(reason => translateValue(DUPLICATE_REASON_LABELS[reason]))),
+        name: client.fullName,
+        count: duplicates.length - 1
+    };
+    return duplicates.length > 1 ? t('clients.duplicateOfMore', params) : t('clients.duplicateOf', params);
+}
+
+/**
+ * Throw if there are possible duplicates
+ * @param {Array<Object>} duplicates - Result of findDuplicateClients
+ * @throws {Error} With the `duplicates` list
+ */
+function assertNoDuplicates(duplicates) {
+    if (duplicates.length === 0) return;
+    const error = new Error(t('clients.possibleDuplicate', { detail: describeDuplicates(duplicates) }));
+    error.duplicates = duplicates;
+    throw error;
+}
+
+/**
+ * Key that identifies the same logged session in two histories
+ * @param {Object} entry - Exercise history entry
+ * @returns {string} Date and lowercase title
+ */
+function getEntryMergeKey(entry) {
+    return `${entry.date}|${String(entry.title || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Combine two client records into one, without saving
+ * Profile fields come from `primary` unless `profile` picks other values.
+ * Exercise history is the union of both; entries on the same date with
+ * the same title are one session, and the one with more exercises logged
+ * is kept (the primary's on a tie). Entries taken from `secondary` get new
+ * IDs, and credits used by a dropped duplicate are not counted twice.
+ * Measurements on the same date and sessions at the same date and time
+ * are likewise kept once. Everything else is the union of both, and the
+ * primary's membership, program, assessment and custom field values win
+ * when both have one.
+ * @param {Object} primary - Client that is kept
+ * @param {Object} secondary - Client merged into it
+ * @param {Object} profile - Chosen values for profile fields (see CLIENT_CSV_FIELDS)
+ * @returns {Object} Merged client with the primary's ID
+ */
+function combineClientRecords(primary, secondary, profile = {}) {
+    const dropped = new Set();
+    const entryIds = {};
+    
+    const history = [...(primary.exerciseHistory || [])];
+    (secondary.exerciseHistory || []).forEach(entry => {
+        const copy = { ...entry, id: generateId() };
+        entryIds[entry.id] = copy.id;
+        const index = history.findIndex(existing => getEntryMergeKey(existing) === getEntryMergeKey(entry));
+        if (index === -1) {
+            history.push(copy);
+        } else if ((entry.exercises || []).length > (history[index].exercises || []).length) {
+            dropped.add(history[index].id);
+            history[index] = copy;
+        } else {
+            dropped.add(copy.id);
+        }
+    });
+    
+    const unionBy = (key, getKey) => {
+        const items = [...(primary[key] || [])];
+        const seen = new Set(items.map(getKey));
+        (secondary[key] || []).forEach(item => {
+            if (!seen.has(getKey(item))) items.push(item);
+        });
+        return items;
+    };
+    
+    const creditLog = [
+        ...(primary.creditLog || []),
+        ...(secondary.creditLog || []).map(item => item.entryId ? { ...item, entryId: entryIds[item.entryId] } : item)
+    ].filter(item => !dropped.has(item.entryId));
+    
+    const profileFields = Object.fromEntries(CLIENT_CSV_FIELDS.map(({ key }) => [
+        key,
+        key in profile ? profile[key] : primary[key]
+    ]));
+    
+    // Custom field values the primary left empty come from the secondary
+    const customFields = { ...(primary.customFields || {}) };
+    Object.entries(secondary.customFields || {}).forEach(([id, value]) => {
+        if (isEmptyCustomFieldValue(customFields[id])) customFields[id] = value;
+    });
+    
+    return {
+        ...primary,
+        ...profileFields,
+        createdAt: [primary.createdAt, secondary.createdAt].filter(Boolean).sort()[0],
+        exerciseHistory: history,
+        measurements: unionBy('measurements', m => m.date),
+        sessions: unionBy('sessions', s => `${s.date}|${s.time}`),
+        ledger: unionBy('ledger', e => e.id),
+        packs: unionBy('packs', p => p.id),
+        creditLog: creditLog.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || '')),
+        membership: primary.membership || secondary.membership || null,
+        program: primary.program || secondary.program || null,
+        assessment: primary.assessment || secondary.assessment || null,
+        customFields
+    };
+}
+
+/**
+ * Merge one client into another
+ * The primary client gets the combined record (see combineClientRecords)
+ * and the secondary client moves to the trash. Both steps are audited.
+ * @param {string} primaryId - Client that is kept
+ * @param {string} secondaryId - Client merged into it
+ * @param {Object} profile - Chosen values for profile fields
+ * @returns {Promise<Object|null>} { client, auditIds }, or null if either client is missing
+ * @throws {Error} If both IDs are the same or the current user is not an admin
+ */
+async function mergeClients(primaryId, secondaryId, profile = {}) {
+    assertPermission('deleteClients');
+    if (primaryId === secondaryId) {
+        throw new Error(t('clients.mergeSame'));
+    }
+    const [primary, secondary] = await Promise.all([getClientById(primaryId), getClientById(secondaryId)]);
+    if (!primary || !secondary) return null;
+    
+    const { id, updatedAt, ...merged } = combineClientRecords(primary, secondary, profile);
+    const client = await recordMutation(primaryId, `Merged with ${secondary.fullName}`, () => updateClient(primaryId, merged));
+    const auditIds = [getLastAuditRecord()?.id];
+    
+    await recordMutation(secondaryId, `Merged into ${client.fullName}`, () => updateClient(secondaryId, {
+        deletedAt: new Date().toISOString()
+    }), 'delete');
+    auditIds.push(getLastAuditRecord()?.id);
+    
+    return { client, auditIds: auditIds.filter(Boolean) };
+}
+
+// ============================================
+// Workout Logging
+// ============================================
+const WEIGHT_UNITS = ['kg', 'lb'];
+const LB_TO_KG = 0.45359237;
+
+/**
+ * Numeric fields of a logged exercise with their allowed ranges
+ * Labels are the `exercise.<field>` messages.
+ */
+const EXERCISE_LOG_FIELDS = {
+    sets: { min: 1, max: 100, integer: true },
+    reps: { min: 1, max: 1000, integer: true },
+    weight: { min: 0, max: 1000 },
+    durationMinutes: { min: 0, max: 1440 },
+    distanceKm: { min: 0, max: 1000 },
+    rpe: { min: 1, max: 10 }
+};
+
+/**
+ * Parse an optional numeric input
+ * @param {*} value - Raw value
+ * @returns {number|null} Number, or null when empty
+ */
+function toNumberOrNull(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    return Number(value);
+}
+
+/**
+ * Validate a session entry
+ * Exercise errors are keyed "exercises.<index>.<field>" to match the form.
+ * @param {Object} data - { date, title, exercises: [{ name, sets, reps, weight, weightUnit, durationMinutes, distanceKm, rpe }] }
+ * @returns {Object} { isValid: boolean, errors: Object }
+ */
+function validateExerciseEntry(data) {
+    const errors = {};
+    
+    if (!data.date || isNaN(new Date(data.date))) {
+        errors.date = t('validation.dateInvalid');
+    }
+    if (!String(data.title || '').trim()) {
+        errors.title = t('validation.sessionTitleRequired');
+    }
+    
+    (data.exercises || []).forEach((exercise, index) => {
+        validateLoggedExercise(exercise, `exercises.${index}`, errors);
+    });
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate one exercise row (name plus the EXERCISE_LOG_FIELDS numbers)
+ * @param {Object} exercise - { name, sets, reps, weight, weightUnit, ... }
+ * @param {string} prefix - Error key prefix, e.g. "exercises.0"
+ * @param {Object} errors - Errors object to add to
+ */
+function validateLoggedExercise(exercise, prefix, errors) {
+    if (!String(exercise.name || '').trim()) {
+        errors[`${prefix}.name`] = t('validation.exerciseNameRequired');
+    }
+    
+    Object.entries(EXERCISE_LOG_FIELDS).forEach(([field, rule]) => {
+        const value = toNumberOrNull(exercise[field]);
+        if (value === null) return;
+        const label = t(`exercise.${field}`);
+        if (isNaN(value) || value < rule.min || value > rule.max) {
+            errors[`${prefix}.${field}`] = t('validation.between', { label, min: rule.min, max: rule.max });
+        } else if (rule.integer && !Number.isInteger(value)) {
+            errors[`${prefix}.${field}`] = t('validation.wholeNumber', { label });
+        }
+    });
+    
+    if (exercise.weightUnit && !WEIGHT_UNITS.includes(exercise.weightUnit)) {
+        errors[`${prefix}.weightUnit`] = t('validation.weightUnit');
+    }
+}
+
+/**
+ * Normalize a session entry for storage
+ * Numbers are parsed, empty fields dropped, and tags mirror the exercise
+ * names so tag-based views keep working. Tag-only entries pass through.
+ * @param {Object} data - Raw entry data
+ * @returns {Object} Entry data ready to save
+ */
+function normalizeExerciseEntry(data) {
+    const exercises = (data.exercises || []).map(exercise => {
+        const normalized = { name: String(exercise.name).trim() };
+        Object.keys(EXERCISE_LOG_FIELDS).forEach(field => {
+            const value = toNumberOrNull(exercise[field]);
+            if (value !== null) normalized[field] = value;
+        });
+        if (normalized.weight !== undefined) {
+            normalized.weightUnit = exercise.weightUnit || 'kg';
+        }
+        return normalized;
+    });
+    
+    const entry = {
+        ...data,
+        date: data.date,
+        title: String(data.title || '').trim(),
+        notes: String(data.notes || '').trim()
+    };
+    
+    if (exercises.length > 0) {
+        entry.exercises = exercises;
+        entry.tags = exercises.map(exercise => exercise.name);
+    } else {
+        delete entry.exercises;
+        entry.tags = Array.isArray(data.tags) ? data.tags : [];
+    }
+    
+    return entry;
+}
+
+/**
+ * Convert a logged load to kilograms
+ * @param {Object} exercise - Logged exercise
+ * @returns {number} Load in kg (0 when no load was logged)
+ */
+function getWeightKg(exercise) {
+    if (!exercise.weight) return 0;
+    return exercise.weightUnit === 'lb' ? exercise.weight * LB_TO_KG : exercise.weight;
+}
+
+/**
+ * Total training volume of a session (sets × reps × load) in kg
+ * @param {Object} entry - Exercise history entry
+ * @returns {number} Volume in kg
+ */
+function getEntryVolumeKg(entry) {
+    return (entry.exercises || []).reduce((total, exercise) =>
+        total + (exercise.sets || 1) * (exercise.reps || 0) * getWeightKg(exercise), 0);
+}
+
+/**
+ * Total logged duration of a session in minutes
+ * @param {Object} entry - Exercise history entry
+ * @returns {number} Minutes
+ */
+function getEntryDurationMinutes(entry) {
+    return (entry.exercises || []).reduce((total, exercise) => total + (exercise.durationMinutes || 0), 0);
+}
+
+// ============================================
+// Progress & Personal Records
+// ============================================
+
+/**
+ * Labels for the kinds of personal record that are tracked
+ */
+const PERSONAL_RECORD_TYPES = {
+    weight: 'Heaviest load',
+    volume: 'Best volume',
+    distance: 'Longest distance'
+};
+
+/**
+ * Best values per record type for one logged exercise
+ * @param {Object} exercise - Logged exercise
+ * @returns {Object} { weight, volume, distance } (0 when not logged)
+ */
+function getExerciseMetrics(exercise) {
+    const weight = getWeightKg(exercise);
+    return {
+        weight,
+        volume: (exercise.sets || 1) * (exercise.reps || 0) * weight,
+        distance: exercise.distanceKm || 0
+    };
+}
+
+/**
+ * All-time best of each record type per exercise name
+ * @param {Array} history - Exercise history entries
+ * @returns {Object} Map of lower-case exercise name -> { name, weight, volume, distance, dates }
+ */
+function getExerciseBests(history) {
+    const bests = {};
+    history.forEach(entry => {
+        (entry.exercises || []).forEach(exercise => {
+            const key = exercise.name.toLowerCase();
+            const best = bests[key] || (bests[key] = { name: exercise.name, weight: 0, volume: 0, distance: 0, dates: {} });
+            const metrics = getExerciseMetrics(exercise);
+            Object.keys(PERSONAL_RECORD_TYPES).forEach(type => {
+                if (metrics[type] > best[type]) {
+                    best[type] = metrics[type];
+                    best.dates[type] = entry.date;
+                }
+            });
+        });
+    });
+    return bests;
+}
+
+/**
+ * Find the personal records an entry sets against the rest of the history
+ * Only beating an earlier value counts; the first time an exercise is
+ * logged sets a baseline, not a record.
+ * @param {Array} history - Other exercise history entries
+ * @param {Object} entry - Entry being saved
+ * @returns {Array} [{ exercise, type, value, previous }]
+ */
+function findPersonalRecords(history, entry) {
+    const bests = getExerciseBests(history.filter(other => other.id !== entry.id));
+    const records = [];
+    
+    (entry.exercises || []).forEach(exercise => {
+        const best = bests[exercise.name.toLowerCase()];
+        if (!best) return;
+        const metrics = getExerciseMetrics(exercise);
+        Object.keys(PERSONAL_RECORD_TYPES).forEach(type => {
+            const alreadyCounted = records.some(r => r.exercise.toLowerCase() === exercise.name.toLowerCase() && r.type === type);
+            if (best[type] > 0 && metrics[type] > best[type] && !alreadyCounted) {
+                records.push({
+                    exercise: exercise.name,
+                    type,
+                    value: Math.round(metrics[type] * 10) / 10,
+                    previous: Math.round(best[type] * 10) / 10
+                });
+            }
+        });
+    });
+    
+    return records;
+}
+
+/**
+ * Describe a personal record for badges and toasts
+ * @param {Object} record - Item from findPersonalRecords
+ * @returns {string} e.g. "Back Squat: heaviest load 105 kg"
+ */
+function describePersonalRecord(record) {
+    return t(`clientView.record.${record.type}`, { exercise: record.exercise, value: record.value });
+}
+
+/**
+ * Total volume per session, oldest first
+ * @param {Array} history - Exercise history entries
+ * @returns {Array} [{ date, value }] for sessions with logged load
+ */
+function getVolumeSeries(history) {
+    return history
+        .map(entry => ({ date: entry.date, value: Math.round(getEntryVolumeKg(entry)) }))
+        .filter(point => point.value > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Heaviest load per session for one exercise, oldest first
+ * @param {Array} history - Exercise history entries
+ * @param {string} exerciseName - Exercise to chart
+ * @returns {Array} [{ date, value }]
+ */
+function getMaxWeightSeries(history, exerciseName) {
+    const key = exerciseName.toLowerCase();
+    return history
+        .map(entry => {
+            const weights = (entry.exercises || [])
+                .filter(exercise => exercise.name.toLowerCase() === key)
+                .map(getWeightKg);
+            return { date: entry.date, value: Math.round(Math.max(0, ...weights) * 10) / 10 };
+        })
+        .filter(point => point.value > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Names of exercises that have been logged with a load
+ * @param {Array} history - Exercise history entries
+ * @returns {Array<string>} Exercise names, most frequently logged first
+ */
+function getWeightedExerciseNames(history) {
+    const counts = {};
+    history.forEach(entry => {
+        (entry.exercises || []).forEach(exercise => {
+            if (!exercise.weight) return;
+            const key = exercise.name.toLowerCase();
+            counts[key] = counts[key] || { name: exercise.name, count: 0 };
+            counts[key].count++;
+        });
+    });
+    return Object.values(counts).sort((a, b) => b.count - a.count).map(item => item.name);
+}
+
+/**
+ * Monday 00:00 (local time) of the week containing a date
+ * @param {Date} date - Any date
+ * @returns {Date} Start of that week
+ */
+function getWeekStart(date) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+}
+
+/**
+ * Sessions per week from the first logged week up to this week
+ * @param {Array} history - Exercise history entries
+ * @param {number} maxWeeks - Most recent weeks to include
+ * @returns {Array} [{ weekStart: Date, count }] oldest first
+ */
+function getWeeklySessionCounts(history, maxWeeks = 52) {
+    if (history.length === 0) return [];
+    
+    const weekMs = 7 * 24 * 60 * 60 * 1000;
+    const thisWeek = getWeekStart(new Date());
+    const firstWeek = getWeekStart(parseDateOnly(
+        history.reduce((min, entry) => entry.date < min ? entry.date : min, history[0].date)
+    ));
+    const weeks = Math.min(maxWeeks, Math.round((thisWeek - firstWeek) / weekMs) + 1);
+    
+    const buckets = [];
+    for (let i = weeks - 1; i >= 0; i--) {
+        const weekStart = new Date(thisWeek);
+        weekStart.setDate(weekStart.getDate() - i * 7);
+        buckets.push({ weekStart, count: 0 });
+    }
+    
+    history.forEach(entry => {
+        const weekStart = getWeekStart(parseDateOnly(entry.date)).getTime();
+        const bucket = buckets.find(b => b.weekStart.getTime() === weekStart);
+        if (bucket) bucket.count++;
+    });
+    
+    return buckets;
+}
+
+// ============================================
+// Body Metrics & Assessment
+// ============================================
+
+/**
+ * Measurement fields with units and plausible ranges
+ * Labels are the `measurement.<field>` messages.
+ */
+const MEASUREMENT_FIELDS = {
+    weightKg: { unit: 'kg', min: 20, max: 400 },
+    heightCm: { unit: 'cm', min: 50, max: 250 },
+    bodyFatPct: { unit: '%', min: 1, max: 75 },
+    waistCm: { unit: 'cm', min: 10, max: 300 },
+    hipsCm: { unit: 'cm', min: 10, max: 300 },
+    chestCm: { unit: 'cm', min: 10, max: 300 },
+    armCm: { unit: 'cm', min: 5, max: 150 },
+    thighCm: { unit: 'cm', min: 10, max: 200 },
+    restingHeartRate: { unit: 'bpm', min: 25, max: 220 }
+};
+
+/**
+ * Which metric each goal is tracked against, and which direction is progress
+ */
+const GOAL_FOCUS_METRICS = {
+    'Weight Loss': { field: 'weightKg', direction: 'down' },
+    'Muscle Gain': { field: 'weightKg', direction: 'up' },
+    'General Fitness': { field: 'restingHeartRate', direction: 'down' },
+    'Other': { field: 'weightKg', direction: null }
+};
+
+/**
+ * Validate a measurement entry
+ * @param {Object} data - { date, weightKg, heightCm, ... , notes }
+ * @returns {Object} { isValid: boolean, errors: Object }
+ */
+function validateMeasurement(data) {
+    const errors = {};
+    
+    if (!data.date || isNaN(new Date(data.date))) {
+        errors.date = t('validation.dateInvalid');
+    }
+    
+    let hasValue = false;
+    Object.entries(MEASUREMENT_FIELDS).forEach(([field, rule]) => {
+        const value = toNumberOrNull(data[field]);
+        if (value === null) return;
+        hasValue = true;
+        if (isNaN(value) || value < rule.min || value > rule.max) {
+            errors[field] = t('validation.betweenUnit', { label: t(`measurement.${field}`), min: rule.min, max: rule.max, unit: rule.unit });
+        }
+    });
+    
+    if (!hasValue && !errors.date) {
+        errors.weightKg = t('validation.measurementRequired');
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Normalize a measurement for storage (numbers parsed, empty fields dropped)
+ * @param {Object} data - Raw measurement data
+ * @returns {Object} Measurement ready to save (without id)
+ */
+function normalizeMeasurement(data) {
+    const measurement = { date: data.date, notes: String(data.notes || '').trim() };
+    Object.keys(MEASUREMENT_FIELDS).forEach(field => {
+        const value = toNumberOrNull(data[field]);
+        if (value !== null) measurement[field] = value;
+    });
+    return measurement;
+}
+
+/**
+ * Check a measurement and throw if it is invalid
+ * @param {Object} data - Measurement data
+ * @throws {Error} With an `errors` object (see validateMeasurement)
+ */
+function assertValidMeasurement(data) {
+    const { isValid, errors } = validateMeasurement(data);
+    if (!isValid) {
+        const error = new Error(Object.values(errors)[0]);
+        error.errors = errors;
+        throw error;
+    }
+}
+
+/**
+ * Add a dated measurement to a client
+ * @param {string} clientId - Client ID
+ * @param {Object} data - Measurement data
+ * @returns {Promise<Object|null>} Updated client or null
+ * @throws {Error} If the measurement fails validation
+ */
+async function addMeasurement(clientId, data) {
+    assertValidMeasurement(data);
+    const client = await getClientById(clientId);
+    if (!client) return null;
+    
+    const measurements = [...(client.measurements || []), { id: generateId(), ...normalizeMeasurement(data) }];
+    return updateClient(clientId, { measurements });
+}
+
+/**
+ * Update one measurement
+ * @param {string} clientId - Client ID
+ * @param {string} measurementId - Measurement ID
+ * @param {Object} data - Full measurement data
+ * @returns {Promise<Object|null>} Updated client or null if client/measurement not found
+ * @throws {Error} If the measurement fails validation
+ */
+async function updateMeasurement(clientId, measurementId, data) {
+    assertValidMeasurement(data);
+    const client = await getClientById(clientId);
+    const measurements = client?.measurements || [];
+    if (!measurements.some(m => m.id === measurementId)) return null;
+    
+    return updateClient(clientId, {
+        measurements: measurements.map(m =>
+            m.id === measurementId ? { id: measurementId, ...normalizeMeasurement(data) } : m
+        )
+    });
+}
+
+/**
+ * Delete one measurement
+ * @param {string} clientId - Client ID
+ * @param {string} measurementId - Measurement ID
+ * @returns {Promise<Object|null>} Updated client or null if client/measurement not found
+ * @throws {Error} If the current user is not an admin
+ */
+async function deleteMeasurement(clientId, measurementId) {
+    assertPermission('deleteRecords');
+    const client = await getClientById(clientId);
+    const measurements = client?.measurements || [];
+    const filtered = measurements.filter(m => m.id !== measurementId);
+    if (filtered.length === measurements.length) return null;
+    
+    return updateClient(clientId, { measurements: filtered });
+}
+
+/**
+ * Save the client's initial assessment
+ * @param {string} clientId - Client ID
+ * @param {Object} data - { date, targetWeightKg, notes }
+ * @returns {Promise<Object|null>} Updated client or null
+ * @throws {Error} If the target weight is out of range
+ */
+async function saveAssessment(clientId, data) {
+    const targetWeightKg = toNumberOrNull(data.targetWeightKg);
+    const rule = MEASUREMENT_FIELDS.weightKg;
+    if (targetWeightKg !== null && (isNaN(targetWeightKg) || targetWeightKg < rule.min || targetWeightKg > rule.max)) {
+        const error = new Error(t('validation.betweenUnit', { label: t('clientView.targetWeightLabel'), min: rule.min, max: rule.max, unit: rule.unit }));
+        error.errors = { targetWeightKg: error.message };
+        throw error;
+    }
+    
+    return updateClient(clientId, {
+        assessment: {
+            date: data.date || '',
+            targetWeightKg,
+            notes: String(data.notes || '').trim()
+        }
+    });
+}
+
+/**
+ * Measurements sorted oldest first
+ * @param {Array} measurements - Measurement entries
+ * @returns {Array} Sorted copy
+ */
+function sortMeasurements(measurements) {
+    return [...(measurements || [])].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Values of one field over time, oldest first
+ * @param {Array} measurements - Measurement entries
+ * @param {string} field - Key of MEASUREMENT_FIELDS
+ * @returns {Array} [{ date, value }]
+ */
+function getMeasurementSeries(measurements, field) {
+    return sortMeasurements(measurements)
+        .filter(m => typeof m[field] === 'number')
+        .map(m => ({ date: m.date, value: m[field] }));
+}
+
+/**
+ * First and latest value of a field and the change between them
+ * @param {Array} measurements - Measurement entries
+ * @param {string} field - Key of MEASUREMENT_FIELDS
+ * @returns {Object|null} { start, latest, change, startDate, latestDate } or null if never measured
+ */
+function getMeasurementChange(measurements, field) {
+    const series = getMeasurementSeries(measurements, field);
+    if (series.length === 0) return null;
+    const first = series[0];
+    const last = series[series.length - 1];
+    return {
+        start: first.value,
+        latest: last.value,
+        change: Math.round((last.value - first.value) * 10) / 10,
+        startDate: first.date,
+        latestDate: last.date
+    };
+}
+
+/**
+ * Body mass index
+ * @param {number} weightKg - Weight in kg
+ * @param {number} heightCm - Height in cm
+ * @returns {number|null} BMI rounded to one decimal, or null without both values
+ */
+function calculateBmi(weightKg, heightCm) {
+    if (!weightKg || !heightCm) return null;
+    const heightM = heightCm / 100;
+    return Math.round((weightKg / (heightM * heightM)) * 10) / 10;
+}
+
+/**
+ * WHO adult BMI category
+ * @param {number} bmi - Body mass index
+ * @returns {string} Category label
+ */
+function getBmiCategory(bmi) {
+    if (bmi < 18.5) return 'Underweight';
+    if (bmi < 25) return 'Healthy weight';
+    if (bmi < 30) return 'Overweight';
+    return 'Obese';
+}
+
+/**
+ * BMI from the latest weight and the latest known height
+ * (height is usually measured once, so it is carried forward)
+ * @param {Array} measurements - Measurement entries
+ * @returns {Object|null} { bmi, category } or null
+ */
+function getLatestBmi(measurements) {
+    const weight = getMeasurementChange(measurements, 'weightKg');
+    const height = getMeasurementChange(measurements, 'heightCm');
+    const bmi = calculateBmi(weight?.latest, height?.latest);
+    return bmi === null ? null : { bmi, category: getBmiCategory(bmi) };
+}
+
+/**
+ * Progress of the client's goal metric, e.g. weight against target for Weight Loss
+ * @param {Object} client - Client with measurements and assessment
+ * @returns {Object|null} { field, direction, start, latest, change, target, percent, onTrack } or null
+ */
+function getGoalProgress(client) {
+    const focus = GOAL_FOCUS_METRICS[client.goal] || GOAL_FOCUS_METRICS.Other;
+    const change = getMeasurementChange(client.measurements, focus.field);
+    if (!change) return null;
+    
+    const target = focus.field === 'weightKg' ? (client.assessment?.targetWeightKg ?? null) : null;
+    let percent = null;
+    if (target !== null && target !== change.start) {
+        percent = Math.round(((change.start - change.latest) / (change.start - target)) * 100);
+        percent = Math.max(0, Math.min(100, percent));
+    }
+    
+    let onTrack = null;
+    if (focus.direction === 'down') onTrack = change.change <= 0;
+    if (focus.direction === 'up') onTrack = change.change >= 0;
+    if (target !== null) onTrack = Math.abs(change.latest - target) <= Math.abs(change.start - target);
+    
+    return { ...focus, ...change, target, percent, onTrack };
+}
+
+// ============================================
+// Training Programs
+// ============================================
+
+const PROGRAM_TEMPLATES_KEY = 'fitcrm_program_templates';
+const PROGRAM_MAX_WEEKS = 52;
+
+/**
+ * Built-in templates, saved the first time templates are read
+ * @returns {Array} Program templates
+ */
+function getSampleProgramTemplates() {
+    const day = (weekday, title, exercises) => ({ id: generateId(), weekday, title, exercises });
+    return [
+        {
+            id: generateId(),
+            name: '4-Week Hypertrophy',
+            description: 'Upper/lower/full-body split with moderate reps for muscle growth.',
+            weeks: 4,
+            days: [
+                day(1, 'Upper Body', [
+                    { name: 'Bench Press', sets: 4, reps: 8 },
+                    { name: 'Bent Over Row', sets: 4, reps: 8 },
+                    { name: 'Shoulder Press', sets: 3, reps: 10 },
+                    { name: 'Biceps Curl', sets: 3, reps: 12 }
+                ]),
+                day(3, 'Lower Body', [
+                    { name: 'Squats', sets: 4, reps: 8 },
+                    { name: 'Romanian Deadlift', sets: 3, reps: 10 },
+                    { name: 'Lunges', sets: 3, reps: 12 },
+                    { name: 'Calf Raises', sets: 3, reps: 15 }
+                ]),
+                day(5, 'Full Body', [
+                    { name: 'Deadlift', sets: 3, reps: 5 },
+                    { name: 'Incline Dumbbell Press', sets: 3, reps: 10 },
+                    { name: 'Pull-ups', sets: 3, reps: 8 },
+                    { name: 'Plank', sets: 3, durationMinutes: 1 }
+                ])
+            ],
+            createdAt: new Date().toISOString()
+        },
+        {
+            id: generateId(),
+            name: '8-Week Fat Loss',
+            description: 'Circuits, steady cardio and core work four days a week.',
+            weeks: 8,
+            days: [
+                day(1, 'HIIT Circuit', [
+                    { name: 'Burpees', sets: 4, reps: 12 },
+                    { name: 'Mountain Climbers', sets: 4, reps: 20 },
+                    { name: 'Jump Rope', durationMinutes: 10 }
+                ]),
+                day(3, 'Strength Circuit', [
+                    { name: 'Goblet Squat', sets: 3, reps: 15 },
+                    { name: 'Push-ups', sets: 3, reps: 12 },
+                    { name: 'Kettlebell Swing', sets: 3, reps: 15 }
+                ]),
+                day(5, 'Steady Cardio', [
+                    { name: 'Cycling', durationMinutes: 30 }
+                ]),
+                day(6, 'Core', [
+                    { name: 'Plank', sets: 3, durationMinutes: 1 },
+                    { name: 'Crunches', sets: 3, reps: 20 }
+                ])
+            ],
+            createdAt: new Date().toISOString()
+        }
+    ];
+}
+
+/**
+ * Get all program templates (built-in ones are saved on first use)
+ * @returns {Promise<Array>} Program templates
+ */
+async function getProgramTemplates() {
+    const stored = localStorage.getItem(PROGRAM_TEMPLATES_KEY);
+    if (stored === null) {
+        const samples = getSampleProgramTemplates();
+        localStorage.setItem(PROGRAM_TEMPLATES_KEY, JSON.stringify(samples));
+        return samples;
+    }
+    try {
+        const templates = JSON.parse(stored);
+        return Array.isArray(templates) ? templates : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Get one program template
+ * @param {string} id - Template ID
+ * @returns {Promise<Object|null>} Template or null
+ */
+async function getProgramTemplate(id) {
+    return (await getProgramTemplates()).find(template => template.id === id) || null;
+}
+
+/**
+ * Validate a program template
+ * Errors are keyed like the builder form: "days.<i>.title",
+ * "days.<i>.exercises.<j>.sets", ...
+ * @param {Object} data - { name, weeks, days: [{ weekday, title, exercises }] }
+ * @returns {Object} { isValid: boolean, errors: Object }
+ */
+function validateProgramTemplate(data) {
+    const errors = {};
+    
+    if (!String(data.name || '').trim()) {
+        errors.name = t('validation.programNameRequired');
+    }
+    
+    const weeks = Number(data.weeks);
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > PROGRAM_MAX_WEEKS) {
+        errors.weeks = t('validation.programWeeks', { max: PROGRAM_MAX_WEEKS });
+    }
+    
+    const days = data.days || [];
+    if (days.length === 0) {
+        errors.name = errors.name || t('validation.programDays');
+    }
+    
+    const usedWeekdays = new Set();
+    days.forEach((day, index) => {
+        const prefix = `days.${index}`;
+        const weekday = Number(day.weekday);
+        if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6 || String(day.weekday).trim() === '') {
+            errors[`${prefix}.weekday`] = t('validation.weekdayRequired');
+        } else if (usedWeekdays.has(weekday)) {
+            errors[`${prefix}.weekday`] = t('validation.weekdayUsed', { day: formatWeekday(weekday) });
+        }
+        usedWeekdays.add(weekday);
+        
+        if (!String(day.title || '').trim()) {
+            errors[`${prefix}.title`] = t('validation.dayTitleRequired');
+        }
+        
+        const exercises = day.exercises || [];
+        if (exercises.length === 0) {
+            errors[`${prefix}.title`] = errors[`${prefix}.title`] || t('validation.dayExercises');
+        }
+        exercises.forEach((exercise, exerciseIndex) => {
+            validateLoggedExercise(exercise, `${prefix}.exercises.${exerciseIndex}`, errors);
+        });
+    });
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Normalize a template for storage
+ * @param {Object} data - Raw template data
+ * @returns {Object} Template fields (without id)
+ */
+function normalizeProgramTemplate(data) {
+    return {
+        name: String(data.name).trim(),
+        description: String(data.description || '').trim(),
+        weeks: Number(data.weeks),
+        days: data.days
+            .map(day => ({
+                id: day.id || generateId(),
+                weekday: Number(day.weekday),
+                title: String(day.title).trim(),
+                exercises: normalizeExerciseEntry({ exercises: day.exercises }).exercises
+            }))
+            .sort((a, b) => ((a.weekday + 6) % 7) - ((b.weekday + 6) % 7))
+    };
+}
+
+/**
+ * Add or update a program template
+ * @param {Object} data - Template data; an existing `id` updates that template
+ * @returns {Promise<Object>} Saved template
+ * @throws {Error} With an `errors` object if the template is invalid
+ */
+async function saveProgramTemplate(data) {
+    const { isValid, errors } = validateProgramTemplate(data);
+    if (!isValid) {
+        const error = new Error(Object.values(errors)[0]);
+        error.errors = errors;
+        throw error;
+    }
+    
+    const templates = await getProgramTemplates();
+    const index = templates.findIndex(template => template.id === data.id);
+    const template = index === -1
+        ? { id: generateId(), ...normalizeProgramTemplate(data), createdAt: new Date().toISOString() }
+        : { ...templates[index], ...normalizeProgramTemplate(data), updatedAt: new Date().toISOString() };
+    
+    if (index === -1) {
+        templates.push(template);
+    } else {
+        templates[index] = template;
+    }
+    localStorage.setItem(PROGRAM_TEMPLATES_KEY, JSON.stringify(templates));
+    return template;
+}
+
+/**
+ * Delete a program template
+ * Clients already on the program keep their copy.
+ * @param {string} id - Template ID
+ * @returns {Promise<boolean>} Success status
+ * @throws {Error} If the current user is not an admin
+ */
+async function deleteProgramTemplate(id) {
+    assertPermission('deleteRecords');
+    const templates = await getProgramTemplates();
+    const filtered = templates.filter(template => template.id !== id);
+    if (filtered.length === templates.length) return false;
+    localStorage.setItem(PROGRAM_TEMPLATES_KEY, JSON.stringify(filtered));
+    return true;
+}
+
+/**
+ * Assign a program to a client
+ * The client gets a copy of the template, so later template edits don't
+ * change a program that is already running.
+ * @param {string} clientId - Client ID
+ * @param {string} templateId - Template ID
+ * @param {string} startDate - First day of the program (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Updated client or null if client/template not found
+ * @throws {Error} If the start date is invalid
+ */
+async function assignProgram(clientId, templateId, startDate) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || isNaN(parseDateOnly(startDate))) {
+        const error = new Error(t('validation.startDateInvalid'));
+        error.errors = { startDate: error.message };
+        throw error;
+    }
+    
+    const template = await getProgramTemplate(templateId);
+    if (!template) return null;
+    
+    const { id, createdAt, updatedAt, ...program } = template;
+    return updateClient(clientId, {
+        program: {
+            ...program,
+            id: generateId(),
+            templateId: id,
+            startDate,
+            assignedAt: new Date().toISOString()
+        }
+    });
+}
+
+/**
+ * Remove a client's program (logged sessions are kept)
+ * @param {string} clientId - Client ID
+ * @returns {Promise<Object|null>} Updated client or null
+ */
+async function unassignProgram(clientId) {
+    return updateClient(clientId, { program: null });
+}
+
+/**
+ * The planned workout on a given date
+ * @param {Object} program - Client program
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @returns {Object|null} { date, week, day } or null on rest days and outside the program
+ */
+function getPlannedWorkout(program, dateStr) {
+    if (!program) return null;
+    const date = parseDateOnly(dateStr);
+    const offset = Math.round((date - parseDateOnly(program.startDate)) / (24 * 60 * 60 * 1000));
+    if (offset < 0 || offset >= program.weeks * 7) return null;
+    
+    const day = program.days.find(d => d.weekday === date.getDay());
+    return day ? { date: dateStr, week: Math.floor(offset / 7) + 1, day } : null;
+}
+
+/**
+ * Planned workouts in a date range
+ * @param {Object} program - Client program
+ * @param {string} fromDate - First date (YYYY-MM-DD)
+ * @param {number} days - Number of days to cover
+ * @returns {Array} Planned workouts (see getPlannedWorkout)
+ */
+function getProgramSchedule(program, fromDate, days) {
+    const schedule = [];
+    const start = parseDateOnly(fromDate);
+    for (let i = 0; i < days; i++) {
+        const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+        const planned = getPlannedWorkout(program, formatDateOnly(date));
+        if (planned) schedule.push(planned);
+    }
+    return schedule;
+}
+
+/**
+ * Where a client is in their program
+ * @param {Object} program - Client program
+ * @param {string} today - Date (YYYY-MM-DD)
+ * @returns {Object} { state: 'upcoming'|'active'|'finished', week, endDate }
+ */
+function getProgramStatus(program, today) {
+    const start = parseDateOnly(program.startDate);
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + program.weeks * 7 - 1);
+    const endDate = formatDateOnly(end);
+    if (today < program.startDate) return { state: 'upcoming', week: 0, endDate };
+    if (today > endDate) return { state: 'finished', week: program.weeks, endDate };
+    const offset = Math.round((parseDateOnly(today) - start) / (24 * 60 * 60 * 1000));
+    return { state: 'active', week: Math.floor(offset / 7) + 1, endDate };
+}
+
+/**
+ * Find the history entry logged for a planned workout
+ * @param {Object} client - Client with program and exerciseHistory
+ * @param {Object} planned - Result of getPlannedWorkout
+ * @returns {Object|null} History entry or null
+ */
+function findLoggedPlannedWorkout(client, planned) {
+    return (client.exerciseHistory || []).find(entry =>
+        entry.plannedWorkout &&
+        entry.plannedWorkout.programId === client.program.id &&
+        entry.plannedWorkout.dayId === planned.day.id &&
+        entry.plannedWorkout.week === planned.week
+    ) || null;
+}
+
+/**
+ * How many planned workouts up to today have been logged
+ * @param {Object} client - Client with program and exerciseHistory
+ * @param {string} today - Date (YYYY-MM-DD)
+ * @returns {Object} { logged, due, total }
+ */
+function getProgramAdherence(client, today) {
+    const program = client.program;
+    const all = getProgramSchedule(program, program.startDate, program.weeks * 7);
+    const due = all.filter(planned => planned.date <= today);
+    return {
+        logged: due.filter(planned => findLoggedPlannedWorkout(client, planned)).length,
+        due: due.length,
+        total: all.length
+    };
+}
+
+/**
+ * Turn a planned workout into session data for the exercise form / addExerciseEntry
+ * @param {Object} program - Client program
+ * @param {Object} planned - Result of getPlannedWorkout
+ * @returns {Object} Exercise entry data (with a plannedWorkout link)
+ */
+function createEntryFromPlannedWorkout(program, planned) {
+    return {
+        date: planned.date,
+        title: `${planned.day.title} (${program.name}, week ${planned.week})`,
+        notes: '',
+        exercises: planned.day.exercises.map(exercise => ({ ...exercise })),
+        tags: [],
+        plannedWorkout: { programId: program.id, dayId: planned.day.id, week: planned.week }
+    };
+}
+
+// ============================================
+// Session Scheduling
+// ============================================
+
+const SESSION_STATUSES = ['scheduled', 'attended', 'no-show', 'cancelled'];
+const SESSION_STATUS_LABELS = {
+    scheduled: 'Scheduled',
+    attended: 'Attended',
+    'no-show': 'No-show',
+    cancelled: 'Cancelled'
+};
+const SESSION_DURATION_LIMITS = { min: 5, max: 480 };
+const SESSION_MAX_REPEAT_WEEKS = 52;
+
+/**
+ * Validate a scheduled session
+ * @param {Object} data - { date, time, durationMinutes, title, location, notes, repeatWeeks }
+ * @returns {Object} { isValid: boolean, errors: Object }
+ */
+function validateSession(data) {
+    const errors = {};
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date || '') || isNaN(parseDateOnly(data.date))) {
+        errors.date = t('validation.dateInvalid');
+    }
+    
+    const time = /^(\d{2}):(\d{2})$/.exec(data.time || '');
+    if (!time || +time[1] > 23 || +time[2] > 59) {
+        errors.time = t('validation.timeInvalid');
+    }
+    
+    const duration = Number(data.durationMinutes);
+    if (!Number.isInteger(duration) || duration < SESSION_DURATION_LIMITS.min || duration > SESSION_DURATION_LIMITS.max) {
+        errors.durationMinutes = t('validation.sessionDuration', SESSION_DURATION_LIMITS);
+    }
+    
+    const repeatWeeks = toNumberOrNull(data.repeatWeeks);
+    if (repeatWeeks !== null && (!Number.isInteger(repeatWeeks) || repeatWeeks < 1 || repeatWeeks > SESSION_MAX_REPEAT_WEEKS)) {
+        errors.repeatWeeks = t('validation.repeatWeeks', { max: SESSION_MAX_REPEAT_WEEKS });
+    }
+    
+    if (data.status && !SESSION_STATUSES.includes(data.status)) {
+        errors.status = t('validation.sessionStatus');
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Check session data and throw if it is invalid
+ * @param {Object} data - Session data
+ * @throws {Error} With an `errors` object (see validateSession)
+ */
+function assertValidSession(data) {
+    const { isValid, errors } = validateSession(data);
+    if (!isValid) {
+        const error = new Error(Object.values(errors)[0]);
+        error.errors = errors;
+        throw error;
+    }
+}
+
+/**
+ * Normalize session fields for storage
+ * @param {Object} data - Raw session data
+ * @returns {Object} { date, time, durationMinutes, title, location, notes }
+ */
+function normalizeSession(data) {
+    return {
+        date: data.date,
+        time: data.time,
+        durationMinutes: Number(data.durationMinutes),
+        title: String(data.title || '').trim(),
+        location: String(data.location || '').trim(),
+        notes: String(data.notes || '').trim()
+    };
+}
+
+/**
+ * Start and end of a session as local Dates
+ * @param {Object} session - Session with date, time and durationMinutes
+ * @returns {Object} { start: Date, end: Date }
+ */
+function getSessionRange(session) {
+    const [hours, minutes] = session.time.split(':').map(Number);
+    const start = parseDateOnly(session.date);
+    start.setHours(hours, minutes);
+    return { start, end: new Date(start.getTime() + session.durationMinutes * 60 * 1000) };
+}
+
+/**
+ * End time of a session as HH:MM
+ * @param {Object} session - Session
+ * @returns {string} End time
+ */
+function getSessionEndTime(session) {
+    const end = getSessionRange(session).end;
+    return `${String(end.getHours()).padStart(2, '0')}:${String(end.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Check whether two sessions overlap in time
+ * Back-to-back sessions (one ends when the next starts) do not overlap.
+ * @param {Object} a - Session
+ * @param {Object} b - Session
+ * @returns {boolean} True if they overlap
+ */
+function sessionsOverlap(a, b) {
+    const first = getSessionRange(a);
+    const second = getSessionRange(b);
+    return first.start < second.end && second.start < first.end;
+}
+
+/**
+ * Every client's sessions in one list, oldest first
+ * @param {Array} clients - Client records
+ * @returns {Array} Sessions with clientId, clientName and trainerId added
+ */
+function getAllSessions(clients) {
+    return clients
+        .flatMap(client => (client.sessions || []).map(session => ({
+            ...session,
+            clientId: client.id,
+            clientName: client.fullName,
+            trainerId: client.trainerId || null
+        })))
+        .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+}
+
+/**
+ * Find booked sessions that overlap any of the candidates
+ * Only sessions with the same trainer count: each trainer books their own
+ * clients' slots, and unassigned clients share one calendar (so with no
+ * trainer accounts every client counts). Cancelled sessions free their slot.
+ * Times are compared as real intervals, so a late session that runs past
+ * midnight clashes with an early one the next day.
+ * @param {Array} clients - Client records
+ * @param {Array} candidates - Sessions being scheduled
+ * @param {Array<string>} ignoreIds - Session IDs to skip (the one being edited)
+ * @param {string|null} trainerId - Trainer of the client being booked
+ * @returns {Array} [{ candidate, session }] where session comes from getAllSessions
+ */
+function findSessionConflicts(clients, candidates, ignoreIds = [], trainerId = null) {
+    const booked = getAllSessions(clients).filter(session =>
+        session.status !== 'cancelled' && !ignoreIds.includes(session.id) &&
+        session.trainerId === (trainerId || null)
+    );
+    const conflicts = [];
+    candidates.forEach(candidate => {
+        booked
+            .filter(session => sessionsOverlap(candidate, session))
+            .forEach(session => conflicts.push({ candidate, session }));
+    });
+    return conflicts;
+}
+
+/**
+ * Describe a conflict for messages
+ * @param {Object} conflict - Item from findSessionConflicts
+ * @returns {string} e.g. "Sara Ahmed, Oct 20 09:00–10:00"
+ */
+function describeSessionConflict(conflict) {
+    const { session } = conflict;
+    return `${session.clientName}, ${formatShortDate(session.date)} ${session.time}–${getSessionEndTime(session)}`;
+}
+
+/**
+ * Throw if there are conflicts
+ * @param {Array} conflicts - Result of findSessionConflicts
+ * @throws {Error} With an `errors` object and the `conflicts` list
+ */
+function assertNoSessionConflicts(conflicts) {
+    if (conflicts.length === 0) return;
+    const params = { session: describeSessionConflict(conflicts[0]), count: conflicts.length - 1 };
+    const error = new Error(conflicts.length > 1 ? t('validation.overlapsMore', params) : t('validation.overlaps', params));
+    error.errors = { time: error.message };
+    error.conflicts = conflicts;
+    throw error;
+}
+
+/**
+ * Schedule a session, or a weekly series of sessions
+ * With repeatWeeks > 1 the session is repeated on the same weekday and
+ * time, and every occurrence shares a seriesId.
+ * @param {string} clientId - Client ID
+ * @param {Object} data - Session data (see validateSession)
+ * @param {Object} options - { allowConflicts: boolean }
+ * @returns {Promise<Object|null>} Updated client or null
+ * @throws {Error} If the session is invalid or overlaps another one
+ */
+async function scheduleSessions(clientId, data, { allowConflicts = false } = {}) {
+    assertValidSession(data);
+    const client = await getClientById(clientId);
+    if (!client) return null;
+    
+    const repeatWeeks = toNumberOrNull(data.repeatWeeks) || 1;
+    const seriesId = repeatWeeks > 1 ? generateId() : null;
+    const first = parseDateOnly(data.date);
+    const sessions = [];
+    for (let week = 0; week < repeatWeeks; week++) {
+        const date = new Date(first.getFullYear(), first.getMonth(), first.getDate() + week * 7);
+        sessions.push({
+            id: generateId(),
+            ...normalizeSession({ ...data, date: formatDateOnly(date) }),
+            status: 'scheduled',
+            seriesId
+        });
+    }
+    
+    if (!allowConflicts) {
+        assertNoSessionConflicts(findSessionConflicts(await getClients(), sessions, [], client.trainerId));
+    }
+    
+    return updateClient(clientId, { sessions: [...(client.sessions || []), ...sessions] });
+}
+
+/**
+ * Change the date, time or details of one session
+ * @param {string} clientId - Client ID
+ * @param {string} sessionId - Session ID
+ * @param {Object} data - Session data (see validateSession)
+ * @param {Object} options - { allowConflicts: boolean }
+ * @returns {Promise<Object|null>} Updated client or null if client/session not found
+ * @throws {Error} If the session is invalid or overlaps another one
+ */
+async function updateSession(clientId, sessionId, data, { allowConflicts = false } = {}) {
+    assertValidSession(data);
+    const client = await getClientById(clientId);
+    const existing = (client?.sessions || []).find(s => s.id === sessionId);
+    if (!existing) return null;
+    
+    const updated = { ...existing, ...normalizeSession(data) };
+    if (!allowConflicts && updated.status !== 'cancelled') {
+        assertNoSessionConflicts(findSessionConflicts(await getClients(), [updated], [sessionId], client.trainerId));
+    }
+    
+    return updateClient(clientId, {
+        sessions: client.sessions.map(s => s.id === sessionId ? updated : s)
+    });
+}
+
+/**
+ * Delete a session, or the rest of its weekly series
+ * @param {string} clientId - Client ID
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - { series: boolean } also deletes later sessions of the series
+ * @returns {Promise<Object|null>} Updated client or null if client/session not found
+ * @throws {Error} If the current user is not an admin
+ */
+async function deleteSession(clientId, sessionId, { series = false } = {}) {
+    assertPermission('deleteRecords');
+    const client = await getClientById(clientId);
+    const sessions = client?.sessions || [];
+    const target = sessions.find(s => s.id === sessionId);
+    if (!target) return null;
+    
+    const remove = (session) => session.id === sessionId ||
+        (series && target.seriesId && session.seriesId === target.seriesId &&
+            session.date >= target.date && session.status === 'scheduled');
+    
+    return updateClient(clientId, { sessions: sessions.filter(s => !remove(s)) });
+}
+
+/**
+ * Mark a session as scheduled, attended, no-show or cancelled
+ * Attending a session logs it in the client's history. If the client's
+ * program has a workout planned that day, that workout is logged. The
+ * entry links back through scheduledSessionId, so it is only created
+ * once and is kept if the status changes again later. Like any new
+ * entry, it uses a session credit if the client has a pack, and needs
+ * the logWorkouts permission (checked before anything is saved).
+ * Moving a session away from attended refunds that credit; marking it
+ * attended again uses one again.
+ * @param {string} clientId - Client ID
+ * @param {string} sessionId - Session ID
+ * @param {string} status - One of SESSION_STATUSES
+ * @returns {Promise<Object|null>} Updated client or null if client/session not found
+ * @throws {Error} If the status is unknown or the user may not log workouts
+ */
+async function setSessionStatus(clientId, sessionId, status) {
+    if (!SESSION_STATUSES.includes(status)) {
+        throw new Error(t('validation.sessionStatus'));
+    }
+    
+    const client = await getClientById(clientId);
+    const session = (client?.sessions || []).find(s => s.id === sessionId);
+    if (!session) return null;
+    
+    const logged = (client.exerciseHistory || []).find(entry => entry.scheduledSessionId === sessionId);
+    const alreadyLogged = Boolean(logged);
+    if (status === 'attended' && session.status !== 'attended') assertPermission('logWorkouts');
+    
+    const statusLabel = SESSION_STATUS_LABELS[status].toLowerCase();
+    let credits = {};
+    if (logged && status !== 'attended') {
+        credits = getCreditRefund(client, logged, `${logged.title} (${logged.date}) marked ${statusLabel}`);
+    } else if (logged && session.status !== 'attended' && getCreditsUsedByEntry(client, logged) === 0) {
+        credits = getCreditDeduction(client, logged);
+    }
+    
+    const label = `Marked the ${formatShortDate(session.date)} session ${statusLabel}`;
+    return recordMutation(clientId, label, async () => {
+        let updated = await updateClient(clientId, {
+            sessions: client.sessions.map(s => s.id === sessionId ? { ...s, status } : s),
+            ...credits
+        });
+        
+        if (status === 'attended' && !alreadyLogged) {
+            const planned = getPlannedWorkout(updated.program, session.date);
+            const entry = planned && !findLoggedPlannedWorkout(updated, planned)
+                ? createEntryFromPlannedWorkout(updated.program, planned)
+                : { date: session.date, title: session.title || 'Training Session', exercises: [], tags: [] };
+            updated = await addExerciseEntry(clientId, {
+                ...entry,
+                notes: session.notes,
+                scheduledSessionId: sessionId
+            });
+        }
+        
+        return updated;
+    });
+}
+
+// ============================================
+// Memberships
+// ============================================
+
+// Plans offered when adding or renewing a membership (prices in CURRENCY)
+const MEMBERSHIP_PLANS = [
+    { name: 'Monthly', months: 1, price: 600 },
+    { name: 'Quarterly', months: 3, price: 1650 },
+    { name: 'Semi-Annual', months: 6, price: 3000 },
+    { name: 'Annual', months: 12, price: 5400 }
+];
+const MEMBERSHIP_STATUS_LABELS = {
+    active: 'Active',
+    expiring: 'Expiring Soon',
+    expired: 'Expired',
+    frozen: 'Frozen',
+    none: 'No Membership'
+};
+// A membership counts as expiring soon this many days before it ends
+const MEMBERSHIP_EXPIRING_DAYS = 14;
+const MEMBERSHIP_MAX_MONTHS = 36;
+const MEMBERSHIP_MAX_FREEZE_DAYS = 90;
+
+/**
+ * Validate membership term data
+ * @param {Object} data - { plan, durationMonths, price, startDate }
+ * @returns {Object} { isValid: boolean, errors: Object }
+ */
+function validateMembership(data) {
+    const errors = {};
+    
+    if (!MEMBERSHIP_PLANS.some(plan => plan.name === data.plan)) {
+        errors.plan = t('validation.planRequired');
+    }
+    
+    const months = Number(data.durationMonths);
+    if (!Number.isInteger(months) || months < 1 || months > MEMBERSHIP_MAX_MONTHS) {
+        errors.durationMonths = t('validation.durationRange', { max: MEMBERSHIP_MAX_MONTHS });
+    }
+    
+    const price = toNumberOrNull(data.price);
+    if (price === null || isNaN(price) || price < 0 || price > 1000000) {
+        errors.price = t('validation.priceMin');
+    }
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data.startDate || '') || isNaN(parseDateOnly(data.startDate))) {
+        errors.startDate = t('validation.startDateInvalid');
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Check membership data and throw if it is invalid
+ * @param {Object} data - Membership data
+ * @throws {Error} With an `errors` object (see validateMembership)
+ */
+function assertValidMembership(data) {
+    const { isValid, errors } = validateMembership(data);
+    if (!isValid) {
+        const error = new Error(Object.values(errors)[0]);
+        error.errors = errors;
+        throw error;
+    }
+}
+
+/**
+ * Build a membership term from form data
+ * The term ends the day before the same date N months later.
+ * @param {Object} data - Valid membership data
+ * @returns {Object} { id, plan, durationMonths, price, startDate, endDate, freezes, createdAt }
+ */
+function createMembershipTerm(data) {
+    const durationMonths = Number(data.durationMonths);
+    return {
+        id: generateId(),
+        plan: data.plan,
+        durationMonths,
+        price: Number(data.price),
+        startDate: data.startDate,
+        endDate: addDays(addMonths(data.startDate, durationMonths), -1),
+        freezes: [],
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Number of days covered by the freezes of the current term
+ * @param {Object} membership - Client membership
+ * @returns {number} Frozen days
+ */
+function getFrozenDays(membership) {
+    return (membership.freezes || []).reduce((sum, freeze) =>
+        sum + getDaysBetween(freeze.startDate, freeze.endDate) + 1, 0);
+}
+
+/**
+ * Last day of the current term, pushed back by its freezes
+ * @param {Object} membership - Client membership
+ * @returns {string} YYYY-MM-DD
+ */
+function getMembershipEndDate(membership) {
+    return addDays(membership.endDate, getFrozenDays(membership));
+}
+
+/**
+ * Current membership status
+ * @param {Object|null} membership - Client membership
+ * @param {string} today - Date (YYYY-MM-DD), defaults to today
+ * @returns {Object} { status, label, endDate, daysLeft, freeze }
+ *   status is one of the MEMBERSHIP_STATUS_LABELS keys
+ */
+function getMembershipStatus(membership, today = formatDateOnly(new Date())) {
+    if (!membership) {
+        return { status: 'none', label: translateValue(MEMBERSHIP_STATUS_LABELS.none), endDate: null, daysLeft: null, freeze: null };
+    }
+    
+    const endDate = getMembershipEndDate(membership);
+    const daysLeft = getDaysBetween(today, endDate);
+    const freeze = (membership.freezes || []).find(f => f.startDate <= today && today <= f.endDate) || null;
+    let status = 'active';
+    if (freeze) status = 'frozen';
+    else if (daysLeft < 0) status = 'expired';
+    else if (daysLeft <= MEMBERSHIP_EXPIRING_DAYS) status = 'expiring';
+    
+    return { status, label: translateValue(MEMBERSHIP_STATUS_LABELS[status]), endDate, daysLeft, freeze };
+}
+
+/**
+ * Add a membership, or correct the current term
+ * The term is billed in the client's ledger (see syncMembershipCharge).
+ * @param {string} clientId - Client ID
+ * @param {Object} data - { plan, durationMonths, price, startDate }
+ * @returns {Promise<Object|null>} Updated client or null
+ * @throws {Error} If the data fails validation
+ */
+async function setMembership(clientId, data) {
+    assertValidMembership(data);
+    const client = await getClientById(clientId);
+    if (!client) return null;
+    
+    const current = client.membership;
+    const term = createMembershipTerm(data);
+    return recordMutation(clientId, current ? 'Edited the membership' : `Added a ${term.plan} membership`, async () => {
+        const updated = await updateClient(clientId, {
+            membership: current
+                ? { ...current, ...term, id: current.id || term.id, freezes: current.freezes || [], createdAt: current.createdAt }
+                : { ...term, history: [] }
+        });
+        return syncMembershipCharge(updated);
+    });
+}
+
+/**
+ * Renew a membership with a new term
+ * The current term moves to the membership history. Unless a start date
+ * is given, the new term starts the day after the current one ends, or
+ * today if it has already expired. The new term is billed in the ledger.
+ * @param {string} clientId - Client ID
+ * @param {Object} data - { plan, durationMonths, price, startDate? }
+ * @returns {Promise<Object|null>} Updated client or null if client/membership not found
+ * @throws {Error} If the data fails validation
+ */
+async function renewMembership(clientId, data) {
+    const client = await getClientById(clientId);
+    const current = client?.membership;
+    if (!current) return null;
+    
+    const today = formatDateOnly(new Date());
+    const currentEnd = getMembershipEndDate(current);
+    const startDate = data.startDate || (currentEnd < today ? today : addDays(currentEnd, 1));
+    const renewal = { ...data, startDate };
+    assertValidMembership(renewal);
+    
+    const { history = [], ...previous } = current;
+    return recordMutation(clientId, `Renewed the membership (${renewal.plan})`, async () => {
+        const updated = await updateClient(clientId, {
+            membership: {
+                ...createMembershipTerm(renewal),
+                history: [...history, { ...previous, id: previous.id || generateId() }]
+            }
+        });
+        return syncMembershipCharge(updated);
+    });
+}
+
+/**
+ * Validate a freeze against the current term
+ * @param {Object} membership - Client membership
+ * @param {Object} data - { startDate, endDate, reason }
+ * @returns {Object} { isValid: boolean, errors: Object }
+ */
+function validateMembershipFreeze(membership, data) {
+    const errors = {};
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(parseDateOnly(value));
+    
+    if (!isDate(data.startDate)) {
+        errors.startDate = t('validation.startDateInvalid');
+    } else if (data.startDate < membership.startDate || data.startDate > getMembershipEndDate(membership)) {
+        errors.startDate = t('validation.freezeStart');
+    }
+    
+    if (!isDate(data.endDate)) {
+        errors.endDate = t('validation.endDateInvalid');
+    } else if (isDate(data.startDate) && data.endDate < data.startDate) {
+        errors.endDate = t('validation.endBeforeStart');
+    } else if (isDate(data.startDate) && getDaysBetween(data.startDate, data.endDate) + 1 > MEMBERSHIP_MAX_FREEZE_DAYS) {
+        errors.endDate = t('validation.freezeMaxDays', { max: MEMBERSHIP_MAX_FREEZE_DAYS });
+    }
+    
+    if (!errors.startDate && !errors.endDate) {
+        const overlap = (membership.freezes || []).find(f => f.startDate <= data.endDate && data.startDate <= f.endDate);
+        if (overlap) {
+            errors.startDate = t('validation.freezeOverlap', {
+                from: formatShortDate(overlap.startDate),
+                to: formatShortDate(overlap.endDate)
+            });
+        }
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Freeze a membership for a period; the end date moves back by as many days
+ * @param {string} clientId - Client ID
+ * @param {Object} data - { startDate, endDate, reason }
+ * @returns {Promise<Object|null>} Updated client or null if client/membership not found
+ * @throws {Error} If the freeze fails validation
+ */
+async function addMembershipFreeze(clientId, data) {
+    const client = await getClientById(clientId);
+    const membership = client?.membership;
+    if (!membership) return null;
+    
+    const { isValid, errors } = validateMembershipFreeze(membership, data);
+    if (!isValid) {
+        const error = new Error(Object.values(errors)[0]);
+        error.errors = errors;
+        throw error;
+    }
+    
+    const freeze = {
+        id: generateId(),
+        startDate: data.startDate,
+        endDate: data.endDate,
+        reason: String(data.reason || '').trim()
+    };
+    const freezes = [...(membership.freezes || []), freeze].sort((a, b) => a.startDate.localeCompare(b.startDate));
+    return updateClient(clientId, { membership: { ...membership, freezes } });
+}
+
+/**
+ * Remove a freeze from the current term
+ * @param {string} clientId - Client ID
+ * @param {string} freezeId - Freeze ID
+ * @returns {Promise<Object|null>} Updated client or null if client/freeze not found
+ * @throws {Error} If the current user is not an admin
+ */
+async function deleteMembershipFreeze(clientId, freezeId) {
+    assertPermission('deleteRecords');
+    const client = await getClientById(clientId);
+    const membership = client?.membership;
+    const freezes = membership?.freezes || [];
+    const filtered = freezes.filter(f => f.id !== freezeId);
+    if (filtered.length === freezes.length) return null;
+    
+    return updateClient(clientId, { membership: { ...membership, freezes: filtered } });
+}
+
+// ============================================
+// Payments & Invoices
+// ============================================
+
+const LEDGER_TYPES = ['charge', 'payment'];
+const PAYMENT_METHODS = ['Cash', 'Card', 'Bank Transfer', 'Mobile Wallet', 'Other'];
+// Highest invoice/receipt number handed out so far, per prefix
+const DOCUMENT_COUNTERS_KEY = 'fitcrm_document_counters';
+const DOCUMENT_PREFIXES = { charge: 'INV', payment: 'RCT' };
+// Shown at the top of invoices and receipts
+const BUSINESS_NAME = 'FitCRM Personal Training';
+const LEDGER_MAX_AMOUNT = 1000000;
+
+/**
+ * Validate a ledger entry
+ * @param {Object} data - { type, date, amount, description, method, reference }
+ * @returns {Object} { isValid: boolean, errors: Object }
+ */
+function validateLedgerEntry(data) {
+    const errors = {};
+    
+    if (!LEDGER_TYPES.includes(data.type)) {
+        errors.type = t('validation.ledgerType');
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date || '') || isNaN(parseDateOnly(data.date))) {
+        errors.date = t('validation.dateInvalid');
+    }
+    
+    const amount = toNumberOrNull(data.amount);
+    if (amount === null || isNaN(amount) || amount <= 0 || amount > LEDGER_MAX_AMOUNT) {
+        errors.amount = t('validation.amountPositive');
+    } else if (Math.round(amount * 100) !== amount * 100) {
+        errors.amount = t('validation.amountDecimals');
+    }
+    
+    if (data.type === 'charge' && !String(data.description || '').trim()) {
+        errors.description = t('validation.descriptionRequired');
+    }
+    if (data.type === 'payment' && !PAYMENT_METHODS.includes(data.method)) {
+        errors.method = t('validation.methodRequired');
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Check a ledger entry and throw if it is invalid
+ * @param {Object} data - Ledger entry data
+ * @throws {Error} With an `errors` object (see validateLedgerEntry)
+ */
+function assertValidLedgerEntry(data) {
+    const { isValid, errors } = validateLedgerEntry(data);
+    if (!isValid) {
+        const error = new Error(Object.values(errors)[0]);
+        error.errors = errors;
+        throw error;
+    }
+}
+
+/**
+ * Hand out the next invoice or receipt number (e.g. INV-0007)
+ * Numbers are never reused, even after an entry is deleted: the last
+ * number is remembered, and stored ledgers are checked as well so a
+ * restored backup keeps counting from its highest number.
+ * @param {string} type - 'charge' or 'payment'
+ * @returns {Promise<string>} Document number
+ */
+async function getNextDocumentNumber(type) {
+    const prefix = DOCUMENT_PREFIXES[type];
+    let counters = {};
+    try {
+        counters = JSON.parse(localStorage.getItem(DOCUMENT_COUNTERS_KEY)) || {};
+    } catch (error) {
+        console.error('Error reading document counters:', error);
+    }
+    
+    const clients = await getClients();
+    const highest = clients
+        .flatMap(client => client.ledger || [])
+        .filter(entry => (entry.number || '').startsWith(`${prefix}-`))
+        .reduce((max, entry) => Math.max(max, parseInt(entry.number.slice(prefix.length + 1)) || 0), counters[prefix] || 0);
+    
+    counters[prefix] = highest + 1;
+    localStorage.setItem(DOCUMENT_COUNTERS_KEY, JSON.stringify(counters));
+    return `${prefix}-${String(highest + 1).padStart(4, '0')}`;
+}
+
+/**
+ * Add a charge or a payment to a client's ledger
+ * @param {string} clientId - Client ID
+ * @param {Object} data - { type, date, amount, description, method, reference, link }
+ *   link ties a charge to what it bills, e.g. { kind: 'membership', id: termId }
+ * @returns {Promise<Object|null>} Updated client or null
+ * @throws {Error} If the entry fails validation
+ */
+async function addLedgerEntry(clientId, data) {
+    assertValidLedgerEntry(data);
+    const client = await getClientById(clientId);
+    if (!client) return null;
+    
+    const entry = {
+        id: generateId(),
+        number: await getNextDocumentNumber(data.type),
+        type: data.type,
+        date: data.date,
+        amount: Number(data.amount),
+        description: String(data.description || '').trim() || (data.type === 'payment' ? 'Payment received' : ''),
+        method: data.type === 'payment' ? data.method : '',
+        reference: String(data.reference || '').trim(),
+        link: data.link || null,
+        createdAt: new Date().toISOString()
+    };
+    return updateClient(clientId, { ledger: [...(client.ledger || []), entry] });
+}
+
+/**
+ * Delete a ledger entry (its number is not reused)
+ * @param {string} clientId - Client ID
+ * @param {string} entryId - Ledger entry ID
+ * @returns {Promise<Object|null>} Updated client or null if client/entry not found
+ * @throws {Error} If the current user is not an admin
+ */
+async function deleteLedgerEntry(clientId, entryId) {
+    assertPermission('deleteRecords');
+    const client = await getClientById(clientId);
+    const ledger = client?.ledger || [];
+    const filtered = ledger.filter(entry => entry.id !== entryId);
+    if (filtered.length === ledger.length) return null;
+    
+    return updateClient(clientId, { ledger: filtered });
+}
+
+/**
+ * Ledger entries oldest first
+ * @param {Array} ledger - Ledger entries
+ * @returns {Array} Sorted copy
+ */
+function sortLedger(ledger) {
+    return [...(ledger || [])].sort((a, b) =>
+        a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || '')
+    );
+}
+
+/**
+ * Totals of a ledger, with each charge's paid amount
+ * Payments settle the oldest open charges first.
+ * @param {Array} ledger - Ledger entries
+ * @returns {Object} { charged, paid, balance, charges: [{ ...charge, paid, due, status }] }
+ *   balance > 0 means the client owes money; status is 'paid', 'partial' or 'unpaid'
+ */
+function getLedgerSummary(ledger) {
+    const sorted = sortLedger(ledger);
+    const charged = sorted.filter(e => e.type === 'charge').reduce((sum, e) => sum + e.amount, 0);
+    const paid = sorted.filter(e => e.type === 'payment').reduce((sum, e) => sum + e.amount, 0);
+    
+    let available = paid;
+    const charges = sorted.filter(e => e.type === 'charge').map(charge => {
+        const applied = Math.min(available, charge.amount);
+        available = Math.round((available - applied) * 100) / 100;
+        const due = Math.round((charge.amount - applied) * 100) / 100;
+        return {
+            ...charge,
+            paid: applied,
+            due,
+            status: due === 0 ? 'paid' : applied > 0 ? 'partial' : 'unpaid'
+        };
+    });
+    
+    return {
+        charged,
+        paid,
+        balance: Math.round((charged - paid) * 100) / 100,
+        charges
+    };
+}
+
+/**
+ * Describe a membership term for its charge
+ * @param {Object} term - Membership term
+ * @returns {string} e.g. "Quarterly membership, Sep 1 – Nov 30, 2025"
+ */
+function describeMembershipCharge(term) {
+    return `${term.plan} membership, ${formatShortDate(term.startDate)} – ${formatShortDate(term.endDate)}, ${parseDateOnly(term.endDate).getFullYear()}`;
+}
+
+/**
+ * Bill a new membership term, or update the bill of a corrected term
+ * Free terms (price 0) are not billed; correcting a term to free removes
+ * its charge.
+ * @param {Object} client - Client after the membership change
+ * @returns {Promise<Object>} Updated client
+ */
+async function syncMembershipCharge(client) {
+    const term = client.membership;
+    const ledger = client.ledger || [];
+    const existing = ledger.find(e => e.link && e.link.kind === 'membership' && e.link.id === term.id);
+    
+    if (existing && term.price <= 0) {
+        return updateClient(client.id, { ledger: ledger.filter(e => e !== existing) });
+    }
+    if (existing) {
+        return updateClient(client.id, {
+            ledger: ledger.map(e => e === existing
+                ? { ...e, amount: term.price, description: describeMembershipCharge(term) }
+                : e)
+        });
+    }
+    if (term.price <= 0) return client;
+    
+    return addLedgerEntry(client.id, {
+        type: 'charge',
+        date: formatDateOnly(new Date()),
+        amount: term.price,
+        description: describeMembershipCharge(term),
+        link: { kind: 'membership', id: term.id }
+    });
+}
+
+/**
+ * Revenue across all clients for a date range
+ * Payments count on the day they were received (cash basis); charges on
+ * the day they were invoiced. The outstanding total is as of today.
+ * @param {Array} clients - Client records
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {Object} { received, invoiced, outstanding, byMethod, byMonth, byClient, payments }
+ */
+function getRevenueSummary(clients, from, to) {
+    const inRange = (entry) => entry.date >= from && entry.date <= to;
+    const payments = [];
+    const byMethod = {};
+    const months = {};
+    const byClient = [];
+    let received = 0;
+    let invoiced = 0;
+    let outstanding = 0;
+    
+    clients.forEach(client => {
+        const ledger = client.ledger || [];
+        const clientPaid = ledger.filter(e => e.type === 'payment' && inRange(e)).reduce((sum, e) => sum + e.amount, 0);
+        const clientCharged = ledger.filter(e => e.type === 'charge' && inRange(e)).reduce((sum, e) => sum + e.amount, 0);
+        const balance = getLedgerSummary(ledger).balance;
+        
+        ledger.filter(inRange).forEach(entry => {
+            const month = entry.date.slice(0, 7);
+            months[month] = months[month] || { month, received: 0, invoiced: 0 };
+            if (entry.type === 'payment') {
+                months[month].received += entry.amount;
+                byMethod[entry.method] = (byMethod[entry.method] || 0) + entry.amount;
+                payments.push({ ...entry, clientId: client.id, clientName: client.fullName });
+            } else {
+                months[month].invoiced += entry.amount;
+            }
+        });
+        
+        received += clientPaid;
+        invoiced += clientCharged;
+        if (balance > 0) outstanding += balance;
+        if (clientPaid > 0 || clientCharged > 0 || balance !== 0) {
+            byClient.push({ clientId: client.id, clientName: client.fullName, received: clientPaid, invoiced: clientCharged, balance });
+        }
+    });
+    
+    return {
+        received,
+        invoiced,
+        outstanding,
+        byMethod,
+        byMonth: Object.values(months).sort((a, b) => a.month.localeCompare(b.month)),
+        byClient: byClient.sort((a, b) => b.received - a.received || b.balance - a.balance),
+        payments: payments.sort((a, b) => b.date.localeCompare(a.date))
+    };
+}
+
+// ============================================
+// Session Credits
+// ============================================
+
+// Packs offered when selling sessions (prices in CURRENCY)
+const SESSION_PACKS = [
+    { name: '5 Sessions', sessions: 5, price: 1750 },
+    { name: '10 Sessions', sessions: 10, price: 3300 },
+    { name: '20 Sessions', sessions: 20, price: 6000 }
+];
+const CREDIT_REASON_LABELS = {
+    purchase: 'Pack purchased',
+    session: 'Session logged',
+    attendance: 'Session attended',
+    refund: 'Refund',
+    adjustment: 'Adjustment'
+};
+// Warn once a client is down to this many credits
+const LOW_CREDIT_THRESHOLD = 2;
+const MAX_PACK_SESSIONS = 200;
+
+/**
+ * Validate a session pack sale
+ * @param {Object} data - { name, sessions, price, date }
+ * @returns {Object} { isValid: boolean, errors: Object }
+ */
+function validateSessionPack(data) {
+    const errors = {};
+    
+    if (!String(data.name || '').trim()) {
+        errors.name = t('validation.packNameRequired');
+    }
+    
+    const sessions = Number(data.sessions);
+    if (!Number.isInteger(sessions) || sessions < 1 || sessions > MAX_PACK_SESSIONS) {
+        errors.sessions = t('validation.packSessions', { max: MAX_PACK_SESSIONS });
+    }
+    
+    const price = toNumberOrNull(data.price);
+    if (price === null || isNaN(price) || price < 0 || price > LEDGER_MAX_AMOUNT) {
+        errors.price = t('validation.packPrice');
+    }
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date || '') || isNaN(parseDateOnly(data.date))) {
+        errors.date = t('validation.dateInvalid');
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a manual credit adjustment
+ * @param {Object} data - { change, note }
+ * @returns {Object} { isValid: boolean, errors: Object }
+ */
+function validateCreditAdjustment(data) {
+    const errors = {};
+    
+    const change = Number(data.change);
+    if (String(data.change ?? '').trim() === '' || !Number.isInteger(change) || change === 0 || Math.abs(change) > MAX_PACK_SESSIONS) {
+        errors.change = t('validation.creditChange');
+    }
+    if (!String(data.note || '').trim()) {
+        errors.note = t('validation.creditNote');
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Throw the first validation error, with the full `errors` object attached
+ * @param {Object} result - Result of a validator
+ * @throws {Error} If the result is invalid
+ */
+function assertValidCredits({ isValid, errors }) {
+    if (!isValid) {
+        const error = new Error(Object.values(errors)[0]);
+        error.errors = errors;
+        throw error;
+    }
+}
+
+/**
+ * Remaining session credits
+ * @param {Object} client - Client record
+ * @returns {number} Credits left (negative when sessions are owed)
+ */
+function getCreditBalance(client) {
+    return (client.creditLog || []).reduce((sum, item) => sum + item.change, 0);
+}
+
+/**
+ * Credit standing, for badges and warnings
+ * Clients who never bought a pack have the status 'none'.
+ * @param {Object} client - Client record
+ * @returns {Object} { status: 'none'|'ok'|'low'|'empty', balance, label }
+ */
+function getCreditStatus(client) {
+    if ((client.creditLog || []).length === 0) {
+        return { status: 'none', balance: 0, label: translateValue('No Pack') };
+    }
+    
+    const balance = getCreditBalance(client);
+    const status = balance <= 0 ? 'empty' : balance <= LOW_CREDIT_THRESHOLD ? 'low' : 'ok';
+    const label = balance < 0 ? t('client.creditsOwed', { count: -balance }) : t('client.creditsLeft', { count: balance });
+    return { status, balance, label };
+}
+
+/**
+ * Warning to show after a credit was used, if any
+ * @param {Object} client - Client record
+ * @returns {string} Warning text, or '' while enough credits are left
+ */
+function getCreditWarning(client) {
+    const { status, balance } = getCreditStatus(client);
+    if (status === 'low') {
+        return t('credits.low', { name: client.fullName, count: balance });
+    }
+    if (status === 'empty') {
+        return balance < 0
+            ? t('credits.owes', { name: client.fullName, count: -balance })
+            : t('credits.lastUsed', { name: client.fullName });
+    }
+    return '';
+}
+
+/**
+ * Audit trail item
+ * @param {number} change - Credits added (positive) or used (negative)
+ * @param {string} reason - One of CREDIT_REASON_LABELS
+ * @param {Object} details - { note, packId, entryId }
+ * @returns {Object} Credit log item
+ */
+function createCreditLogItem(change, reason, details = {}) {
+    return {
+        id: generateId(),
+        change,
+        reason,
+        note: details.note || '',
+        packId: details.packId || null,
+        entryId: details.entryId || null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Changes that use a credit for a new history entry
+ * Only clients who have bought a pack are charged credits. The balance
+ * may go below zero; the sessions are then owed.
+ * @param {Object} client - Client before the entry was added
+ * @param {Object} entry - The new history entry
+ * @returns {Object} Partial client update ({} when no credit is used)
+ */
+function getCreditDeduction(client, entry) {
+    if ((client.creditLog || []).length === 0) return {};
+    
+    const item = createCreditLogItem(-1, entry.scheduledSessionId ? 'attendance' : 'session', {
+        note: `${entry.title} (${entry.date})`,
+        entryId: entry.id
+    });
+    return { creditLog: [...client.creditLog, item] };
+}
+
+/**
+ * Credits a history entry uses, after any refunds
+ * @param {Object} client - Client record
+ * @param {Object} entry - History entry
+ * @returns {number} Credits used (0 when none or refunded)
+ */
+function getCreditsUsedByEntry(client, entry) {
+    const net = (client.creditLog || [])
+        .filter(item => item.entryId === entry.id)
+        .reduce((sum, item) => sum + item.change, 0);
+    return Math.max(0, -net);
+}
+
+/**
+ * Changes that give back the credit of a history entry
+ * @param {Object} client - Client before the entry was deleted
+ * @param {Object} entry - The deleted history entry
+ * @param {string} note - Why, for the audit trail (defaults to "... deleted")
+ * @returns {Object} Partial client update ({} when the entry used no credit)
+ */
+function getCreditRefund(client, entry, note = `${entry.title} (${entry.date}) deleted`) {
+    const used = getCreditsUsedByEntry(client, entry);
+    if (used === 0) return {};
+    
+    const item = createCreditLogItem(used, 'refund', { note, entryId: entry.id });
+    return { creditLog: [...(client.creditLog || []), item] };
+}
+
+/**
+ * Sell a session pack: adds its credits and charges its price
+ * @param {string} clientId - Client ID
+ * @param {Object} data - { name, sessions, price, date }
+ * @returns {Promise<Object|null>} Updated client or null
+ * @throws {Error} If the data fails validation
+ */
+async function addSessionPack(clientId, data) {
+    assertValidCredits(validateSessionPack(data));
+    const client = await getClientById(clientId);
+    if (!client) return null;
+    
+    const pack = {
+        id: generateId(),
+        name: String(data.name).trim(),
+        sessions: Number(data.sessions),
+        price: Number(data.price),
+        date: data.date,
+        createdAt: new Date().toISOString()
+    };
+    return recordMutation(clientId, `Added a session pack (${pack.name})`, async () => {
+        const updated = await updateClient(clientId, {
+            packs: [...(client.packs || []), pack],
+            creditLog: [...(client.creditLog || []), createCreditLogItem(pack.sessions, 'purchase', {
+                note: pack.name,
+                packId: pack.id
+            })]
+        });
+        if (pack.price <= 0) return updated;
+        
+        return addLedgerEntry(clientId, {
+            type: 'charge',
+            date: pack.date,
+            amount: pack.price,
+            description: `${pack.name} session pack`,
+            link: { kind: 'pack', id: pack.id }
+        });
+    });
+}
+
+/**
+ * Add or remove credits by hand, e.g. a goodwill session
+ * @param {string} clientId - Client ID
+ * @param {Object} data - { change, note }
+ * @returns {Promise<Object|null>} Updated client or null
+ * @throws {Error} If the data fails validation or the current user is not an admin
+ */
+async function adjustCredits(clientId, data) {
+    assertPermission('deleteRecords');
+    assertValidCredits(validateCreditAdjustment(data));
+    const client = await getClientById(clientId);
+    if (!client) return null;
+    
+    return updateClient(clientId, {
+        creditLog: [...(client.creditLog || []), createCreditLogItem(Number(data.change), 'adjustment', {
+            note: String(data.note).trim()
+        })]
+    });
+}
+
+// ============================================
+// Dashboard Analytics
+// ============================================
+
+// A client is active with a running membership or a session this recent
+const ACTIVE_CLIENT_DAYS = 30;
+// No session for this many days puts a client at risk of dropping out
+const CHURN_RISK_DAYS = 14;
+const DASHBOARD_MONTHS = 12;
+const DASHBOARD_WEEKS = 12;
+
+/**
+ * Date of the client's latest logged session
+ * @param {Object} client - Client record
+ * @returns {string|null} YYYY-MM-DD, or null if nothing is logged
+ */
+function getLastSessionDate(client) {
+    return (client.exerciseHistory || []).reduce((latest, entry) =>
+        !latest || entry.date > latest ? entry.date : latest, null);
+}
+
+/**
+ * The day a client signed up
+ * @param {Object} client - Client record
+ * @returns {string} YYYY-MM-DD (startDate, or the day the record was created)
+ */
+function getSignupDate(client) {
+    return client.startDate || formatDateOnly(new Date(client.createdAt));
+}
+
+/**
+ * Gym-wide numbers for the dashboard
+ * @param {Array} clients - Client records
+ * @param {string} today - YYYY-MM-DD (defaults to today)
+ * @returns {Object} {
+ *   total, active, newThisMonth,
+ *   signupsByMonth: [{ month: 'YYYY-MM', count }] for the last DASHBOARD_MONTHS months,
+ *   goals: [{ goal, count }],
+ *   weeklySessions: [{ weekStart: Date, count }] for the last DASHBOARD_WEEKS weeks,
+ *   churnRisk: [{ client, lastSession, daysSince }] most recently lapsed first,
+ *   renewals: [{ client, status }] memberships ending within MEMBERSHIP_EXPIRING_DAYS,
+ *   lowCredits: [{ client, status }] session packs running low or used up
+ * }
+ */
+function getDashboardStats(clients, today = formatDateOnly(new Date())) {
+    const thisMonth = today.slice(0, 7);
+    const firstMonth = addMonths(`${thisMonth}-01`, -(DASHBOARD_MONTHS - 1));
+    const signupsByMonth = [];
+    for (let date = firstMonth; date <= today; date = addMonths(date, 1)) {
+        signupsByMonth.push({ month: date.slice(0, 7), count: 0 });
+    }
+    
+    const thisWeek = getWeekStart(parseDateOnly(today));
+    const weeklySessions = [];
+    for (let i = DASHBOARD_WEEKS - 1; i >= 0; i--) {
+        const weekStart = new Date(thisWeek);
+        weekStart.setDate(weekStart.getDate() - i * 7);
+        weeklySessions.push({ weekStart, count: 0 });
+    }
+    
+    const goals = GOAL_OPTIONS.map(goal => ({ goal, count: 0 }));
+    const churnRisk = [];
+    const renewals = [];
+    const lowCredits = [];
+    let active = 0;
+    
+    clients.forEach(client => {
+        const signupMonth = getSignupDate(client).slice(0, 7);
+        const month = signupsByMonth.find(m => m.month === signupMonth);
+        if (month) month.count++;
+        
+        const goal = goals.find(g => g.goal === client.goal) || goals[goals.length - 1];
+        goal.count++;
+        
+        (client.exerciseHistory || []).forEach(entry => {
+            const weekStart = getWeekStart(parseDateOnly(entry.date)).getTime();
+            const week = weeklySessions.find(w => w.weekStart.getTime() === weekStart);
+            if (week) week.count++;
+        });
+        
+        const lastSession = getLastSessionDate(client);
+        const daysSince = lastSession ? getDaysBetween(lastSession, today) : null;
+        const membership = getMembershipStatus(client.membership, today);
+        if (['active', 'expiring', 'frozen'].includes(membership.status) ||
+            (daysSince !== null && daysSince <= ACTIVE_CLIENT_DAYS)) {
+            active++;
+        }
+        
+        // New clients get a grace period before they count as at risk
+        const onBooks = getDaysBetween(getSignupDate(client), today);
+        if ((daysSince === null || daysSince > CHURN_RISK_DAYS) && onBooks > CHURN_RISK_DAYS) {
+            churnRisk.push({ client, lastSession, daysSince });
+        }
+        
+        if (membership.status === 'expiring') {
+            renewals.push({ client, status: membership });
+        }
+        
+        const credits = getCreditStatus(client);
+        if (credits.status === 'low' || credits.status === 'empty') {
+            lowCredits.push({ client, status: credits });
+        }
+    });
+    
+    return {
+        total: clients.length,
+        active,
+        newThisMonth: signupsByMonth[signupsByMonth.length - 1].count,
+        signupsByMonth,
+        goals,
+        weeklySessions,
+        churnRisk: churnRisk.sort((a, b) => (a.daysSince ?? Infinity) - (b.daysSince ?? Infinity)),
+        renewals: renewals.sort((a, b) => a.status.daysLeft - b.status.daysLeft),
+        lowCredits: lowCredits.sort((a, b) => a.status.balance - b.status.balance)
+    };
+}
+
+// ============================================
+// Charts (inline SVG)
+// ============================================
+
+/**
+ * Round a maximum up to a tidy axis value
+ * @param {number} value - Largest data value
+ * @returns {number} Axis maximum
+ */
+function niceAxisMax(value) {
+    if (value <= 0) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 2.5, 5, 10].find(s => s * magnitude >= value);
+    return step * magnitude;
+}
+
+/**
+ * Draw a time-series line chart
+ * @param {Array} points - [{ date: 'YYYY-MM-DD', value: number }] oldest first
+ * @param {Object} options - { label, unit, zeroBased, target, width, height }
+ *   target draws a dashed horizontal reference line at that value.
+ *   Labels are plain text; they are escaped here.
+ * @returns {string} SVG markup (empty string when there are no points)
+ */
+function createLineChartSvg(points, options = {}) {
+    if (points.length === 0) return '';
+    const { label = 'Chart', unit = '', zeroBased = true, target = null, width = 600, height = 220 } = options;
+    const pad = { top: 16, right: 16, bottom: 32, left: 52 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    
+    const times = points.map(p => parseDateOnly(p.date).getTime());
+    const values = points.map(p => p.value).concat(target === null ? [] : [target]);
+    const minT = Math.min(...times);
+    const spanT = Math.max(...times) - minT || 1;
+    const rawMin = Math.min(...values);
+    const minV = zeroBased ? 0 : Math.floor(rawMin - (Math.max(...values) - rawMin) * 0.1 - 1);
+    const maxV = zeroBased ? niceAxisMax(Math.max(...values)) : Math.ceil(Math.max(...values) + 1);
+    const spanV = maxV - minV || 1;
+    
+    const x = (t) => pad.left + (points.length === 1 ? plotW / 2 : ((t - minT) / spanT) * plotW);
+    const y = (v) => pad.top + plotH - ((v - minV) / spanV) * plotH;
+    const format = (v) => `${formatNumber(Math.round(v * 10) / 10)}${unit ? ` ${unit}` : ''}`;
+    
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(f => minV + f * spanV);
+    const grid = ticks.map(v => `
+        <line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(v)}" y2="${y(v)}" />
+        <text class="chart-axis" x="${pad.left - 6}" y="${y(v) + 4}" text-anchor="end">${formatNumber(Math.round(v))}</text>
+    `).join('');
+    
+    const xLabels = [points[0], points[points.length - 1]]
+        .filter((p, i, arr) => i === 0 || p !== arr[0])
+        .map((p, i) => `
+            <text class="chart-axis" x="${x(parseDateOnly(p.date).getTime())}" y="${height - 8}"
+                text-anchor="${points.length === 1 ? 'middle' : (i === 0 ? 'start' : 'end')}">${escapeHtml(formatShortDate(p.date))}</text>
+        `).join('');
+    
+    const targetLine = target === null ? '' : `
+        <line class="chart-target" x1="${pad.left}" x2="${width - pad.right}" y1="${y(target)}" y2="${y(target)}" />
+        <text class="chart-axis chart-target-label" x="${width - pad.right}" y="${y(target) - 6}" text-anchor="end">${escapeHtml(t('clientView.chartTarget', { value: format(target) }))}</text>
+    `;
+    
+    const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(times[i]).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+    const dots = points.map((p, i) => `
+        <circle class="chart-dot" cx="${x(times[i]).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="4">
+            <title>${escapeHtml(`${formatShortDate(p.date)}: ${format(p.value)}`)}</title>
+        </circle>
+    `).join('');
+    
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(label)}">
+            ${grid}
+            ${xLabels}
+            ${targetLine}
+            <path class="chart-line" d="${path}" />
+            ${dots}
+        </svg>
+    `;
+}
+
+/**
+ * Draw a bar chart
+ * @param {Array} bars - [{ label: string, value: number, title?: string }]
+ *   (plain text, escaped here)
+ * @param {Object} options - { label, width, height, labelEvery }
+ * @returns {string} SVG markup (empty string when there are no bars)
+ */
+function createBarChartSvg(bars, options = {}) {
+    if (bars.length === 0) return '';
+    const { label = 'Chart', width = 600, height = 220 } = options;
+    const labelEvery = options.labelEvery || Math.ceil(bars.length / 8);
+    const pad = { top: 16, right: 16, bottom: 32, left: 40 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const maxV = niceAxisMax(Math.max(...bars.map(b => b.value)));
+    const slot = plotW / bars.length;
+    const barW = Math.max(2, slot * 0.7);
+    const y = (v) => pad.top + plotH - (v / maxV) * plotH;
+    
+    const ticks = [0, 0.5, 1].map(f => f * maxV);
+    const grid = ticks.map(v => `
+        <line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(v)}" y2="${y(v)}" />
+        <text class="chart-axis" x="${pad.left - 6}" y="${y(v) + 4}" text-anchor="end">${formatNumber(Math.round(v * 10) / 10)}</text>
+    `).join('');
+    
+    const rects = bars.map((bar, i) => {
+        const cx = pad.left + slot * i + slot / 2;
+        return `
+            <rect class="chart-bar" x="${(cx - barW / 2).toFixed(1)}" y="${y(bar.value).toFixed(1)}"
+                width="${barW.toFixed(1)}" height="${(pad.top + plotH - y(bar.value)).toFixed(1)}">
+                <title>${escapeHtml(bar.title || `${bar.label}: ${formatNumber(bar.value)}`)}</title>
+            </rect>
+            ${i % labelEvery === 0 ? `<text class="chart-axis" x="${cx}" y="${height - 8}" text-anchor="middle">${escapeHtml(bar.label)}</text>` : ''}
+        `;
+    }).join('');
+    
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(label)}">
+            ${grid}
+            ${rects}
+        </svg>
+    `;
+}
+
+// ============================================
+// Filtering, Sorting & Pagination
+// ============================================
+
+// Columns the client table can be sorted by
+const CLIENT_SORT_KEYS = ['fullName', 'email', 'phone', 'goal', 'startDate'];
+
+/**
+ * Check whether a client matches a free-text query
+ * Matches name and email by substring, and phone by digits
+ * so "0101234" finds "+20 10 1234 5678".
+ * @param {Object} client - Client object
+ * @param {string} query - Search query
+ * @returns {boolean} True if the client matches
+ */
+function clientMatchesQuery(client, query) {
+    const lowerQuery = query.trim().toLowerCase();
+    if (!lowerQuery) return true;
+    
+    if ((client.fullName || '').toLowerCase().includes(lowerQuery)) return true;
+    if ((client.email || '').toLowerCase().includes(lowerQuery)) return true;
+    
+    const queryDigits = lowerQuery.replace(/\D/g, '');
+    const phoneDigits = (client.phone || '').replace(/\D/g, '');
+    return queryDigits.length > 0 && phoneDigits.includes(queryDigits);
+}
+
+/**
+ * Filter clients by search text and field criteria
+ * Empty criteria are ignored.
+ * @param {Array} clients - Clients to filter
+ * @param {Object} criteria - { query, goal, gender, ageMin, ageMax, startFrom, startTo,
+ *   membership, expiresWithin, credits, trainer }. membership is a status key (see getMembershipStatus);
+ *   expiresWithin keeps memberships that end within that many days from today;
+ *   credits is a credit status key (see getCreditStatus); trainer is a trainer ID,
+ *   'unassigned' or 'all'. Custom fields filter with `custom.<fieldId>` (see
+ *   matchesCustomFieldFilters).
+ * @returns {Array} Matching clients
+ */
+function filterClients(clients, criteria = {}) {
+    const { query, goal, gender, startFrom, startTo, membership, credits, trainer } = criteria;
+    const ageMin = parseInt(criteria.ageMin);
+    const ageMax = parseInt(criteria.ageMax);
+    const expiresWithin = parseInt(criteria.expiresWithin);
+    const customFields = getCustomFields();
+    
+    return clients.filter(client => {
+        if (membership || !isNaN(expiresWithin)) {
+            const status = getMembershipStatus(client.membership);
+            if (membership && status.status !== membership) return false;
+            if (!isNaN(expiresWithin) && !(status.daysLeft !== null && status.daysLeft >= 0 && status.daysLeft <= expiresWithin)) return false;
+        }
+        if (credits && getCreditStatus(client).status !== credits) return false;
+        if (trainer && trainer !== 'all' && (client.trainerId || 'unassigned') !== trainer) return false;
+        if (query && !clientMatchesQuery(client, query)) return false;
+        if (goal && client.goal !== goal) return false;
+        if (gender && client.gender !== gender) return false;
+        if (!isNaN(ageMin) && !(client.age >= ageMin)) return false;
+        if (!isNaN(ageMax) && !(client.age <= ageMax)) return false;
+        // startDate is YYYY-MM-DD so string comparison orders correctly
+        if (startFrom && !(client.startDate >= startFrom)) return false;
+        if (startTo && !(client.startDate <= startTo)) return false;
+        if (!matchesCustomFieldFilters(client, criteria, customFields)) return false;
+        return true;
+    });
+}
+
+/**
+ * Sort clients by a field
+ * @param {Array} clients - Clients to sort
+ * @param {string} key - One of CLIENT_SORT_KEYS
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array} New sorted array
+ */
+function sortClients(clients, key, direction = 'asc') {
+    if (!CLIENT_SORT_KEYS.includes(key)) return [...clients];
+    const factor = direction === 'desc' ? -1 : 1;
+    
+    return [...clients].sort((a, b) => {
+        const valueA = a[key] ?? '';
+        const valueB = b[key] ?? '';
+        const result = (typeof valueA === 'number' && typeof valueB === 'number')
+            ? valueA - valueB
+            : String(valueA).localeCompare(String(valueB), undefined, { sensitivity: 'base' });
+        return result * factor;
+    });
+}
+
+/**
+ * Slice one page out of a list
+ * @param {Array} items - Full list
+ * @param {number} page - 1-based page number (clamped to the valid range)
+ * @param {number} pageSize - Items per page
+ * @returns {Object} { items, page, totalPages, total, start }
+ */
+function paginate(items, page, pageSize) {
+    const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+    const currentPage = Math.min(Math.max(1, page || 1), totalPages);
+    const start = (currentPage - 1) * pageSize;
+    return {
+        items: items.slice(start, start + pageSize),
+        page: currentPage,
+        totalPages,
+        total: items.length,
+        start
+    };
+}
+
+// ============================================
+// Form Validation
+// ============================================
+
+/**
+ * Validate email format
+ * @param {string} email - Email address
+ * @returns {boolean} True if valid
+ */
+function isValidEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+}
+
+/**
+ * Validate phone number (basic validation)
+ * @param {string} phone - Phone number
+ * @returns {boolean} True if valid
+ */
+function isValidPhone(phone) {
+    // Allow digits, spaces, dashes, parentheses, plus sign
+    const phoneRegex = /^[\d\s\-\(\)\+]{7,20}$/;
+    return phoneRegex.test(phone);
+}
+
+/**
+ * Validate a plain client record with the same rules as the form
+ * Used by the form as well as by backup and CSV imports.
+ * @param {Object} data - Raw client fields (strings or numbers)
+ * @returns {Object} { isValid: boolean, errors: Object }
+ */
+function validateClientData(data) {
+    const errors = {};
+    const text = (value) => (value === undefined || value === null) ? '' : String(value).trim();
+    
+    // Full Name - required
+    const fullName = text(data.fullName);
+    if (!fullName) {
+        errors.fullName = t('validation.fullNameRequired');
+    } else if (fullName.length < 2) {
+        errors.fullName = t('validation.fullNameShort', { min: 2 });
+    }
+    
+    // Age - required, must be 1-120
+    const age = parseInt(data.age);
+    if (!age || isNaN(age)) {
+        errors.age = t('validation.ageRequired');
+    } else if (age < 1 || age > 120) {
+        errors.age = t('validation.ageRange', { min: 1, max: 120 });
+    }
+    
+    // Gender - required
+    const gender = text(data.gender);
+    if (!gender) {
+        errors.gender = t('validation.genderRequired');
+    }
+    
+    // Email - required, valid format
+    const email = text(data.email);
+    if (!email) {
+        errors.email = t('validation.emailRequired');
+    } else if (!isValidEmail(email)) {
+        errors.email = t('validation.emailInvalid');
+    }
+    
+    // Phone - required, valid format
+    const phone = text(data.phone);
+    if (!phone) {
+        errors.phone = t('validation.phoneRequired');
+    } else if (!isValidPhone(phone)) {
+        errors.phone = t('validation.phoneInvalid');
+    }
+    
+    // Fitness Goal - required
+    const goal = text(data.goal);
+    if (!goal) {
+        errors.goal = t('validation.goalRequired');
+    }
+    
+    // Start Date - required
+    const startDate = text(data.startDate);
+    if (!startDate) {
+        errors.startDate = t('validation.startDateRequired');
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate the client form
+ * @param {HTMLFormElement} form - The form element
+ * @returns {Object} { isValid: boolean, errors: Object }
+ */
+function validateClientForm(form) {
+    const { errors } = validateClientData(Object.fromEntries(new FormData(form)));
+    Object.assign(errors, validateCustomFieldValues(getCustomFieldFormValues(form)));
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Display validation errors on form
+ * @param {HTMLFormElement} form - The form element
+ * @param {Object} errors - Error messages by field name
+ */
+function displayFormErrors(form, errors) {
+    // Clear existing errors
+    form.querySelectorAll('.error-message').forEach(el => el.remove());
+    form.querySelectorAll('.input-error').forEach(el => el.classList.remove('input-error'));
+    
+    // Display new errors
+    Object.entries(errors).forEach(([fieldName, message]) => {
+        const field = form.querySelector(`[name="${fieldName}"]`);
+        if (field) {
+            field.classList.add('input-error');
+            const errorEl = document.createElement('span');
+            errorEl.className = 'error-message';
+            errorEl.textContent = message;
+            field.parentNode.appendChild(errorEl);
+        }
+    });
+}
+
+/**
+ * Clear all form errors
+ * @param {HTMLFormElement} form - The form element
+ */
+function clearFormErrors(form) {
+    form.querySelectorAll('.error-message').forEach(el => el.remove());
+    form.querySelectorAll('.input-error').forEach(el => el.classList.remove('input-error'));
+}
+
+/**
+ * Get form data as an object
+ * @param {HTMLFormElement} form - The form element
+ * @returns {Object} Form data object
+ */
+function getFormData(form) {
+    const formData = new FormData(form);
+    return {
+        fullName: formData.get('fullName')?.trim(),
+        age: parseInt(formData.get('age')),
+        gender: formData.get('gender'),
+        email: formData.get('email')?.trim(),
+        phone: formData.get('phone')?.trim(),
+        goal: formData.get('goal'),
+        goalText: formData.get('goalText')?.trim() || '',
+        startDate: formData.get('startDate'),
+        // Only on forms that show an enabled trainer picker
+        ...(form.elements.trainerId && !form.elements.trainerId.disabled
+            ? { trainerId: formData.get('trainerId') || null }
+            : {}),
+        // Only on forms that render the custom fields
+        ...(form.querySelector('[data-custom-field]')
+            ? { customFields: getCustomFieldFormValues(form) }
+            : {})
+    };
+}
+
+// ============================================
+// Custom Client Fields
+// ============================================
+
+// Extra client fields defined on the Settings page, in form order.
+// Values are stored on the client as customFields[fieldId].
+const CUSTOM_FIELDS_KEY = 'fitcrm_custom_fields';
+
+const CUSTOM_FIELD_TYPES = {
+    text: 'Text',
+    number: 'Number',
+    date: 'Date',
+    select: 'Dropdown',
+    checkbox: 'Checkbox'
+};
+// Types whose min/max rules mean: text length, number value, date range
+const CUSTOM_FIELD_RANGE_TYPES = ['text', 'number', 'date'];
+const CUSTOM_FIELD_LABEL_MAX_LENGTH = 60;
+
+/**
+ * All custom field definitions, in form order
+ * @returns {Array} Fields as { id, label, type, required, min, max, options, filterable, createdAt }
+ */
+function getCustomFields() {
+    try {
+        const fields = JSON.parse(localStorage.getItem(CUSTOM_FIELDS_KEY));
+        return Array.isArray(fields) ? fields : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Save the custom field definitions
+ * With sync on they are queued for the server too.
+ * @param {Array} fields - Fields in form order
+ * @param {Object} options - { queue: false } for fields that came from the server
+ */
+function writeCustomFields(fields, { queue = true } = {}) {
+    localStorage.setItem(CUSTOM_FIELDS_KEY, JSON.stringify(fields));
+    if (queue) queueCustomFieldsSync();
+}
+
+/**
+ * ID for a new field, made from its label
+ * IDs never change, so values stay attached when the label is edited.
+ * @param {string} label - Field label
+ * @param {Array} fields - Existing fields
+ * @returns {string} e.g. "emergency_contact"
+ */
+function createCustomFieldId(label, fields) {
+    const base = String(label).toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+        .slice(0, 40) || 'field';
+    let id = base;
+    for (let n = 2; fields.some(field => field.id === id); n++) {
+        id = `${base}_${n}`;
+    }
+    return id;
+}
+
+/**
+ * Read the options of a dropdown field
+ * @param {string|Array} options - One option per line, or an array
+ * @returns {Array<string>} Trimmed, non-empty options
+ */
+function parseCustomFieldOptions(options) {
+    const items = Array.isArray(options) ? options : String(options || '').split('\n');
+    return items.map(option => String(option).trim()).filter(Boolean);
+}
+
+/**
+ * Validate a custom field definition
+ * @param {Object} data - { id, label, type, required, min, max, options, filterable }
+ * @param {Array} fields - Existing fields (labels must be unique)
+ * @returns {Object} { isValid: boolean, errors: Object }
+ */
+function validateCustomFieldDefinition(data, fields = getCustomFields()) {
+    const errors = {};
+    const label = String(data.label || '').trim();
+    
+    if (!label) {
+        errors.label = t('validation.fieldNameRequired');
+    } else if (label.length > CUSTOM_FIELD_LABEL_MAX_LENGTH) {
+        errors.label = t('validation.fieldNameLength', { max: CUSTOM_FIELD_LABEL_MAX_LENGTH });
+    } else if (fields.some(field => field.id !== data.id && field.label.toLowerCase() === label.toLowerCase())) {
+        errors.label = t('validation.fieldNameTaken');
+    }
+    
+    if (!CUSTOM_FIELD_TYPES[data.type]) {
+        errors.type = t('validation.fieldType');
+    }
+    
+    if (CUSTOM_FIELD_RANGE_TYPES.includes(data.type)) {
+        const min = String(data.min ?? '').trim();
+        const max = String(data.max ?? '').trim();
+        const isBound = data.type === 'date'
+            ? (value) => /^\d{4}-\d{2}-\d{2}$/.test(value)
+            : data.type === 'text'
+                ? (value) => /^\d+$/.test(value)
+                : (value) => !isNaN(Number(value));
+        if (min && !isBound(min)) errors.min = t(`validation.fieldBound.${data.type}`, { bound: t('validation.minimum') });
+        if (max && !isBound(max)) errors.max = t(`validation.fieldBound.${data.type}`, { bound: t('validation.maximum') });
+        if (min && max && !errors.min && !errors.max) {
+            const inOrder = data.type === 'date' ? min <= max : Number(min) <= Number(max);
+            if (!inOrder) errors.max = t('validation.fieldBoundOrder');
+        }
+    }
+    
+    if (data.type === 'select') {
+        const options = parseCustomFieldOptions(data.options);
+        if (options.length < 2) {
+            errors.options = t('validation.fieldOptions');
+        } else if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+            errors.options = t('validation.fieldOptionsUnique');
+        }
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * The stored settings of a valid field definition
+ * @param {Object} data - { label, type, required, min, max, options, filterable }
+ * @returns {Object} Definition without id or timestamps
+ */
+function normalizeCustomFieldDefinition(data) {
+    const { type } = data;
+    const bound = (value) => {
+        const text = String(value ?? '').trim();
+        if (!text || !CUSTOM_FIELD_RANGE_TYPES.includes(type)) return null;
+        return type === 'date' ? text : Number(text);
+    };
+    return {
+        label: String(data.label).trim(),
+        type,
+        required: Boolean(data.required),
+        min: bound(data.min),
+        max: bound(data.max),
+        options: type === 'select' ? parseCustomFieldOptions(data.options) : [],
+        filterable: Boolean(data.filterable)
+    };
+}
+
+/**
+ * Combine this device's custom fields with fields from elsewhere
+ * (a backup or another device). Fields are matched by id; when both sides
+ * have a field, the one edited last is kept, unless its type differs.
+ * Other incoming fields are added at the end, unless the name is taken.
+ * @param {Array} fields - Fields on this device
+ * @param {Array} incoming - Other fields (validated)
+ * @returns {Array} Merged fields in form order
+ */
+function mergeCustomFields(fields, incoming) {
+    const stamp = (field) => field.updatedAt || field.createdAt || '';
+    const merged = fields.map(field => {
+        const other = incoming.find(item => item.id === field.id);
+        return other && other.type === field.type && stamp(other) > stamp(field) ? other : field;
+    });
+    incoming.forEach(field => {
+        const taken = merged.some(item => item.id === field.id || item.label.toLowerCase() === field.label.toLowerCase());
+        if (!taken) merged.push(field);
+    });
+    return merged;
+}
+
+/**
+ * Check custom field definitions from a backup or the sync server
+ * Invalid definitions and repeated ids or names are dropped.
+ * @param {Array} fields - Definitions as stored by getCustomFields
+ * @returns {Array} Valid definitions
+ */
+function parseCustomFieldDefinitions(fields) {
+    const valid = [];
+    (Array.isArray(fields) ? fields : []).forEach(field => {
+        if (typeof field?.id !== 'string' || !/^[a-z0-9_]+$/.test(field.id)) return;
+        if (valid.some(item => item.id === field.id)) return;
+        if (!validateCustomFieldDefinition(field, valid).isValid) return;
+        valid.push({
+            id: field.id,
+            ...normalizeCustomFieldDefinition(field),
+            createdAt: field.createdAt || new Date().toISOString(),
+            ...(field.updatedAt ? { updatedAt: field.updatedAt } : {})
+        });
+    });
+    return valid;
+}
+
+/**
+ * Add or update a custom field
+ * A field's type can't change once it exists, since clients already hold
+ * values of that type.
+ * @param {Object} data - Field data; an existing `id` updates that field
+ * @returns {Object} Saved field
+ * @throws {Error} With an `errors` object if invalid, or if the current user is not an admin
+ */
+function saveCustomField(data) {
+    assertPermission('manageSettings');
+    const fields = getCustomFields();
+    const index = fields.findIndex(field => field.id === data.id);
+    const type = index === -1 ? data.type : fields[index].type;
+    
+    const { isValid, errors } = validateCustomFieldDefinition({ ...data, type }, fields);
+    if (!isValid) {
+        const error = new Error(Object.values(errors)[0]);
+        error.errors = errors;
+        throw error;
+    }
+    
+    const definition = normalizeCustomFieldDefinition({ ...data, type });
+    const field = index === -1
+        ? { id: createCustomFieldId(definition.label, fields), ...definition, createdAt: new Date().toISOString() }
+        : { ...fields[index], ...definition, updatedAt: new Date().toISOString() };
+    if (index === -1) {
+        fields.push(field);
+    } else {
+        fields[index] = field;
+    }
+    writeCustomFields(fields);
+    return field;
+}
+
+/**
+ * Delete a custom field
+ * Clients keep their values, so a field created again with the same
+ * name shows them again.
+ * @param {string} id - Field ID
+ * @returns {boolean} True if deleted, false if not found
+ * @throws {Error} If the current user is not an admin
+ */
+function deleteCustomField(id) {
+    assertPermission('manageSettings');
+    const fields = getCustomFields();
+    const filtered = fields.filter(field => field.id !== id);
+    if (filtered.length === fields.length) return false;
+    writeCustomFields(filtered);
+    return true;
+}
+
+/**
+ * Move a custom field up or down the form
+ * @param {string} id - Field ID
+ * @param {number} offset - -1 (up) or 1 (down)
+ * @returns {boolean} True if moved
+ * @throws {Error} If the current user is not an admin
+ */
+function moveCustomField(id, offset) {
+    assertPermission('manageSettings');
+    const fields = getCustomFields();
+    const index = fields.findIndex(field => field.id === id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= fields.length) return false;
+    [fields[index], fields[target]] = [fields[target], fields[index]];
+    writeCustomFields(fields);
+    return true;
+}
+
+/**
+ * Whether a custom field value counts as not filled in
+ * @param {*} value - Stored value
+ * @returns {boolean} True for null, undefined or ''
+ */
+function isEmptyCustomFieldValue(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Read the custom field inputs of a form
+ * Fields the form doesn't show are left out.
+ * @param {HTMLFormElement} form - Form with inputs named "custom.<fieldId>"
+ * @returns {Object} Values by field ID: booleans for checkboxes, numbers
+ *   for number fields, strings otherwise, null when empty
+ */
+function getCustomFieldFormValues(form) {
+    const values = {};
+    getCustomFields().forEach(field => {
+        const input = form.elements[`custom.${field.id}`];
+        if (!input) return;
+        if (field.type === 'checkbox') {
+            values[field.id] = input.checked;
+            return;
+        }
+        const text = input.value.trim();
+        values[field.id] = text === '' ? null : (field.type === 'number' ? Number(text) : text);
+    });
+    return values;
+}
+
+/**
+ * Check custom field values against their field's rules
+ * Only fields present in `values` are checked.
+ * @param {Object} values - Values by field ID (see getCustomFieldFormValues)
+ * @param {Array} fields - Field definitions
+ * @returns {Object} Error messages keyed by input name ("custom.<fieldId>")
+ */
+function validateCustomFieldValues(values, fields = getCustomFields()) {
+    const errors = {};
+    
+    fields.filter(field => field.id in values).forEach(field => {
+        const value = values[field.id];
+        const key = `custom.${field.id}`;
+        const { label, min, max } = field;
+        
+        if (field.type === 'checkbox') {
+            if (field.required && value !== true) errors[key] = t('validation.customTicked', { label });
+            return;
+        }
+        if (isEmptyCustomFieldValue(value)) {
+            if (field.required) errors[key] = t('validation.customRequired', { label });
+            return;
+        }
+        
+        if (field.type === 'text') {
+            const length = String(value).length;
+            if (min !== null && length < min) errors[key] = t('validation.customMinLength', { label, min });
+            if (max !== null && length > max) errors[key] = t('validation.customMaxLength', { label, max });
+        } else if (field.type === 'number') {
+            if (typeof value !== 'number' || isNaN(value)) {
+                errors[key] = t('validation.customNumber', { label });
+            } else if ((min !== null && value < min) || (max !== null && value > max)) {
+                errors[key] = min !== null && max !== null
+                    ? t('validation.customBetween', { label, min, max })
+                    : min !== null ? t('validation.customAtLeast', { label, min }) : t('validation.customAtMost', { label, max });
+            }
+        } else if (field.type === 'date') {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                errors[key] = t('validation.customDate', { label });
+            } else if (min !== null && value < min) {
+                errors[key] = t('validation.customOnOrAfter', { label, date: formatDate(min) });
+            } else if (max !== null && value > max) {
+                errors[key] = t('validation.customOnOrBefore', { label, date: formatDate(max) });
+            }
+        } else if (field.type === 'select' && !field.options.includes(value)) {
+            errors[key] = t('validation.customOption', { label: label.toLowerCase() });
+        }
+    });
+    
+    return errors;
+}
+
+/**
+ * Display text for a custom field value
+ * @param {Object} field - Field definition
+ * @param {*} value - Stored value
+ * @returns {string} e.g. "Yes", "12 Mar 2025", or '—' when empty
+ */
+function formatCustomFieldValue(field, value) {
+    if (field?.type === 'checkbox') return value ? t('common.yes') : t('common.no');
+    if (isEmptyCustomFieldValue(value)) return '—';
+    if (field?.type === 'date') return formatDate(value);
+    if (typeof value === 'number') return formatNumber(value);
+    return String(value);
+}
+
+/**
+ * Per-field changes between two sets of custom field values
+ * @param {Object} before - Old values by field ID
+ * @param {Object} after - New values by field ID
+ * @returns {Array<Object>} Changes as { field, label, before, after } (see diffClientRecords)
+ */
+function diffCustomFieldValues(before, after) {
+    const fields = getCustomFields();
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])].flatMap(id => {
+        const field = fields.find(f => f.id === id);
+        const oldText = formatCustomFieldValue(field, before[id]);
+        const newText = formatCustomFieldValue(field, after[id]);
+        if (oldText === newText) return [];
+        return [{ field: `customFields.${id}`, label: field?.label || id, before: oldText, after: newText }];
+    });
+}
+
+/**
+ * Check a client against the custom field filters
+ * `custom.<fieldId>` holds the text to look for (text fields), the option
+ * (dropdowns) or 'yes'/'no' (checkboxes); number and date fields use
+ * `custom.<fieldId>.min` and `custom.<fieldId>.max`.
+ * @param {Object} client - Client
+ * @param {Object} criteria - Filter criteria (see filterClients)
+ * @param {Array} fields - Field definitions
+ * @returns {boolean} True if the client matches every filter
+ */
+function matchesCustomFieldFilters(client, criteria, fields = getCustomFields()) {
+    return fields.every(field => {
+        const value = client.customFields?.[field.id];
+        const wanted = criteria[`custom.${field.id}`];
+        const min = criteria[`custom.${field.id}.min`];
+        const max = criteria[`custom.${field.id}.max`];
+        
+        if (field.type === 'checkbox') {
+            return !wanted || Boolean(value) === (wanted === 'yes');
+        }
+        if (field.type === 'text') {
+            return !wanted || String(value ?? '').toLowerCase().includes(wanted.trim().toLowerCase());
+        }
+        if (field.type === 'select') {
+            return !wanted || value === wanted;
+        }
+        if (!min && !max) return true;
+        if (isEmptyCustomFieldValue(value)) return false;
+        // Dates are YYYY-MM-DD so string comparison orders correctly
+        const toComparable = field.type === 'number' ? Number : String;
+        if (min && !(toComparable(value) >= toComparable(min))) return false;
+        if (max && !(toComparable(value) <= toComparable(max))) return false;
+        return true;
+    });
+}
+
+// ============================================
+// UI Helpers
+// ============================================
+
+/**
+ * Show a toast notification
+ * A toast with an action button stays up longer so it can be clicked.
+ * @param {string} message - Message to display
+ * @param {string} type - 'success', 'error', 'info' or 'warning'
+ * @param {Object} action - Optional button as { label, onClick }
+ */
+function showToast(message, type = 'info', action = null) {
+    // Remove existing toasts
+    document.querySelectorAll('.toast').forEach(t => t.remove());
+    
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.textContent = message;
+    toast.setAttribute('role', 'alert');
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.append(' ', button);
+    }
+    document.body.appendChild(toast);
+    
+    // Trigger animation
+    requestAnimationFrame(() => {
+        toast.classList.add('toast-show');
+    });
+    
+    // Auto-remove after 3 seconds (8 with an action)
+    setTimeout(() => {
+        toast.classList.remove('toast-show');
+        setTimeout(() => toast.remove(), 300);
+    }, action ? 8000 : 3000);
+}
+
+/**
+ * Show a success toast with an Undo button for the last recorded change
+ * Undoing offers Redo, and so on.
+ * @param {string} message - Message to display
+ * @param {Function} onRevert - Called with the client after an undo or redo
+ * @param {string|Array<string>} auditIds - Audit record(s) undone together
+ *   (defaults to the last one)
+ */
+function showUndoToast(message, onRevert, auditIds = getLastAuditRecord()?.id) {
+    if (!auditIds || auditIds.length === 0) {
+        showToast(message, 'success');
+        return;
+    }
+    showToast(message, 'success', {
+        label: t('common.undo'),
+        onClick: () => revertFromToast(auditIds, onRevert)
+    });
+}
+
+/**
+ * Revert changes from a toast button and offer to revert them back
+ * @param {string|Array<string>} auditIds - Audit record(s) to revert
+ * @param {Function} onRevert - Called with the (first) client afterwards
+ */
+async function revertFromToast(auditIds, onRevert) {
+    try {
+        const results = [];
+        for (const auditId of [].concat(auditIds)) {
+            results.push(await revertChange(auditId));
+        }
+        await onRevert?.(results[0].client);
+        const redo = results[0].record.action === 'undo';
+        showToast(redo ? t('common.changeUndone') : t('common.changeRedone'), 'info', {
+            label: redo ? t('common.redo') : t('common.undo'),
+            onClick: () => revertFromToast(results.map(result => result.record.id), onRevert)
+        });
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Keep an undo toast for the next page, for changes followed by a redirect
+ * @param {string} message - Message to display
+ */
+function queueUndoToast(message) {
+    sessionStorage.setItem(PENDING_UNDO_KEY, JSON.stringify({
+        message,
+        auditId: getLastAuditRecord()?.id
+    }));
+}
+
+/**
+ * Show the undo toast queued by the previous page, if any
+ * @param {Function} onRevert - Called with the client after an undo or redo
+ */
+function showQueuedUndoToast(onRevert) {
+    const pending = sessionStorage.getItem(PENDING_UNDO_KEY);
+    if (!pending) return;
+    sessionStorage.removeItem(PENDING_UNDO_KEY);
+    
+    const { message, auditId } = JSON.parse(pending);
+    showUndoToast(message, onRevert, auditId || null);
+}
+
+/**
+ * Show a confirmation dialog
+ * @param {string} message - Confirmation message
+ * @param {Function} onConfirm - Callback when confirmed
+ * @param {Function} onCancel - Callback when cancelled
+ */
+function showConfirmDialog(message, onConfirm, onCancel) {
+    // Remove existing dialogs
+    document.querySelectorAll('.modal-overlay').forEach(m => m.remove());
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal" role="dialog" aria-modal="true" aria-labelledby="confirm-title">
+            <h3 id="confirm-title" class="modal-title">${t('common.confirmTitle')}</h3>
+            <p class="modal-message">${message}</p>
+            <div class="modal-actions">
+                <button class="btn btn-secondary" data-action="cancel">${t('common.cancel')}</button>
+                <button class="btn btn-danger" data-action="confirm">${t('common.delete')}</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(overlay);
+    
+    // Focus the cancel button
+    overlay.querySelector('[data-action="cancel"]').focus();
+    
+    // Handle clicks
+    overlay.addEventListener('click', (e) => {
+        const action = e.target.dataset.action;
+        if (action === 'confirm') {
+            onConfirm?.();
+            overlay.remove();
+        } else if (action === 'cancel' || e.target === overlay) {
+            onCancel?.();
+            overlay.remove();
+        }
+    });
+    
+    // Handle escape key
+    const handleEscape = (e) => {
+        if (e.key === 'Escape') {
+            onCancel?.();
+            overlay.remove();
+            document.removeEventListener('keydown', handleEscape);
+        }
+    };
+    document.addEventListener('keydown', handleEscape);
+}
+
+/**
+ * Show a modal dialog with custom content
+ * Clicking the overlay, pressing Escape or an action named "cancel" closes it.
+ * @param {string} title - Dialog title
+ * @param {string} bodyHtml - Body markup (escape any user data first)
+ * @param {Array} actions - Buttons as { action, label, className }
+ * @param {Function} onAction - Called with (action, overlay); return false to keep the dialog open
+ * @returns {HTMLElement} The overlay element
+ */
+function showModal(title, bodyHtml, actions, onAction) {
+    // Remove existing dialogs
+    document.querySelectorAll('.modal-overlay').forEach(m => m.remove());
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal modal-wide" role="dialog" aria-modal="true" aria-labelledby="modal-title">
+            <h3 id="modal-title" class="modal-title">${title}</h3>
+            <div class="modal-body">${bodyHtml}</div>
+            <div class="modal-actions">
+                ${actions.map(a => `
+                    <button class="btn ${a.className || 'btn-secondary'}" data-action="${a.action}">${a.label}</button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(overlay);
+    
+    const close = () => {
+        overlay.remove();
+        document.removeEventListener('keydown', handleEscape);
+    };
+    
+    // Handle clicks
+    overlay.addEventListener('click', async (e) => {
+        if (e.target === overlay) {
+            close();
+            return;
+        }
+        const button = e.target.closest('.modal-actions [data-action]');
+        if (!button) return;
+        if (button.dataset.action === 'cancel') {
+            close();
+            return;
+        }
+        const result = await onAction?.(button.dataset.action, overlay);
+        if (result !== false) close();
+    });
+    
+    // Handle escape key
+    const handleEscape = (e) => {
+        if (e.key === 'Escape') close();
+    };
+    document.addEventListener('keydown', handleEscape);
+    
+    overlay.querySelector('.modal-actions .btn')?.focus();
+    return overlay;
+}
+
+/**
+ * Trigger a file download in the browser
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Read a user-selected file as text
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<string>} File contents
+ */
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+// ============================================
+// Offline Support (PWA)
+// ============================================
+
+const SERVICE_WORKER_URL = 'sw.js';
+
+/**
+ * Register the service worker and show the offline indicator
+ * The worker (sw.js) precaches the pages so the app opens without a
+ * connection. Call first thing in a page script, after requireSignIn.
+ */
+function initOfflineSupport() {
+    if ('serviceWorker' in navigator && window.isSecureContext) {
+        navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+    
+    const indicator = document.createElement('span');
+    indicator.className = 'offline-indicator';
+    indicator.setAttribute('role', 'status');
+    indicator.title = t('offline.hint');
+    document.querySelector('.header-inner')?.appendChild(indicator);
+    
+    const update = () => {
+        indicator.textContent = navigator.onLine ? '' : t('offline.indicator');
+        indicator.style.display = navigator.onLine ? 'none' : '';
+    };
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    update();
+}
+
+// ============================================
+// Exercise API (Wger)
+// ============================================
+
+const WGER_EXERCISE_URL = 'https://wger.de/api/v2/exerciseinfo/?language=2&limit=100';
+const WGER_LANGUAGE_URL = 'https://wger.de/api/v2/language/?limit=100';
+const WGER_MAX_PAGES = 20;
+
+/**
+ * Turn one Wger exerciseinfo result into a library exercise
+ * @param {Object} ex - Wger API result
+ * @param {Object} languageCodes - Result of fetchWgerLanguageCodes
+ * @returns {Object|null} Library exercise, or null when it has no name
+ */
+function normalizeWgerExercise(ex, languageCodes = {}) {
+    // Prefer the English translation (language id 2), else the first available one
+    const translations = Array.isArray(ex.translations) ? ex.translations : [];
+    const translation = translations.find(t => t.language === 2 && t.name) || translations.find(t => t.name);
+    const name = (translation?.name || '').trim();
+    if (!name) return null;
+    
+    // Names in the app's other languages, where Wger has a translation
+    const localizedNames = {};
+    translations.forEach(item => {
+        const locale = languageCodes[item.language];
+        if (locale && locale !== DEFAULT_LOCALE && item.name?.trim()) {
+            localizedNames[locale] = item.name.trim();
+        }
+    });
+    
+    const muscleName = (muscle) => muscle.name_en || muscle.name;
+    const images = Array.isArray(ex.images) ? ex.images : [];
+    const image = images.find(img => img.is_main) || images[0];
+    
+    return {
+        id: `wger-${ex.id}`,
+        source: 'wger',
+        wgerId: ex.id,
+        name,
+        localizedNames,
+        description: translation.description ? stripHtml(translation.description).trim().substring(0, 600) : '',
+        category: ex.category?.name || '',
+        muscles: (ex.muscles || []).map(muscleName).filter(Boolean),
+        secondaryMuscles: (ex.muscles_secondary || []).map(muscleName).filter(Boolean),
+        equipment: (ex.equipment || []).map(item => item.name).filter(Boolean),
+        imageUrl: image?.image || ''
+    };
+}
+
+/**
+ * Wger's IDs for the languages the app is translated into
+ * Exercise translations are tagged with a Wger language ID.
+ * @returns {Promise<Object>} Locale by language ID (e.g. { 2: 'en' }), or {}
+ *   when the list can't be loaded (exercises then keep their English names)
+ */
+async function fetchWgerLanguageCodes() {
+    try {
+        const response = await fetch(WGER_LANGUAGE_URL, {
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        if (!response.ok) {
+            throw new Error(t('library.requestFailed', { status: String(response.status) }));
+        }
+        const data = await response.json();
+        return Object.fromEntries((data.results || [])
+            .filter(language => LOCALES[language.short_name])
+            .map(language => [language.id, language.short_name]));
+    } catch (error) {
+        console.error('Could not load the Wger languages:', error);
+        return {};
+    }
+}
+
+/**
+ * Download the whole Wger exercise catalog, following the `next` links
+ * @returns {Promise<Array>} Library exercises
+ * @throws {Error} If a request fails or nothing usable comes back
+ */
+async function fetchWgerCatalog() {
+    const exercises = [];
+    const languageCodes = await fetchWgerLanguageCodes();
+    let url = WGER_EXERCISE_URL;
+    
+    for (let page = 0; url && page < WGER_MAX_PAGES; page++) {
+        const response = await fetch(url, {
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error(t('library.requestFailed', { status: String(response.status) }));
+        }
+        
+        const data = await response.json();
+        (data.results || []).forEach(ex => {
+            const exercise = normalizeWgerExercise(ex, languageCodes);
+            if (exercise) exercises.push(exercise);
+        });
+        url = data.next;
+    }
+    
+    if (exercises.length === 0) {
+        throw new Error(t('library.noExercisesReturned'));
+    }
+    console.log('Wger API: received', exercises.length, 'exercises');
+    return exercises;
+}
+
+/**
+ * Suggest exercises for a client's next session from the exercise library
+ * As per assignment: "Retrieve the suggested exercises for the next session 
+ * by grabbing 5 exercises from an online workout manager that provides REST APIs"
+ * 
+ * The Wger catalog comes from the local cache (see getExerciseCatalog), so
+ * suggestions keep working offline once it has been downloaded. Picks are
+ * matched to the client's goal (see recommendExercises).
+ * 
+ * @param {Object|string} client - Client, or just a fitness goal (optional)
+ * @param {number} limit - Number of exercises to return (default: 5)
+ * @returns {Promise<Object>} Object with success flag and exercises array
+ */
+async function fetchSuggestedExercises(client = null, limit = 5) {
+    const target = client && typeof client === 'object' ? client : { goal: client };
+    const library = await getExerciseLibrary();
+    const pool = library.exercises.filter(ex => ex.source !== 'builtin');
+    
+    if (pool.length > 0) {
+        return { success: true, exercises: recommendExercises(pool, target, { limit }), stale: library.stale };
+    }
+    
+    // Fallback exercises, in a stable order for this client
+    const random = createSeededRandom(getSuggestionSeed(target));
+    const fallback = getFallbackExercises(target.goal)
+        .map(exercise => ({ exercise, order: random() }))
+        .sort((a, b) => a.order - b.order)
+        .map(({ exercise }) => exercise);
+    return { 
+        success: false, 
+        exercises: fallback.slice(0, limit),
+        error: t('library.suggestionsFailed')
+    };
+}
+
+/**
+ * Shuffle an array using Fisher-Yates algorithm
+ * @param {Array} array - Array to shuffle
+ * @returns {Array} Shuffled array
+ */
+function shuffleArray(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Alias for backward compatibility
+async function fetchExercises(goal, limit = 5) {
+    const result = await fetchSuggestedExercises(goal, limit);
+    return result.exercises;
+}
+
+/**
+ * Strip HTML tags from string
+ * @param {string} html - HTML string
+ * @returns {string} Plain text
+ */
+function stripHtml(html) {
+    const tmp = document.createElement('div');
+    tmp.innerHTML = html;
+    return tmp.textContent || tmp.innerText || '';
+}
+
+/**
+ * Get fallback exercises if API fails
+ * @param {string} goal - Fitness goal
+ * @returns {Array} Fallback exercises
+ */
+function getFallbackExercises(goal) {
+    const exercises = {
+        'Weight Loss': [
+            { name: 'Jumping Jacks', description: 'Full body cardio exercise. Jump while spreading legs and raising arms overhead.' },
+            { name: 'Burpees', description: 'High-intensity exercise combining squat, plank, and jump.' },
+            { name: 'Mountain Climbers', description: 'Core and cardio exercise in plank position with alternating knee drives.' },
+            { name: 'High Knees', description: 'Running in place while lifting knees to hip level.' },
+            { name: 'Jump Rope', description: 'Classic cardio exercise for endurance and coordination.' }
+        ],
+        'Muscle Gain': [
+            { name: 'Push-ups', description: 'Upper body exercise targeting chest, shoulders, and triceps.' },
+            { name: 'Squats', description: 'Lower body exercise for quadriceps, hamstrings, and glutes.' },
+            { name: 'Lunges', description: 'Unilateral leg exercise for strength and balance.' },
+            { name: 'Plank', description: 'Isometric core exercise for stability and strength.' },
+            { name: 'Dumbbell Rows', description: 'Back exercise targeting lats and biceps.' }
+        ],
+        'General Fitness': [
+            { name: 'Walking', description: 'Low-impact cardio for overall health and endurance.' },
+            { name: 'Stretching', description: 'Flexibility exercises for mobility and injury prevention.' },
+            { name: 'Bodyweight Squats', description: 'Functional movement for lower body strength.' },
+            { name: 'Plank Hold', description: 'Core stability exercise for posture and strength.' },
+            { name: 'Arm Circles', description: 'Shoulder mobility and warm-up exercise.' }
+        ]
+    };
+    
+    return exercises[goal] || exercises['General Fitness'];
+}
+
+// ============================================
+// Exercise Library
+// ============================================
+
+const EXERCISE_CATALOG_KEY = 'fitcrm_exercise_catalog';
+const CUSTOM_EXERCISES_KEY = 'fitcrm_custom_exercises';
+const EXERCISE_CATALOG_MAX_AGE_DAYS = 7;
+// Bumped when cached exercises gain fields, so older caches are refreshed
+// (2: localizedNames)
+const EXERCISE_CATALOG_FORMAT = 2;
+
+// Shared by every caller while a catalog download is running
+let catalogRequest = null;
+
+/**
+ * Read the cached Wger catalog
+ * @returns {Object|null} { fetchedAt, exercises } or null when nothing is cached
+ */
+function readExerciseCatalogCache() {
+    try {
+        const cache = JSON.parse(localStorage.getItem(EXERCISE_CATALOG_KEY));
+        return cache && Array.isArray(cache.exercises) ? cache : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether a cached catalog is older than the refresh policy allows,
+ * or was saved in an older format
+ * @param {Object} cache - Result of readExerciseCatalogCache
+ * @returns {boolean}
+ */
+function isExerciseCatalogStale(cache) {
+    if (cache.format !== EXERCISE_CATALOG_FORMAT) return true;
+    const age = Date.now() - new Date(cache.fetchedAt).getTime();
+    return !(age < EXERCISE_CATALOG_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Built-in exercises, used as the catalog before Wger has ever been reached
+ * @returns {Array} Library exercises
+ */
+function getBuiltinExercises() {
+    const seen = new Set();
+    return ['Weight Loss', 'Muscle Gain', 'General Fitness']
+        .flatMap(goal => getFallbackExercises(goal))
+        .filter(ex => !seen.has(ex.name) && seen.add(ex.name))
+        .map(ex => ({
+            id: `builtin-${ex.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+            source: 'builtin',
+            name: ex.name,
+            description: ex.description,
+            category: '',
+            muscles: [],
+            secondaryMuscles: [],
+            equipment: [],
+            imageUrl: ''
+        }));
+}
+
+/**
+ * Get the Wger catalog, downloading it when the cache is missing or stale
+ * A failed download falls back to the stale cache, then to the built-in list.
+ * @param {Object} options - { refresh: true } downloads even when the cache is fresh
+ * @returns {Promise<Object>} { exercises, fetchedAt, stale, error }
+ */
+async function getExerciseCatalog({ refresh = false } = {}) {
+    const cache = readExerciseCatalogCache();
+    if (!refresh && cache && !isExerciseCatalogStale(cache)) {
+        return { exercises: cache.exercises, fetchedAt: cache.fetchedAt, stale: false, error: null };
+    }
+    
+    if (!catalogRequest) {
+        catalogRequest = fetchWgerCatalog().finally(() => {
+            catalogRequest = null;
+        });
+    }
+    
+    try {
+        const exercises = await catalogRequest;
+        const fresh = { fetchedAt: new Date().toISOString(), exercises };
+        try {
+            localStorage.setItem(EXERCISE_CATALOG_KEY, JSON.stringify({ ...fresh, format: EXERCISE_CATALOG_FORMAT }));
+        } catch (error) {
+            console.error('Could not cache the exercise catalog:', error);
+        }
+        return { ...fresh, stale: false, error: null };
+    } catch (error) {
+        console.error('Error fetching exercises from Wger API:', error);
+        const message = t('library.unreachable');
+        if (cache) {
+            return { exercises: cache.exercises, fetchedAt: cache.fetchedAt, stale: true, error: message };
+        }
+        return { exercises: getBuiltinExercises(), fetchedAt: null, stale: true, error: message };
+    }
+}
+
+/**
+ * Get the trainer's custom exercises
+ * @returns {Promise<Array>} Custom exercises
+ */
+async function getCustomExercises() {
+    try {
+        const exercises = JSON.parse(localStorage.getItem(CUSTOM_EXERCISES_KEY));
+        return Array.isArray(exercises) ? exercises : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Save the custom exercise list
+ * @param {Array} exercises - Custom exercises
+ * @returns {Promise<void>}
+ */
+async function saveCustomExercises(exercises) {
+    localStorage.setItem(CUSTOM_EXERCISES_KEY, JSON.stringify(exercises));
+}
+
+/**
+ * Split a comma separated list ("Chest, Triceps") into trimmed values
+ * @param {string|Array} value - Text or an existing array
+ * @returns {Array<string>} Values
+ */
+function splitList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Validate a custom exercise
+ * @param {Object} data - { name, category, description, muscles, equipment, imageUrl }
+ * @param {Array} existing - Other custom exercises (names must be unique)
+ * @returns {Object} { isValid: boolean, errors: Object }
+ */
+function validateCustomExercise(data, existing = []) {
+    const errors = {};
+    const name = String(data.name || '').trim();
+    
+    if (!name) {
+        errors.name = t('validation.exerciseNameRequired');
+    } else if (name.length > 100) {
+        errors.name = t('validation.exerciseNameLength', { max: 100 });
+    } else if (existing.some(ex => ex.id !== data.id && ex.name.toLowerCase() === name.toLowerCase())) {
+        errors.name = t('validation.exerciseNameTaken');
+    }
+    
+    if (data.imageUrl && !/^https?:\/\/\S+$/i.test(String(data.imageUrl).trim())) {
+        errors.imageUrl = t('validation.imageUrl');
+    }
+    
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Normalize custom exercise form data for storage
+ * @param {Object} data - Raw data
+ * @returns {Object} Exercise fields (without id)
+ */
+function normalizeCustomExercise(data) {
+    return {
+        source: 'custom',
+        name: String(data.name).trim(),
+        description: String(data.description || '').trim(),
+        category: String(data.category || '').trim(),
+        muscles: splitList(data.muscles),
+        secondaryMuscles: [],
+        equipment: splitList(data.equipment),
+        imageUrl: String(data.imageUrl || '').trim()
+    };
+}
+
+/**
+ * Check a custom exercise and throw if it is invalid
+ * @param {Object} data - Exercise data
+ * @param {Array} existing - Other custom exercises
+ * @throws {Error} With an `errors` object (see validateCustomExercise)
+ */
+function assertValidCustomExercise(data, existing) {
+    const { isValid, errors } = validateCustomExercise(data, existing);
+    if (!isValid) {
+        const error = new Error(Object.values(errors)[0]);
+        error.errors = errors;
+        throw error;
+    }
+}
+
+/**
+ * Add a custom exercise to the library
+ * @param {Object} data - Exercise data
+ * @returns {Promise<Object>} The new exercise
+ * @throws {Error} If the exercise fails validation
+ */
+async function addCustomExercise(data) {
+    const exercises = await getCustomExercises();
+    assertValidCustomExercise(data, exercises);
+    
+    const exercise = { id: generateId(), ...normalizeCustomExercise(data), createdAt: new Date().toISOString() };
+    await saveCustomExercises([...exercises, exercise]);
+    return exercise;
+}
+
+/**
+ * Update a custom exercise
+ * @param {string} id - Exercise ID
+ * @param {Object} data - Full exercise data
+ * @returns {Promise<Object|null>} Updated exercise or null if not found
+ * @throws {Error} If the exercise fails validation
+ */
+async function updateCustomExercise(id, data) {
+    const exercises = await getCustomExercises();
+    const index = exercises.findIndex(ex => ex.id === id);
+    if (index === -1) return null;
+    assertValidCustomExercise({ ...data, id }, exercises);
+    
+    exercises[index] = { ...exercises[index], ...normalizeCustomExercise(data), updatedAt: new Date().toISOString() };
+    await saveCustomExercises(exercises);
+    return exercises[index];
+}
+
+/**
+ * Delete a custom exercise
+ * @param {string} id - Exercise ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteCustomExercise(id) {
+    const exercises = await getCustomExercises();
+    const filtered = exercises.filter(ex => ex.id !== id);
+    if (filtered.length === exercises.length) return false;
+    await saveCustomExercises(filtered);
+    return true;
+}
+
+/**
+ * Get the full library: the Wger catalog plus custom exercises, sorted by name
+ * @param {Object} options - Passed to getExerciseCatalog
+ * @returns {Promise<Object>} { exercises, fetchedAt, stale, error }
+ */
+async function getExerciseLibrary(options = {}) {
+    const [catalog, custom] = await Promise.all([getExerciseCatalog(options), getCustomExercises()]);
+    return {
+        ...catalog,
+        exercises: [...catalog.exercises, ...custom].sort((a, b) => a.name.localeCompare(b.name))
+    };
+}
+
+/**
+ * Exercise name in the current language
+ * Wger exercises carry the names Wger has translations for. Everything
+ * else, and the names logged in sessions, stay as entered.
+ * @param {Object} exercise - Library exercise
+ * @returns {string} Display name
+ */
+function getExerciseDisplayName(exercise) {
+    return exercise.localizedNames?.[getLocale()] || exercise.name;
+}
+
+/**
+ * Filter library exercises
+ * @param {Array} exercises - Library exercises
+ * @param {Object} filters - { query, category, muscle, equipment, source }
+ * @returns {Array} Matching exercises
+ */
+function filterExerciseLibrary(exercises, filters = {}) {
+    const query = (filters.query || '').trim().toLowerCase();
+    
+    return exercises.filter(ex => {
+        if (query) {
+            const text = [ex.name, ...Object.values(ex.localizedNames || {}), ex.category, ...ex.muscles, ...ex.equipment].join(' ').toLowerCase();
+            if (!text.includes(query)) return false;
+        }
+        if (filters.category && ex.category !== filters.category) return false;
+        if (filters.muscle && !ex.muscles.includes(filters.muscle) && !ex.secondaryMuscles.includes(filters.muscle)) return false;
+        if (filters.equipment && !ex.equipment.includes(filters.equipment)) return false;
+        if (filters.source && ex.source !== filters.source) return false;
+        return true;
+    });
+}
+
+/**
+ * Distinct categories, muscles and equipment in the library (for filter menus)
+ * @param {Array} exercises - Library exercises
+ * @returns {Object} { categories, muscles, equipment } sorted arrays
+ */
+function getExerciseLibraryFacets(exercises) {
+    const distinct = (values) => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    return {
+        categories: distinct(exercises.map(ex => ex.category)),
+        muscles: distinct(exercises.flatMap(ex => [...ex.muscles, ...ex.secondaryMuscles])),
+        equipment: distinct(exercises.flatMap(ex => ex.equipment))
+    };
+}
+
+/**
+ * Find the library entry for an exercise name from history (case-insensitive)
+ * Custom exercises win over Wger entries with the same name.
+ * @param {Array} exercises - Library exercises
+ * @param {string} name - Exercise name
+ * @returns {Object|null} Library exercise or null
+ */
+function findLibraryExercise(exercises, name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (!key) return null;
+    const matches = exercises.filter(ex => ex.name.toLowerCase() === key);
+    return matches.find(ex => ex.source === 'custom') || matches[0] || null;
+}
+
+// ============================================
+// Exercise Recommendations
+// ============================================
+
+/**
+ * What each goal looks for in the library. Names follow Wger's categories,
+ * English muscle names and equipment; keywords are matched against exercise names.
+ */
+const GOAL_EXERCISE_PROFILES = {
+    'Weight Loss': {
+        categories: ['Cardio', 'Legs', 'Abs'],
+        muscles: ['Quads', 'Glutes', 'Hamstrings', 'Abs'],
+        equipment: ['none (bodyweight exercise)', 'Kettlebell', 'Gym mat'],
+        keywords: ['jump', 'burpee', 'climber', 'run', 'sprint', 'swing', 'row', 'bike', 'cycling', 'skipping']
+    },
+    'Muscle Gain': {
+        categories: ['Chest', 'Back', 'Legs', 'Shoulders', 'Arms'],
+        muscles: ['Chest', 'Lats', 'Quads', 'Shoulders', 'Biceps', 'Triceps', 'Glutes'],
+        equipment: ['Barbell', 'Dumbbell', 'SZ-Bar', 'Bench', 'Incline bench', 'Pull-up bar'],
+        keywords: ['press', 'squat', 'deadlift', 'row', 'pull', 'curl', 'dip']
+    },
+    'General Fitness': {
+        categories: ['Legs', 'Back', 'Abs', 'Chest', 'Shoulders', 'Cardio'],
+        muscles: ['Quads', 'Glutes', 'Abs', 'Lats', 'Chest', 'Shoulders'],
+        equipment: ['none (bodyweight exercise)', 'Dumbbell', 'Kettlebell', 'Gym mat', 'Swiss Ball'],
+        keywords: ['plank', 'squat', 'lunge', 'push', 'bridge', 'stretch', 'walk']
+    }
+};
+
+/**
+ * Words in a free-text goal that point to one of the standard goals
+ */
+const GOAL_TEXT_HINTS = [
+    { goal: 'Weight Loss', pattern: /\b(lose|losing|weight|fat|slim|lean|tone|cardio|endurance|marathon|run)/i },
+    { goal: 'Muscle Gain', pattern: /\b(muscle|bulk|strength|strong|mass|hypertroph|power|lift)/i },
+    { goal: 'General Fitness', pattern: /\b(health|mobility|flexib|posture|balance|rehab|back pain|wellness)/i }
+];
+
+// Exercises done in the last N days are not suggested again
+const RECENT_EXERCISE_DAYS = 14;
+
+/**
+ * Build the matching profile for a client's goal
+ * For "Other" the goal text picks the closest standard goal, and any
+ * category, muscle or equipment it names directly is preferred first.
+ * @param {Object} client - Client with goal and goalText
+ * @param {Array} exercises - Library exercises (for the names the text can refer to)
+ * @returns {Object} { goal, categories, muscles, equipment, keywords }
+ */
+function getGoalExerciseProfile(client, exercises = []) {
+    if (GOAL_EXERCISE_PROFILES[client.goal]) {
+        return { goal: client.goal, ...GOAL_EXERCISE_PROFILES[client.goal] };
+    }
+    
+    const text = String(client.goalText || '');
+    const hint = GOAL_TEXT_HINTS.find(h => h.pattern.test(text));
+    const base = GOAL_EXERCISE_PROFILES[hint ? hint.goal : 'General Fitness'];
+    const facets = getExerciseLibraryFacets(exercises);
+    const mentioned = (values) => values.filter(value => value.length > 2 && text.toLowerCase().includes(value.toLowerCase()));
+    const words = text.toLowerCase().split(/[^a-z]+/).filter(word => word.length > 3);
+    
+    return {
+        goal: client.goalText || 'Other',
+        categories: [...new Set([...mentioned(facets.categories), ...base.categories])],
+        muscles: [...new Set([...mentioned(facets.muscles), ...base.muscles])],
+        equipment: [...new Set([...mentioned(facets.equipment), ...base.equipment])],
+        keywords: [...new Set([...words, ...base.keywords])]
+    };
+}
+
+/**
+ * Score how well an exercise fits a goal profile
+ * Earlier categories in the profile weigh more.
+ * @param {Object} exercise - Library exercise
+ * @param {Object} profile - Result of getGoalExerciseProfile
+ * @returns {Object} { score, reasons }
+ */
+function scoreExerciseForGoal(exercise, profile) {
+    const lower = (values) => values.map(value => value.toLowerCase());
+    const categories = lower(profile.categories);
+    const muscles = lower(profile.muscles);
+    const equipment = lower(profile.equipment);
+    let score = 0;
+    const reasons = [];
+    
+    const categoryIndex = categories.indexOf(exercise.category.toLowerCase());
+    if (categoryIndex !== -1) {
+        score += 3 + (categories.length - categoryIndex) / categories.length;
+        reasons.push(exercise.category);
+    }
+    
+    const muscle = [...exercise.muscles, ...exercise.secondaryMuscles].find(m => muscles.some(p => m.toLowerCase().includes(p)));
+    if (muscle) {
+        score += 2;
+        if (!reasons.length) reasons.push(muscle);
+    }
+    
+    const gear = exercise.equipment.find(item => equipment.includes(item.toLowerCase()));
+    if (gear) {
+        score += 1;
+        reasons.push(gear === 'none (bodyweight exercise)' ? t('library.bodyweight') : gear);
+    }
+    
+    const name = exercise.name.toLowerCase();
+    if (profile.keywords.some(keyword => name.includes(keyword))) {
+        score += 1;
+    }
+    
+    return { score, reasons };
+}
+
+/**
+ * Exercise names from a client's recent sessions (lower case)
+ * @param {Array} history - Exercise history entries
+ * @param {Date} today - Reference date
+ * @returns {Set<string>} Names done within RECENT_EXERCISE_DAYS
+ */
+function getRecentExerciseNames(history, today = new Date()) {
+    const since = addDays(formatDateOnly(today), -RECENT_EXERCISE_DAYS);
+    const names = new Set();
+    (history || []).filter(entry => entry.date >= since).forEach(entry => {
+        const entryNames = entry.exercises ? entry.exercises.map(ex => ex.name) : (entry.tags || []);
+        entryNames.forEach(name => names.add(String(name).trim().toLowerCase()));
+    });
+    return names;
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32 over an FNV-1a hash)
+ * @param {string} seed - Any string
+ * @returns {Function} Returns numbers in [0, 1), the same sequence for the same seed
+ */
+function createSeededRandom(seed) {
+    let hash = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+        hash = Math.imul(hash ^ seed.charCodeAt(i), 16777619);
+    }
+    let state = hash >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Seed for a client's next session: it changes when a session is logged,
+ * not on every page load
+ * @param {Object} client - Client
+ * @returns {string} Seed string
+ */
+function getSuggestionSeed(client) {
+    const history = client.exerciseHistory || [];
+    const lastDate = history.reduce((latest, entry) => entry.date > latest ? entry.date : latest, '');
+    return `${client.id || client.goal}:${history.length}:${lastDate}`;
+}
+
+/**
+ * Pick exercises that suit the client's goal
+ * Exercises done recently are skipped, and each pick comes from a different
+ * muscle group (category) while the goal's categories last. The order is
+ * shuffled with a per-client seed, so the list is stable between page loads.
+ * @param {Array} exercises - Library exercises
+ * @param {Object} client - Client with goal, goalText and exerciseHistory
+ * @param {Object} options - { limit, seed, today }
+ * @returns {Array} Exercises with an added `reason` string
+ */
+function recommendExercises(exercises, client, options = {}) {
+    const { limit = 5, seed = getSuggestionSeed(client), today = new Date() } = options;
+    const profile = getGoalExerciseProfile(client, exercises);
+    const recent = getRecentExerciseNames(client.exerciseHistory, today);
+    const random = createSeededRandom(seed);
+    
+    // Recent exercises go last; within the same whole score the seeded order decides
+    const ordered = exercises
+        .map(exercise => ({
+            exercise,
+            ...scoreExerciseForGoal(exercise, profile),
+            recent: recent.has(exercise.name.toLowerCase()),
+            tiebreak: random()
+        }))
+        .sort((a, b) => a.recent - b.recent || Math.floor(b.score) - Math.floor(a.score) || a.tiebreak - b.tiebreak);
+    
+    const picks = [];
+    const usedGroups = new Set();
+    const usedNames = new Set();
+    const groupOf = (exercise) => (exercise.category || exercise.muscles[0] || 'other').toLowerCase();
+    
+    // First pass: one goal-category exercise per muscle group; second pass fills any gaps
+    [true, false].forEach(balanced => {
+        ordered.forEach(candidate => {
+            const { exercise } = candidate;
+            const name = exercise.name.toLowerCase();
+            if (picks.length >= limit || usedNames.has(name)) return;
+            if (balanced && (usedGroups.has(groupOf(exercise)) || candidate.score < 3)) return;
+            picks.push(candidate);
+            usedNames.add(name);
+            usedGroups.add(groupOf(exercise));
+        });
+    });
+    
+    return picks.map(({ exercise, reasons }) => ({
+        ...exercise,
+        reason: reasons.length > 0 ? t('library.suggestionReason', { reasons: reasons.join(' · '), goal: translateValue(profile.goal) }) : ''
+    }));
+}
+
+// ============================================
+// Initialize Sample Data
+// ============================================
+
+/**
+ * Build the demo client records
+ * @returns {Array} Sample client objects with fresh IDs
+ */
+function getSampleClients() {
+    // Memberships are relative to today so the demo shows every status
+    const today = formatDateOnly(new Date());
+    const membership = (plan, startOffset, extra = {}) => {
+        const { name, months, price } = MEMBERSHIP_PLANS.find(p => p.name === plan);
+        return {
+            ...createMembershipTerm({ plan: name, durationMonths: months, price, startDate: addDays(today, startOffset) }),
+            history: [],
+            ...extra
+        };
+    };
+    
+    const clients = [
+        {
+            id: generateId(),
+            fullName: 'Sara Ahmed',
+            age: 28,
+            gender: 'Female',
+            email: 'sara.ahmed@example.com',
+            phone: '+20 10 1234 5678',
+            goal: 'Weight Loss',
+            goalText: '',
+            startDate: '2025-09-01',
+            createdAt: new Date().toISOString(),
+            measurements: [
+                { id: generateId(), date: '2025-09-01', weightKg: 82, heightCm: 165, bodyFatPct: 34, waistCm: 94, hipsCm: 108, restingHeartRate: 78, notes: 'Initial assessment' },
+                { id: generateId(), date: '2025-09-15', weightKg: 80.6, waistCm: 92, notes: '' },
+                { id: generateId(), date: '2025-09-29', weightKg: 79.1, bodyFatPct: 32.5, waistCm: 90, restingHeartRate: 74, notes: '' }
+            ],
+            assessment: { date: '2025-09-01', targetWeightKg: 72, notes: 'Mild knee discomfort on stairs; avoid high-impact jumps early on.' },
+            membership: membership('Quarterly', -80),
+            exerciseHistory: [
+                { id: generateId(), date: '2025-09-12', title: 'HIIT Exercise', notes: 'High intensity interval training', tags: ['Burpees', 'Jump Rope', 'Mountain Climbers'] },
+                { id: generateId(), date: '2025-09-05', title: 'Initial Assessment – 30 min Cardio', notes: 'First cardio session', tags: ['Treadmill', 'Cycling'] },
+                { id: generateId(), date: '2025-08-28', title: 'Strength Training – Upper Body', notes: 'Focus on upper body strength', tags: ['Bench Press', 'Rows', 'Shoulder Press'] }
+            ]
+        },
+        {
+            id: generateId(),
+            fullName: 'Omar Hassan',
+            age: 32,
+            gender: 'Male',
+            email: 'omar.hassan@example.com',
+            phone: '+20 12 2345 6789',
+            goal: 'Muscle Gain',
+            goalText: '',
+            startDate: '2025-08-15',
+            createdAt: new Date().toISOString(),
+            measurements: [
+                { id: generateId(), date: '2025-08-15', weightKg: 70, heightCm: 180, bodyFatPct: 15, chestCm: 96, armCm: 33, notes: 'Initial assessment' },
+                { id: generateId(), date: '2025-09-12', weightKg: 71.8, chestCm: 98, armCm: 34, notes: '' }
+            ],
+            assessment: { date: '2025-08-15', targetWeightKg: 76, notes: 'Good mobility, no injuries.' },
+            membership: membership('Annual', -100, {
+                history: [{ ...membership('Quarterly', -192), id: generateId() }]
+            }),
+            exerciseHistory: [
+                { id: generateId(), date: '2025-09-10', title: 'HIIT Exercise', notes: 'High intensity circuit', tags: ['Burpees', 'Jump Rope', 'Mountain Climbers'] },
+                { id: generateId(), date: '2025-09-01', title: 'Initial Assessment – 30 min Cardio', notes: 'Baseline cardio test', tags: ['Treadmill', 'Cycling'] },
+                { id: generateId(), date: '2025-08-20', title: 'Strength Training – Upper Body', notes: 'Chest and shoulders focus', tags: ['Bench Press', 'Rows', 'Shoulder Press'] }
+            ]
+        },
+        {
+            id: generateId(),
+            fullName: 'Mariam Nabil',
+            age: 25,
+            gender: 'Female',
+            email: 'mariam.nabil@example.com',
+            phone: '+20 13 4567 8901',
+            goal: 'General Fitness',
+            goalText: '',
+            startDate: '2025-07-10',
+            createdAt: new Date().toISOString(),
+            measurements: [],
+            assessment: null,
+            membership: membership('Monthly', -45),
+            exerciseHistory: [
+                { id: generateId(), date: '2025-08-15', title: 'HIIT Exercise', notes: 'Interval training session', tags: ['Burpees', 'Jump Rope', 'Mountain Climbers'] },
+                { id: generateId(), date: '2025-08-01', title: 'Initial Assessment – 30 min Cardio', notes: 'Cardio baseline', tags: ['Treadmill', 'Cycling'] },
+                { id: generateId(), date: '2025-07-20', title: 'Strength Training – Upper Body', notes: 'Upper body introduction', tags: ['Bench Press', 'Rows', 'Shoulder Press'] }
+            ]
+        },
+        {
+            id: generateId(),
+            fullName: 'Youssef Ali',
+            age: 29,
+            gender: 'Male',
+            email: 'youssef.ali@example.com',
+            phone: '+20 15 5566 6777',
+            goal: 'Muscle Gain',
+            goalText: '',
+            startDate: '2025-09-20',
+            createdAt: new Date().toISOString(),
+            measurements: [],
+            assessment: null,
+            membership: membership('Semi-Annual', -60, {
+                freezes: [{ id: generateId(), startDate: addDays(today, -5), endDate: addDays(today, 10), reason: 'Travelling' }]
+            }),
+            exerciseHistory: [
+                { id: generateId(), date: '2025-10-15', title: 'HIIT Exercise', notes: 'High intensity workout', tags: ['Burpees', 'Jump Rope', 'Mountain Climbers'] },
+                { id: generateId(), date: '2025-10-05', title: 'Initial Assessment – 30 min Cardio', notes: 'First cardio evaluation', tags: ['Treadmill', 'Cycling'] },
+                { id: generateId(), date: '2025-09-25', title: 'Strength Training – Upper Body', notes: 'Building upper body strength', tags: ['Bench Press', 'Rows', 'Shoulder Press'] }
+            ]
+        },
+        {
+            id: generateId(),
+            fullName: 'Laila Samir',
+            age: 35,
+            gender: 'Female',
+            email: 'laila.samir@example.com',
+            phone: '+20 17 7788 8999',
+            goal: 'Weight Loss',
+            goalText: '',
+            startDate: '2025-06-01',
+            createdAt: new Date().toISOString(),
+            measurements: [],
+            assessment: null,
+            membership: null,
+            exerciseHistory: [
+                { id: generateId(), date: '2025-07-12', title: 'HIIT Exercise', notes: 'Fat burning HIIT', tags: ['Burpees', 'Jump Rope', 'Mountain Climbers'] },
+                { id: generateId(), date: '2025-06-25', title: 'Initial Assessment – 30 min Cardio', notes: 'Starting cardio routine', tags: ['Treadmill', 'Cycling'] },
+                { id: generateId(), date: '2025-06-15', title: 'Strength Training – Upper Body', notes: 'Light upper body work', tags: ['Bench Press', 'Rows', 'Shoulder Press'] }
+            ]
+        }
+    ];
+    
+    // Sara and Youssef bought session packs; every logged session used a
+    // credit, which leaves Youssef running low
+    const samplePacks = { 'Sara Ahmed': '10 Sessions', 'Youssef Ali': '5 Sessions' };
+    clients.forEach(client => {
+        const offer = SESSION_PACKS.find(p => p.name === samplePacks[client.fullName]);
+        const pack = offer && { id: generateId(), ...offer, date: client.startDate, createdAt: new Date().toISOString() };
+        client.packs = pack ? [pack] : [];
+        const on = (date, item) => ({ ...item, createdAt: parseDateOnly(date).toISOString() });
+        client.creditLog = pack
+            ? [
+                on(pack.date, createCreditLogItem(pack.sessions, 'purchase', { note: pack.name, packId: pack.id })),
+                ...[...client.exerciseHistory].reverse().map(entry =>
+                    on(entry.date, createCreditLogItem(-1, 'session', { note: `${entry.title} (${entry.date})`, entryId: entry.id })))
+            ]
+            : [];
+    });
+    
+    // Bill every membership term and pack and record some payments: Omar
+    // and Youssef still owe part of their current term
+    const samplePayments = {
+        'Sara Ahmed': [[-80, 1650, 'Card'], [-70, 3300, 'Card']],
+        'Omar Hassan': [[-192, 1650, 'Cash'], [-100, 3000, 'Bank Transfer'], [-40, 1400, 'Bank Transfer']],
+        'Mariam Nabil': [[-45, 600, 'Mobile Wallet']],
+        'Youssef Ali': [[-60, 1500, 'Cash'], [-30, 1750, 'Mobile Wallet']]
+    };
+    let invoiceCount = 0;
+    let receiptCount = 0;
+    clients.forEach(client => {
+        const terms = client.membership ? [...client.membership.history, client.membership] : [];
+        const billed = [
+            ...terms.map(term => ({
+                date: term.startDate,
+                amount: term.price,
+                description: describeMembershipCharge(term),
+                link: { kind: 'membership', id: term.id }
+            })),
+            ...client.packs.map(pack => ({
+                date: pack.date,
+                amount: pack.price,
+                description: `${pack.name} session pack`,
+                link: { kind: 'pack', id: pack.id }
+            }))
+        ];
+        const charges = billed.map(charge => ({
+            id: generateId(),
+            number: `INV-${String(++invoiceCount).padStart(4, '0')}`,
+            type: 'charge',
+            ...charge,
+            method: '',
+            reference: '',
+            createdAt: new Date().toISOString()
+        }));
+        const payments = (samplePayments[client.fullName] || []).map(([offset, amount, method]) => ({
+            id: generateId(),
+            number: `RCT-${String(++receiptCount).padStart(4, '0')}`,
+            type: 'payment',
+            date: addDays(today, offset),
+            amount,
+            description: 'Payment received',
+            method,
+            reference: '',
+            link: null,
+            createdAt: new Date().toISOString()
+        }));
+        client.ledger = [...charges, ...payments];
+    });
+    
+    return clients;
+}
+
+/**
+ * Seed sample clients, but only on a store that has never been written to.
+ * A store the user emptied on purpose is left alone.
+ * @param {ClientRepository} repository - Repository being opened
+ * @returns {Promise<void>}
+ */
+async function initializeSampleData(repository) {
+    if (await repository.isInitialized()) return;
+    await repository.replaceAll(getSampleClients());
+}
+
+/**
+ * Append the sample clients to the existing data (explicit user action)
+ * @returns {Promise<number>} Number of clients added
+ */
+async function loadDemoData() {
+    const repository = await getRepository();
+    const sampleClients = getSampleClients();
+    for (const client of sampleClients) {
+        await recordMutation(client.id, 'Loaded as demo data', () => repository.put(client), 'import');
+    }
+    return sampleClients.length;
+}
+
+// ============================================
+// Backup & Restore
+// ============================================
+const BACKUP_FORMAT = 'fitcrm-backup';
+const BACKUP_VERSION = 1;
+
+/**
+ * Build a full backup of the client database
+ * The custom field definitions are included, so the clients' custom
+ * values can be shown on the device the backup is restored to.
+ * @returns {Promise<Object>} Versioned backup document
+ */
+async function createBackup() {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        customFields: getCustomFields(),
+        clients: await getClients()
+    };
+}
+
+/**
+ * Download all clients (with exerciseHistory) as a JSON file
+ * @returns {Promise<number>} Number of clients exported
+ */
+async function exportBackup() {
+    const backup = await createBackup();
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(`fitcrm-backup-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    return backup.clients.length;
+}
+
+/**
+ * Parse and validate a backup file
+ * Records are upgraded from the backup's schema version and then
+ * checked with the same rules as the client form.
+ * @param {string} text - Backup file contents
+ * @returns {Object} { records: Array, invalid: Array<{ name, errors }>, customFields: Array }
+ * @throws {Error} If the file is not a FitCRM backup
+ */
+function parseBackup(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (error) {
+        throw new Error(t('settings.backupNotJson'));
+    }
+    
+    if (backup?.format !== BACKUP_FORMAT || !Array.isArray(backup.clients)) {
+        throw new Error(t('settings.backupFormat'));
+    }
+    if (backup.version > BACKUP_VERSION || backup.schemaVersion > SCHEMA_VERSION) {
+        throw new Error(t('settings.backupNewer'));
+    }
+    
+    const records = [];
+    const invalid = [];
+    const clients = migrateClients(backup.clients, backup.schemaVersion || 0);
+    
+    clients.forEach((client, index) => {
+        const { isValid, errors } = validateClientData(client);
+        if (!isValid) {
+            invalid.push({ name: client.fullName || `Record ${index + 1}`, errors });
+            return;
+        }
+        records.push({
+            ...client,
+            id: client.id || generateId(),
+            fullName: String(client.fullName).trim(),
+            age: parseInt(client.age),
+            email: String(client.email).trim(),
+            phone: String(client.phone).trim(),
+            createdAt: client.createdAt || new Date().toISOString()
+        });
+    });
+    
+    return { records, invalid, customFields: parseCustomFieldDefinitions(backup.customFields) };
+}
+
+/**
+ * Split backup records into plain additions and conflicts with
+ * existing clients (same id or same email)
+ * Custom fields the device doesn't have yet are listed in `newCustomFields`.
+ * @param {string} text - Backup file contents
+ * @returns {Promise<Object>} { additions, conflicts, invalid, customFields, newCustomFields }
+ */
+async function prepareBackupImport(text) {
+    const { records, invalid, customFields } = parseBackup(text);
+    const fields = getCustomFields();
+    const newCustomFields = mergeCustomFields(fields, customFields).slice(fields.length);
+    const existing = await getClients();
+    const additions = [];
+    const conflicts = [];
+    const seenIds = new Set();
+    const seenEmails = new Set();
+    
+    records.forEach(record => {
+        const email = record.email.toLowerCase();
+        if (seenIds.has(record.id) || seenEmails.has(email)) {
+            invalid.push({ name: record.fullName, errors: { id: t('validation.backupDuplicateId') } });
+            return;
+        }
+        seenIds.add(record.id);
+        seenEmails.add(email);
+        
+        const byId = existing.find(c => c.id === record.id);
+        const match = byId || existing.find(c => c.email.toLowerCase() === email);
+        if (match) {
+            conflicts.push({ incoming: record, existing: match, reason: byId ? 'id' : 'email' });
+        } else {
+            additions.push(record);
+        }
+    });
+    
+    return { additions, conflicts, invalid, customFields, newCustomFields };
+}
+
+/**
+ * Merge two versions of the same client
+ * Profile fields come from whichever record was changed last;
+ * exercise history and measurements are the union of both, keyed by id.
+ * @param {Object} existing - Stored client
+ * @param {Object} incoming - Imported client
+ * @returns {Object} Merged client (keeps the stored id)
+ */
+function mergeClientRecords(existing, incoming) {
+    const stamp = (c) => new Date(c.updatedAt || c.createdAt || 0).getTime();
+    const newer = stamp(incoming) > stamp(existing) ? incoming : existing;
+    const older = newer === incoming ? existing : incoming;
+    
+    const union = (key) => {
+        const items = [...(existing[key] || [])];
+        const seen = new Set(items.map(item => item.id));
+        (incoming[key] || []).forEach(item => {
+            if (!seen.has(item.id)) items.push(item);
+        });
+        return items;
+    };
+    
+    return {
+        ...older,
+        ...newer,
+        id: existing.id,
+        createdAt: existing.createdAt || incoming.createdAt,
+        exerciseHistory: union('exerciseHistory'),
+        measurements: union('measurements'),
+        sessions: union('sessions'),
+        ledger: union('ledger'),
+        packs: union('packs'),
+        creditLog: union('creditLog')
+    };
+}
+
+/**
+ * Write a prepared import to the repository
+ * The backup's custom fields are merged in first (see mergeCustomFields).
+ * @param {Object} plan - Result of prepareBackupImport
+ * @param {Array<string>} resolutions - 'merge' | 'skip' | 'overwrite' for each conflict
+ * @returns {Promise<Object>} Counts: { added, merged, overwritten, skipped, fields }
+ * @throws {Error} If the current user is not an admin
+ */
+async function applyBackupImport(plan, resolutions) {
+    assertPermission('manageData');
+    const repository = await getRepository();
+    const summary = { added: 0, merged: 0, overwritten: 0, skipped: 0, fields: 0 };
+    
+    if (plan.customFields?.length > 0) {
+        const fields = getCustomFields();
+        const merged = mergeCustomFields(fields, plan.customFields);
+        writeCustomFields(merged);
+        summary.fields = merged.length - fields.length;
+    }
+    
+    for (const record of plan.additions) {
+        await recordMutation(record.id, 'Imported from a backup', () => repository.put(record), 'import');
+        summary.added++;
+    }
+    
+    for (let i = 0; i < plan.conflicts.length; i++) {
+        const { incoming, existing } = plan.conflicts[i];
+        switch (resolutions[i]) {
+            case 'overwrite':
+                await recordMutation(existing.id, 'Overwritten from a backup', () => repository.put({ ...incoming, id: existing.id }), 'import');
+                summary.overwritten++;
+                break;
+            case 'merge':
+                await recordMutation(existing.id, 'Merged with a backup', () => repository.put(mergeClientRecords(existing, incoming)), 'import');
+                summary.merged++;
+                break;
+            default:
+                summary.skipped++;
+        }
+    }
+    
+    return summary;
+}
+
+// ============================================
+// CSV Import & Export
+// ============================================
+
+/**
+ * Client fields that map to CSV columns, in export order.
+ * Aliases are extra header names recognized when guessing the mapping.
+ */
+const CLIENT_CSV_FIELDS = [
+    { key: 'fullName', label: 'Full Name', aliases: ['name', 'client', 'member', 'client name'] },
+    { key: 'age', label: 'Age', aliases: [] },
+    { key: 'gender', label: 'Gender', aliases: ['sex'] },
+    { key: 'email', label: 'Email', aliases: ['e-mail', 'email address', 'mail'] },
+    { key: 'phone', label: 'Phone', aliases: ['mobile', 'phone number', 'telephone', 'tel'] },
+    { key: 'goal', label: 'Fitness Goal', aliases: ['goal'] },
+    { key: 'goalText', label: 'Goal Details', aliases: ['goal text', 'goal description', 'other goal'] },
+    { key: 'startDate', label: 'Start Date', aliases: ['membership start', 'membership start date', 'join date', 'joined'] }
+];
+
+// How the file writes dates other than YYYY-MM-DD (which is always accepted)
+const CSV_DATE_ORDERS = {
+    dmy: 'DD/MM/YYYY',
+    mdy: 'MM/DD/YYYY',
+    ymd: 'YYYY-MM-DD'
+};
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting)
+ * The delimiter is detected from the header line (comma or semicolon).
+ * @param {string} text - CSV file contents
+ * @returns {Array<Array<string>>} Non-empty rows
+ */
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+    
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Serialize rows of values to CSV text
+ * Cells that a spreadsheet would run as a formula are prefixed with '.
+ * @param {Array<Array>} rows - Rows of cell values
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+    const cell = (value) => {
+        let str = (value === undefined || value === null) ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return rows.map(row => row.map(cell).join(',')).join('\r\n');
+}
+
+/**
+ * Guess which CSV column holds each client field
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Column index by field key (unmatched fields are omitted)
+ */
+function guessCsvMapping(headers) {
+    const normalize = (str) => String(str).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const normalizedHeaders = headers.map(normalize);
+    const mapping = {};
+    
+    CLIENT_CSV_FIELDS.forEach(field => {
+        const names = [field.key, field.label, ...field.aliases].map(normalize);
+        const index = normalizedHeaders.findIndex((header, i) =>
+            names.includes(header) && !Object.values(mapping).includes(i)
+        );
+        if (index !== -1) mapping[field.key] = index;
+    });
+    
+    return mapping;
+}
+
+/**
+ * Match a value against a list of options, ignoring case
+ * @param {string} value - Raw value
+ * @param {Array<string>} options - Allowed values
+ * @returns {string|null} The matching option or null
+ */
+function matchOption(value, options) {
+    const lower = value.toLowerCase();
+    return options.find(option => option.toLowerCase() === lower) || null;
+}
+
+/**
+ * Guess the date order from the start date cells
+ * A first part above 12 can only be a day, a second part above 12 only
+ * a day in month-first dates. Without a hint, day-first is assumed.
+ * @param {Array<string>} values - Start date cells
+ * @returns {string} Key of CSV_DATE_ORDERS
+ */
+function guessCsvDateOrder(values) {
+    const parts = values
+        .map(value => /^(\d{1,2})[/.-](\d{1,2})[/.-]\d{4}$/.exec(String(value || '').trim()))
+        .filter(Boolean);
+    if (parts.some(match => Number(match[1]) > 12)) return 'dmy';
+    return parts.some(match => Number(match[2]) > 12) ? 'mdy' : 'dmy';
+}
+
+/**
+ * Read a CSV date
+ * YYYY-MM-DD is always accepted; other dates are read in the given order,
+ * separated by /, - or . and with a 4-digit year.
+ * @param {string} value - Cell text
+ * @param {string} order - Key of CSV_DATE_ORDERS
+ * @returns {string|null} YYYY-MM-DD, or null if it is not a real calendar date
+ */
+function parseCsvDate(value, order) {
+    let year, month, day;
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const other = order !== 'ymd' && /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+    if (iso) {
+        [, year, month, day] = iso.map(Number);
+    } else if (other) {
+        const [first, second] = [Number(other[1]), Number(other[2])];
+        [year, month, day] = order === 'mdy' ? [Number(other[3]), first, second] : [Number(other[3]), second, first];
+    } else {
+        return null;
+    }
+    
+    const date = parseDateOnly(`${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+    const isReal = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+    return isReal ? formatDateOnly(date) : null;
+}
+
+/**
+ * Map and validate CSV rows without saving anything
+ * Every row goes through validateClientData; gender and goal are
+ * matched to the form's options and dates normalized to YYYY-MM-DD
+ * (see parseCsvDate). The ' that toCsv puts before formula-like cells
+ * is removed again. Rows that look like an existing client list them
+ * in `duplicates`.
+ * @param {Array<Array<string>>} rows - Data rows (header excluded)
+ * @param {Object} mapping - Column index by field key
+ * @param {Array} clients - Existing clients to check for duplicates
+ * @param {string} dateOrder - How dates are written, key of CSV_DATE_ORDERS
+ * @returns {Array<Object>} { line, data, errors, duplicates } per row; valid rows have no errors
+ */
+function prepareCsvImport(rows, mapping, clients = [], dateOrder = 'ymd') {
+    return rows.map((cells, index) => {
+        const raw = {};
+        CLIENT_CSV_FIELDS.forEach(({ key }) => {
+            const column = mapping[key];
+            raw[key] = (column === undefined || column === null) ? '' : (cells[column] || '').trim().replace(/^'(?=[=+\-@])/, '');
+        });
+        
+        const errors = { ...validateClientData(raw).errors };
+        
+        const gender = raw.gender && matchOption(raw.gender, GENDER_OPTIONS);
+        if (raw.gender && !gender) {
+            errors.gender = t('validation.csvGender', { options: GENDER_OPTIONS.join(', ') });
+        }
+        
+        // Unknown goals are kept as a custom "Other" goal
+        let goal = raw.goal && matchOption(raw.goal, GOAL_OPTIONS);
+        let goalText = raw.goalText;
+        if (raw.goal && !goal) {
+            goal = 'Other';
+            goalText = goalText || raw.goal;
+        }
+        
+        let startDate = raw.startDate;
+        if (startDate) {
+            startDate = parseCsvDate(startDate, dateOrder);
+            if (!startDate) {
+                errors.startDate = t('validation.csvStartDate', { format: CSV_DATE_ORDERS[dateOrder] });
+                startDate = raw.startDate;
+            }
+        }
+        
+        const data = {
+            fullName: raw.fullName,
+            age: parseInt(raw.age),
+            gender: gender || raw.gender,
+            email: raw.email,
+            phone: raw.phone,
+            goal,
+            goalText: goalText || '',
+            startDate
+        };
+        
+        return {
+            line: index + 2,
+            data,
+            errors,
+            duplicates: findDuplicateClients(data, clients)
+        };
+    });
+}
+
+/**
+ * Save the valid rows of a prepared CSV import as new clients
+ * Possible duplicates are flagged in the preview (see prepareCsvImport)
+ * and imported anyway.
+ * @param {Array<Object>} preparedRows - Result of prepareCsvImport
+ * @returns {Promise<number>} Number of clients added
+ * @throws {Error} If the current user is not an admin
+ */
+async function commitCsvImport(preparedRows) {
+    assertPermission('manageData');
+    const validRows = preparedRows.filter(row => Object.keys(row.errors).length === 0);
+    for (const row of validRows) {
+        await addClient(row.data, { allowDuplicates: true });
+    }
+    return validRows.length;
+}
+
+/**
+ * Download clients as a CSV file (same columns the importer expects)
+ * @param {Array} clients - Clients to export
+ */
+function exportClientsCsv(clients) {
+    const rows = [
+        CLIENT_CSV_FIELDS.map(field => field.label),
+        ...clients.map(client => CLIENT_CSV_FIELDS.map(field => client[field.key]))
+    ];
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(`fitcrm-clients-${date}.csv`, toCsv(rows), 'text/csv;charset=utf-8');
+}
+
+// ============================================
+// iCalendar (.ics) Import & Export
+// ============================================
+
+const ICS_PRODID = '-//FitCRM//Scheduled Sessions//EN';
+// Sessions created in FitCRM get the UID "<session id>@fitcrm"
+const ICS_UID_DOMAIN = 'fitcrm';
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeIcsText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Undo escapeIcsText
+ * @param {string} value - Escaped text
+ * @returns {string} Raw text
+ */
+function unescapeIcsText(value) {
+    return String(value || '').replace(/\\([\\;,nN])/g, (match, char) =>
+        char === 'n' || char === 'N' ? '\n' : char
+    );
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 section 3.1)
+ * Multi-byte characters are never split.
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line, continuation lines start with a space
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    let folded = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (octets + size > 75) {
+            folded += '\r\n ';
+            octets = 1;
+        }
+        folded += char;
+        octets += size;
+    }
+    return folded;
+}
+
+/**
+ * Format a Date as an iCalendar UTC date-time (e.g. 20250120T070000Z)
+ * @param {Date} date - Date
+ * @returns {string} UTC date-time
+ */
+function formatIcsDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Stable UID of a session
+ * Re-exporting keeps the UID, so calendar apps update the event
+ * instead of adding a copy. Imported events keep their original UID.
+ * @param {Object} session - Session
+ * @returns {string} UID
+ */
+function getSessionUid(session) {
+    return session.icsUid || `${session.id}@${ICS_UID_DOMAIN}`;
+}
+
+/**
+ * VEVENT lines for one session
+ * FitCRM-only details (client ID, exact status) go in X- properties so
+ * a round trip through FitCRM keeps them.
+ * @param {Object} session - Session
+ * @param {Object} client - Client the session belongs to
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} Unfolded content lines
+ */
+function sessionToIcsEvent(session, client, stamp) {
+    const { start, end } = getSessionRange(session);
+    const description = [session.notes, `Client: ${client.fullName}`].filter(Boolean).join('\n');
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${getSessionUid(session)}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsDateTime(start)}`,
+        `DTEND:${formatIcsDateTime(end)}`,
+        `SUMMARY:${escapeIcsText(session.title ? `${client.fullName}: ${session.title}` : client.fullName)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`
+    ];
+    if (session.location) lines.push(`LOCATION:${escapeIcsText(session.location)}`);
+    if (client.email) {
+        lines.push(`ATTENDEE;CN="${client.fullName.replace(/"/g, '')}";ROLE=REQ-PARTICIPANT:mailto:${client.email}`);
+    }
+    lines.push(
+        `STATUS:${session.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        `X-FITCRM-CLIENT-ID:${client.id}`,
+        `X-FITCRM-STATUS:${session.status}`,
+        'END:VEVENT'
+    );
+    return lines;
+}
+
+/**
+ * Build an .ics calendar with the sessions of the given clients
+ * @param {Array} clients - Clients whose sessions are exported
+ * @param {string} calendarName - Calendar name shown by calendar apps
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+function createSessionsIcs(clients, calendarName = 'FitCRM Sessions') {
+    const stamp = formatIcsDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(calendarName)}`
+    ];
+    clients.forEach(client => {
+        (client.sessions || []).forEach(session => {
+            lines.push(...sessionToIcsEvent(session, client, stamp));
+        });
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Download sessions as an .ics file
+ * A single client gets a file (and calendar) named after them.
+ * @param {Array} clients - Clients whose sessions are exported
+ * @returns {number} Number of sessions exported
+ */
+function exportSessionsIcs(clients) {
+    const date = new Date().toISOString().split('T')[0];
+    const single = clients.length === 1 ? clients[0] : null;
+    const slug = single ? single.fullName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : '';
+    const ics = createSessionsIcs(clients, single ? `FitCRM — ${single.fullName}` : 'FitCRM Sessions');
+    downloadFile(`fitcrm-sessions-${slug ? `${slug}-` : ''}${date}.ics`, ics, 'text/calendar;charset=utf-8');
+    return clients.reduce((sum, client) => sum + (client.sessions || []).length, 0);
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value } or null if it is not a property
+ */
+function parseIcsLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        else if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+    
+    const [name, ...rawParams] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+    const params = {};
+    rawParams.forEach(param => {
+        const eq = param.indexOf('=');
+        if (eq !== -1) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * UTC values (ending in Z) are converted to local time. Floating and
+ * TZID times are read as local time.
+ * @param {string} value - e.g. 20250120, 20250120T090000, 20250120T070000Z
+ * @returns {Object|null} { date: Date, allDay: boolean } or null if invalid
+ */
+function parseIcsDateTime(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value || '');
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (hours === undefined) {
+        return { date: new Date(+year, month - 1, +day), allDay: true };
+    }
+    const date = utc
+        ? new Date(Date.UTC(+year, month - 1, +day, +hours, +minutes, +seconds))
+        : new Date(+year, month - 1, +day, +hours, +minutes, +seconds);
+    return { date, allDay: false };
+}
+
+/**
+ * Parse a DURATION value (e.g. PT1H30M) into minutes
+ * @param {string} value - Duration
+ * @returns {number|null} Minutes or null if invalid
+ */
+function parseIcsDuration(value) {
+    const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+    if (!match || value === 'P' || value === 'PT') return null;
+    const [, weeks, days, hours, minutes, seconds] = match.map(n => Number(n) || 0);
+    return weeks * 7 * 24 * 60 + days * 24 * 60 + hours * 60 + minutes + Math.round(seconds / 60);
+}
+
+/**
+ * Read the VEVENTs of an .ics file
+ * @param {string} text - iCalendar text
+ * @returns {Array<Object>} Events: { uid, start, end, durationMinutes, summary,
+ *   description, location, status, attendees: [{ name, email }], clientId, fitcrmStatus }
+ */
+function parseIcs(text) {
+    const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let event = null;
+    let depth = 0;
+    
+    lines.forEach(line => {
+        const property = parseIcsLine(line);
+        if (!property) return;
+        const { name, params, value } = property;
+        
+        if (name === 'BEGIN') {
+            if (value.toUpperCase() === 'VEVENT') {
+                event = { attendees: [] };
+            } else if (event) {
+                depth++;   // VALARM etc. inside the event
+            }
+            return;
+        }
+        if (name === 'END') {
+            if (depth > 0) {
+                depth--;
+            } else if (event && value.toUpperCase() === 'VEVENT') {
+                events.push(event);
+                event = null;
+            }
+            return;
+        }
+        if (!event || depth > 0) return;
+        
+        switch (name) {
+            case 'UID': event.uid = value.trim(); break;
+            case 'DTSTART': event.start = parseIcsDateTime(value); break;
+            case 'DTEND': event.end = parseIcsDateTime(value); break;
+            case 'DURATION': event.durationMinutes = parseIcsDuration(value); break;
+            case 'SUMMARY': event.summary = unescapeIcsText(value).trim(); break;
+            case 'DESCRIPTION': event.description = unescapeIcsText(value).trim(); break;
+            case 'LOCATION': event.location = unescapeIcsText(value).trim(); break;
+            case 'STATUS': event.status = value.trim().toUpperCase(); break;
+            case 'X-FITCRM-CLIENT-ID': event.clientId = value.trim(); break;
+            case 'X-FITCRM-STATUS': event.fitcrmStatus = value.trim(); break;
+            case 'ATTENDEE':
+                event.attendees.push({
+                    name: params.CN || '',
+                    email: value.replace(/^mailto:/i, '').trim()
+                });
+                break;
+        }
+    });
+    
+    return events;
+}
+
+/**
+ * Find the client an event is for
+ * Tried in order: the X-FITCRM-CLIENT-ID, an attendee's email, then a
+ * client's full name in an attendee name or the summary (longest name wins).
+ * @param {Object} event - Parsed event
+ * @param {Array} clients - Client records
+ * @returns {Object} { client, matchedBy } (client is null when nothing matches)
+ */
+function matchIcsEventClient(event, clients) {
+    const byId = clients.find(c => c.id === event.clientId);
+    if (byId) return { client: byId, matchedBy: 'client' };
+    
+    const emails = event.attendees.map(a => a.email.toLowerCase()).filter(Boolean);
+    const byEmail = clients.find(c => c.email && emails.includes(c.email.toLowerCase()));
+    if (byEmail) return { client: byEmail, matchedBy: 'email' };
+    
+    // Whole names only, so "Ali" does not match "Alice"
+    const haystacks = [...event.attendees.map(a => a.name), event.summary || ''].map(s => s.toLowerCase());
+    const containsName = (text, name) => {
+        const index = text.indexOf(name);
+        if (index === -1) return false;
+        const before = text[index - 1];
+        const after = text[index + name.length];
+        return !/\p{L}/u.test(before || '') && !/\p{L}/u.test(after || '');
+    };
+    const byName = clients
+        .filter(c => haystacks.some(text => containsName(text, c.fullName.toLowerCase())))
+        .sort((a, b) => b.fullName.length - a.fullName.length)[0];
+    return byName ? { client: byName, matchedBy: 'name' } : { client: null, matchedBy: null };
+}
+
+/**
+ * Turn parsed events into session rows without saving anything
+ * An event whose UID belongs to a stored session updates that session;
+ * other events are matched to a client with matchIcsEventClient.
+ * @param {string} text - iCalendar text
+ * @param {Array} clients - Client records
+ * @returns {Array<Object>} { index, uid, summary, data, clientId, sessionId, matchedBy, errors }
+ */
+function prepareIcsImport(text, clients) {
+    const existing = getAllSessions(clients);
+    
+    return parseIcs(text).map((event, index) => {
+        const errors = {};
+        const start = event.start;
+        let data = null;
+        
+        if (!start) {
+            errors.date = t('validation.icsNoStart');
+        } else if (start.allDay) {
+            errors.date = t('validation.icsAllDay');
+        } else {
+            const duration = event.end
+                ? Math.round((event.end.date - start.date) / 60000)
+                : (event.durationMinutes ?? 60);
+            const time = `${String(start.date.getHours()).padStart(2, '0')}:${String(start.date.getMinutes()).padStart(2, '0')}`;
+            data = {
+                date: formatDateOnly(start.date),
+                time,
+                durationMinutes: duration,
+                location: event.location || '',
+                notes: (event.description || '').replace(/(^|\n)Client: [^\n]*$/, '').trim(),
+                status: SESSION_STATUSES.includes(event.fitcrmStatus)
+                    ? event.fitcrmStatus
+                    : (event.status === 'CANCELLED' ? 'cancelled' : 'scheduled')
+            };
+            Object.assign(errors, validateSession(data).errors);
+        }
+        
+        const stored = event.uid ? existing.find(s => getSessionUid(s) === event.uid) : null;
+        const { client, matchedBy } = stored
+            ? { client: clients.find(c => c.id === stored.clientId), matchedBy: 'session' }
+            : matchIcsEventClient(event, clients);
+        
+        // "Sara Ahmed: PT" exported by FitCRM becomes the title "PT" again
+        let title = event.summary || '';
+        if (client) {
+            const prefix = client.fullName.toLowerCase();
+            if (title.toLowerCase() === prefix) title = '';
+            else if (title.toLowerCase().startsWith(`${prefix}: `)) title = title.slice(prefix.length + 2);
+        }
+        if (data) data.title = title;
+        
+        return {
+            index: index + 1,
+            uid: event.uid || '',
+            summary: event.summary || '',
+            data,
+            clientId: client ? client.id : null,
+            sessionId: stored ? stored.id : null,
+            matchedBy,
+            errors
+        };
+    });
+}
+
+/**
+ * Save prepared .ics rows
+ * Rows with errors or without a client are skipped. Imported sessions
+ * may overlap; the calendar highlights them. Attended sessions are not
+ * added to the history again.
+ * @param {Array<Object>} rows - Rows from prepareIcsImport (clientId may be set by the user)
+ * @returns {Promise<Object>} Counts: { added, updated, skipped }
+ * @throws {Error} If the current user is not an admin
+ */
+async function commitIcsImport(rows) {
+    assertPermission('manageData');
+    const counts = { added: 0, updated: 0, skipped: 0 };
+    const byClient = {};
+    rows.forEach(row => {
+        if (Object.keys(row.errors).length > 0 || !row.clientId) {
+            counts.skipped++;
+            return;
+        }
+        (byClient[row.clientId] = byClient[row.clientId] || []).push(row);
+    });
+    
+    for (const [clientId, clientRows] of Object.entries(byClient)) {
+        const client = await getClientById(clientId);
+        if (!client) {
+            counts.skipped += clientRows.length;
+            continue;
+        }
+        
+        const sessions = [...(client.sessions || [])];
+        const usedIds = new Set(getAllSessions(await getClients()).map(s => s.id));
+        clientRows.forEach(row => {
+            const fields = { ...normalizeSession(row.data), status: row.data.status };
+            const index = sessions.findIndex(s => s.id === row.sessionId);
+            if (index !== -1) {
+                sessions[index] = { ...sessions[index], ...fields };
+                counts.updated++;
+                return;
+            }
+            
+            // Our own UIDs give back the original session ID
+            const ownId = row.uid.endsWith(`@${ICS_UID_DOMAIN}`) ? row.uid.slice(0, -ICS_UID_DOMAIN.length - 1) : '';
+            const id = ownId && !usedIds.has(ownId) ? ownId : generateId();
+            usedIds.add(id);
+            sessions.push({
+                id,
+                ...fields,
+                seriesId: null,
+                ...(row.uid && id !== ownId ? { icsUid: row.uid } : {})
+            });
+            counts.added++;
+        });
+        
+        await updateClient(clientId, { sessions });
+    }
+    
+    return counts;
+}
+
+// ============================================
+// URL Parameter Helpers
+// ============================================
+
+/**
+ * Get URL parameter by name
+ * @param {string} name - Parameter name
+ * @returns {string|null} Parameter value or null
+ */
+function getUrlParam(name) {
+    const params = new URLSearchParams(window.location.search);
+    return params.get(name);
+}
+
+/**
+ * Set URL parameter
+ * An empty value (null, undefined or '') removes the parameter.
+ * @param {string} name - Parameter name
+ * @param {string} value - Parameter value
+ */
+function setUrlParam(name, value) {
+    const params = new URLSearchParams(window.location.search);
+    if (value === null || value === undefined || value === '') {
+        params.delete(name);
+    } else {
+        params.set(name, value);
+    }
+    const query = params.toString();
+    window.history.replaceState({}, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+}
+
+// ============================================
+// Localization (i18n)
+// ============================================
+
+// The language picked in the header switcher (per device)
+const LOCALE_KEY = 'fitcrm_locale';
+const DEFAULT_LOCALE = 'en';
+
+// Supported languages: display name, text direction and Intl locale
+// (ar-EG writes dates and numbers with Arabic-Indic digits)
+const LOCALES = {
+    en: { name: 'English', dir: 'ltr', intl: 'en-US' },
+    ar: { name: 'العربية', dir: 'rtl', intl: 'ar-EG' }
+};
+
+// Message catalogs. English is the fallback for keys a catalog is missing.
+// A message may be an object of plural forms, picked by the `count` param
+// with Intl.PluralRules (Arabic has zero, one, two, few, many and other).
+// `value.*` keys translate stored English values (goals, genders, roles,
+// statuses); English doesn't need them.
+const MESSAGES = {
+    en: {
+        'language.label': 'Language',
+        
+        'nav.dashboard': 'Dashboard',
+        'nav.newClient': 'New Client',
+        'nav.clients': 'Client List',
+        'nav.calendar': 'Calendar',
+        'nav.library': 'Exercise Library',
+        'nav.programs': 'Programs',
+        'nav.payments': 'Payments',
+        'nav.trainers': 'Trainers',
+        'nav.settings': 'Settings',
+        
+        'title.dashboard': 'FitCRM — Dashboard',
+        'title.clientForm': 'FitCRM — New Client',
+        'title.clients': 'FitCRM — Client List',
+        'title.clientView': 'FitCRM — Client Details',
+        'title.calendar': 'FitCRM — Calendar',
+        'title.library': 'FitCRM — Exercise Library',
+        'title.programs': 'FitCRM — Programs',
+        'title.payments': 'FitCRM — Payments',
+        'title.invoice': 'FitCRM — Invoice',
+        'title.trainers': 'FitCRM — Trainers',
+        'title.settings': 'FitCRM — Settings',
+        'title.login': 'FitCRM — Sign In',
+        
+        'footer.viewAllClients': 'View All Clients',
+        'footer.viewClientList': 'View Client List',
+        'footer.addNewClient': 'Add New Client',
+        
+        'common.cancel': 'Cancel',
+        'common.delete': 'Delete',
+        'common.edit': 'Edit',
+        'common.view': 'View',
+        'common.select': 'Select…',
+        'common.any': 'Any',
+        'common.yes': 'Yes',
+        'common.no': 'No',
+        'common.unassigned': 'Unassigned',
+        'common.loading': 'Loading...',
+        'common.notAvailable': 'N/A',
+        'common.confirmTitle': 'Confirm Action',
+        'common.undo': 'Undo',
+        'common.redo': 'Redo',
+        'common.changeUndone': 'Change undone',
+        'common.changeRedone': 'Change redone',
+        'common.save': 'Save',
+        'common.saveChanges': 'Save Changes',
+        'common.close': 'Close',
+        'common.date': 'Date',
+        'common.startDate': 'Start Date',
+        'common.status': 'Status',
+        'common.notes': 'Notes',
+        'common.reason': 'Reason',
+        'common.price': 'Price',
+        'common.description': 'Description',
+        'common.exportIcs': 'Export .ics',
+        'common.actions': 'Actions',
+        'common.remove': 'Remove',
+        
+        'account.signOut': 'Sign Out',
+        'offline.indicator': 'Offline · suggestions may be cached',
+        'offline.hint': 'Changes are saved on this device. Exercise suggestions may come from the cache.',
+        
+        'validation.fullNameRequired': 'Full name is required',
+        'validation.fullNameShort': 'Name must be at least {min} characters',
+        'validation.ageRequired': 'Age is required',
+        'validation.ageRange': 'Age must be between {min} and {max}',
+        'validation.genderRequired': 'Please select a gender',
+        'validation.emailRequired': 'Email is required',
+        'validation.emailInvalid': 'Please enter a valid email address',
+        'validation.phoneRequired': 'Phone number is required',
+        'validation.phoneInvalid': 'Please enter a valid phone number',
+        'validation.goalRequired': 'Please select a fitness goal',
+        'validation.startDateRequired': 'Membership start date is required',
+        'validation.customTicked': '{label} must be ticked',
+        'validation.customRequired': '{label} is required',
+        'validation.customMinLength': '{label} must be at least {min} characters',
+        'validation.customMaxLength': '{label} must be {max} characters or fewer',
+        'validation.customNumber': '{label} must be a number',
+        'validation.customBetween': '{label} must be between {min} and {max}',
+        'validation.customAtLeast': '{label} must be at least {min}',
+        'validation.customAtMost': '{label} must be at most {max}',
+        'validation.customDate': '{label} must be a date',
+        'validation.customOnOrAfter': '{label} must be on or after {date}',
+        'validation.customOnOrBefore': '{label} must be on or before {date}',
+        'validation.customOption': 'Please choose one of the {label} options',
+        'validation.usernameChars': 'Use letters, numbers, dots, dashes or underscores only',
+        'validation.usernameTaken': 'This username is taken',
+        'validation.roleRequired': 'Please choose a role',
+        'validation.pinShort': 'PIN must be at least {min} characters',
+        'validation.pinMismatch': 'PINs do not match',
+        'validation.planRequired': 'Please choose a plan',
+        'validation.durationRange': 'Duration must be a whole number between 1 and {max} months',
+        'validation.priceMin': 'Price must be a number of 0 or more',
+        'validation.startDateInvalid': 'A valid start date is required',
+        'validation.endDateInvalid': 'A valid end date is required',
+        'validation.endBeforeStart': 'End date must be on or after the start date',
+        'validation.freezeStart': 'The freeze must start during the current membership',
+        'validation.freezeMaxDays': 'A freeze can last at most {max} days',
+        'validation.freezeOverlap': 'Overlaps the freeze from {from} to {to}',
+        'validation.ledgerType': 'Choose a charge or a payment',
+        'validation.dateInvalid': 'A valid date is required',
+        'validation.amountPositive': 'Amount must be greater than 0',
+        'validation.amountDecimals': 'Amount can have at most 2 decimal places',
+        'validation.descriptionRequired': 'Description is required',
+        'validation.methodRequired': 'Choose a payment method',
+        'validation.packNameRequired': 'Pack name is required',
+        'validation.packSessions': 'Sessions must be a whole number from 1 to {max}',
+        'validation.packPrice': 'Price must be 0 or more',
+        'validation.creditChange': 'Enter a whole number of credits to add (e.g. 2) or remove (e.g. -1)',
+        'validation.creditNote': 'Say why the credits are adjusted',
+        'validation.endpointRequired': 'Server address is required',
+        'validation.endpointUrl': 'Enter a full address starting with http:// or https://',
+        'validation.sessionTitleRequired': 'Session title is required',
+        'validation.exerciseNameRequired': 'Exercise name is required',
+        'validation.exerciseNameLength': 'Exercise name must be {max} characters or fewer',
+        'validation.exerciseNameTaken': 'A custom exercise with this name already exists',
+        'validation.imageUrl': 'Image URL must start with http:// or https://',
+        'validation.between': '{label} must be between {min} and {max}',
+        'validation.betweenUnit': '{label} must be between {min} and {max} {unit}',
+        'validation.wholeNumber': '{label} must be a whole number',
+        'validation.weightUnit': 'Unit must be kg or lb',
+        'validation.measurementRequired': 'Enter at least one measurement',
+        'validation.programNameRequired': 'Program name is required',
+        'validation.programWeeks': 'Weeks must be a whole number between 1 and {max}',
+        'validation.programDays': 'Add at least one training day',
+        'validation.weekdayRequired': 'Choose a day of the week',
+        'validation.weekdayUsed': '{day} is already used',
+        'validation.dayTitleRequired': 'Day title is required',
+        'validation.dayExercises': 'Add at least one exercise',
+        'validation.timeInvalid': 'A valid start time is required',
+        'validation.sessionDuration': 'Duration must be a whole number between {min} and {max} minutes',
+        'validation.repeatWeeks': 'Repeat must be between 1 and {max} weeks',
+        'validation.sessionStatus': 'Unknown session status',
+        'validation.overlaps': 'Overlaps with {session}',
+        'validation.overlapsMore': 'Overlaps with {session} and {count} more',
+        'validation.fieldNameRequired': 'Field name is required',
+        'validation.fieldNameLength': 'Field name must be {max} characters or fewer',
+        'validation.fieldNameTaken': 'A field with this name already exists',
+        'validation.fieldType': 'Please choose a field type',
+        'validation.minimum': 'Minimum',
+        'validation.maximum': 'Maximum',
+        'validation.fieldBound.text': '{bound} must be a whole number of characters',
+        'validation.fieldBound.number': '{bound} must be a number',
+        'validation.fieldBound.date': '{bound} must be a date',
+        'validation.fieldBoundOrder': 'Maximum must not be less than the minimum',
+        'validation.fieldOptions': 'Add at least two options, one per line',
+        'validation.fieldOptionsUnique': 'Each option must be different',
+        'validation.csvGender': 'Gender must be one of: {options}',
+        'validation.csvStartDate': 'Start date must be a valid date ({format})',
+        'validation.icsNoStart': 'The event has no valid start time',
+        'validation.icsAllDay': 'All-day events cannot be imported as sessions',
+        'validation.backupDuplicateId': 'Duplicate of another record in this file',
+        'validation.clientRequired': 'Choose a client',
+        
+        'login.title': 'Sign In',
+        'login.subtitle': 'Use the username and PIN your admin set up for you.',
+        'login.noAccountsTitle': 'No Trainer Accounts',
+        'login.noAccounts': 'Nobody needs to sign in yet.',
+        'login.setUpAccounts': 'Set up trainer accounts',
+        'login.noAccountsAfter': 'to give each trainer their own login.',
+        'login.username': 'Username',
+        'login.pin': 'PIN or Password',
+        'login.submit': 'Sign In',
+        'login.usernameRequired': 'Username is required',
+        'login.pinRequired': 'PIN is required',
+        'login.wrongPin': 'Wrong username or PIN',
+        'login.lockedOut': {
+            one: 'Too many wrong PINs. Try again in {count} second.',
+            other: 'Too many wrong PINs. Try again in {count} seconds.'
+        },
+        'login.insecure': 'Trainer accounts need the app to be opened over https or from localhost',
+        
+        'client.fullName': 'Full Name',
+        'client.age': 'Age',
+        'client.ageYears': { one: '{count} year', other: '{count} years' },
+        'client.gender': 'Gender',
+        'client.email': 'Email',
+        'client.phone': 'Phone',
+        'client.goal': 'Fitness Goal',
+        'client.goalText': 'Goal Details',
+        'client.startDate': 'Membership Start Date',
+        'client.trainer': 'Assigned Trainer',
+        'client.additionalInfo': 'Additional Information',
+        'client.notFound': 'Client not found',
+        'client.creditsLeft': '{count} left',
+        'client.creditsOwed': '{count} owed',
+        
+        'clientForm.title': 'New Client Form',
+        'clientForm.subtitle': 'Fill in the details below to add a new client.',
+        'clientForm.editTitle': 'Edit Client',
+        'clientForm.editing': 'Editing: {name}',
+        'clientForm.details': 'Client Details',
+        'clientForm.goalOther': 'Other (enter below)',
+        'clientForm.goalTextLabel': 'If "Other", describe goal',
+        'clientForm.fullNamePlaceholder': 'e.g. John Doe',
+        'clientForm.agePlaceholder': 'e.g. 25',
+        'clientForm.emailPlaceholder': 'e.g. john@example.com',
+        'clientForm.phonePlaceholder': 'e.g. +20 10 1234 5678',
+        'clientForm.goalTextPlaceholder': 'Describe your custom fitness goal...',
+        'clientForm.add': 'Add Client',
+        'clientForm.update': 'Update Client',
+        'clientForm.cancelEdit': 'Cancel Edit',
+        'clientForm.clear': 'Clear Form',
+        'clientForm.fixErrors': 'Please fix the errors in the form',
+        'clientForm.added': 'Client added successfully!',
+        'clientForm.updated': 'Client updated successfully!',
+        'clientForm.updateFailed': 'Failed to update client',
+        'clientForm.addedUndo': '{name} added',
+        'clientForm.updatedUndo': '{name} updated',
+        'clientForm.duplicateTitle': 'Possible Duplicate',
+        'clientForm.duplicateIntro': 'This client looks like someone already in your list:',
+        'clientForm.duplicateOutro': 'Save anyway only if this is a different person.',
+        'clientForm.goBack': 'Go Back',
+        'clientForm.saveAnyway': 'Save Anyway',
+        
+        'clients.title': 'Client List',
+        'clients.count': { one: '{count} client registered', other: '{count} clients registered' },
+        'clients.countFiltered': { one: '{shown} of {count} client registered', other: '{shown} of {count} clients registered' },
+        'clients.searchLabel': 'Search by name, email or phone',
+        'clients.searchPlaceholder': 'Search by name, email or phone...',
+        'clients.searchHint': 'Type to filter clients by name, email or phone number',
+        'clients.exportBackup': 'Export Backup',
+        'clients.exportBackupHint': 'Download all clients as a JSON backup',
+        'clients.importBackup': 'Import Backup',
+        'clients.importBackupHint': 'Restore clients from a JSON backup',
+        'clients.exportCsv': 'Export CSV',
+        'clients.exportCsvHint': 'Download the clients matching the current search and filters as CSV',
+        'clients.importCsv': 'Import CSV',
+        'clients.importCsvHint': 'Add clients from a CSV file',
+        'clients.findDuplicates': 'Find Duplicates',
+        'clients.findDuplicatesHint': 'Find clients entered twice and merge them',
+        'clients.trash': 'Trash',
+        'clients.trashCount': 'Trash ({count})',
+        'clients.trashHint': 'Deleted clients can be restored from here',
+        'clients.sync': 'Sync',
+        'clients.syncHint': 'Share clients with other devices through a sync server',
+        'clients.syncConflicts': { one: 'Sync ({count} conflict)', other: 'Sync ({count} conflicts)' },
+        'clients.syncQueued': 'Sync ({count} queued)',
+        'clients.synced': 'Synced',
+        'clients.addClient': '+ Add Client',
+        'clients.filters': 'Filter clients',
+        'clients.filterGoal': 'Goal',
+        'clients.allGoals': 'All goals',
+        'clients.filterGender': 'Gender',
+        'clients.allGenders': 'All genders',
+        'clients.ageFrom': 'Age from',
+        'clients.ageTo': 'Age to',
+        'clients.startedAfter': 'Started after',
+        'clients.startedBefore': 'Started before',
+        'clients.membership': 'Membership',
+        'clients.allMemberships': 'All memberships',
+        'clients.expiresWithin': 'Expires within (days)',
+        'clients.credits': 'Session Credits',
+        'clients.allClients': 'All clients',
+        'clients.creditsOk': 'Enough credits',
+        'clients.creditsLow': 'Running low',
+        'clients.creditsEmpty': 'Out of credits',
+        'clients.creditsNone': 'No pack',
+        'clients.trainer': 'Trainer',
+        'clients.allTrainers': 'All trainers',
+        'clients.myClients': 'My clients',
+        'clients.customFrom': '{label} from',
+        'clients.customTo': '{label} to',
+        'clients.contains': 'Contains...',
+        'clients.clearFilters': 'Clear Filters',
+        'clients.emptyTitle': 'No Clients Yet',
+        'clients.emptyText': 'Get started by adding your first client.',
+        'clients.addFirst': 'Add Your First Client',
+        'clients.loadDemo': 'Load Demo Data',
+        'clients.noResultsTitle': 'No Results Found',
+        'clients.noResultsText': 'No clients match your search and filters.',
+        'clients.clearSearch': 'Clear Search & Filters',
+        'clients.table': 'Clients Table',
+        'clients.colName': 'Name',
+        'clients.colStartDate': 'Start Date',
+        'clients.colCredits': 'Credits',
+        'clients.colActions': 'Actions',
+        'clients.viewHint': 'View client details',
+        'clients.editHint': 'Edit client',
+        'clients.deleteHint': 'Delete client',
+        'clients.until': 'until {date}',
+        'clients.endsToday': 'ends today',
+        'clients.daysLeft': { one: '{count} day left', other: '{count} days left' },
+        'clients.ended': 'ended {date}',
+        'clients.pages': 'Client list pages',
+        'clients.pageSize': 'Clients per page',
+        'clients.perPage': '{count} per page',
+        'clients.prev': '← Prev',
+        'clients.next': 'Next →',
+        'clients.showing': 'Showing {from}–{to} of {total}',
+        'clients.page': 'Page {page} of {pages}',
+        'clients.deleteConfirm': 'Delete "{name}"? The client can be restored from the trash for {days} days.',
+        'clients.movedToTrash': 'Client moved to the trash',
+        'clients.deleteFailed': 'Failed to delete client',
+        'clients.demoLoaded': '{count} demo clients loaded',
+        'clients.backupDownloaded': 'Backup of {count} clients downloaded',
+        'clients.noExport': 'No clients to export',
+        'clients.csvExported': { one: '{count} client exported to CSV', other: '{count} clients exported to CSV' },
+        'clients.csvUnreadable': 'Could not read the CSV file',
+        'clients.csvEmpty': 'The CSV file needs a header row and at least one client',
+        'clients.csvNoRows': 'No valid rows to import',
+        'clients.csvImported': { one: '{count} client imported', other: '{count} clients imported' },
+        'clients.backupImported': 'Imported: {added} added, {merged} merged, {overwritten} overwritten, {skipped} skipped',
+        'clients.backupFields': { one: '{count} custom field added', other: '{count} custom fields added' },
+        'clients.trashEmptied': {
+            one: '{count} client deleted permanently',
+            other: '{count} clients deleted permanently'
+        },
+        'clients.deletedForever': '{name} deleted permanently',
+        'clients.restored': '{name} restored',
+        'clients.mergeMissing': 'One of these clients no longer exists',
+        'clients.merged': 'Merged into {name}',
+        'clients.duplicateOf': '{reasons} as {name}',
+        'clients.duplicateOfMore': '{reasons} as {name} and {count} more',
+        'clients.possibleDuplicate': 'Possible duplicate: {detail}',
+        'clients.mergeSame': 'Choose two different clients to merge',
+        'clients.mergeTitle': 'Merge Clients',
+        'clients.mergeKeep': 'Keep the record of',
+        'clients.joined': 'joined {date}',
+        'clients.field': 'Field',
+        'clients.mergeIdentical': 'Their profile details are identical.',
+        'clients.merge': 'Merge',
+        'clients.mergeSummary': 'Training history: {a} + {b} sessions → {merged}. {name}\'s record will be moved to the trash.',
+        'clients.mergeSummaryShared': 'Training history: {a} + {b} sessions → {merged} ({count} logged in both, kept once). {name}\'s record will be moved to the trash.',
+        'clients.duplicatesTitle': 'Possible Duplicates',
+        'clients.duplicatesIntro': 'These clients share an email or phone number, or have very similar names.',
+        'clients.duplicatePair': '{a} and {b}',
+        'clients.mergeEllipsis': 'Merge…',
+        'clients.noDuplicates': 'No duplicate clients found.',
+        
+        'clientView.membershipStart': 'Membership Start',
+        'clientView.membership': 'Membership',
+        'clientView.credits': 'Session Credits',
+        'clientView.payments': 'Payments',
+        'clientView.metrics': 'Body Metrics',
+        'clientView.program': 'Training Program',
+        'clientView.sessions': 'Scheduled Sessions',
+        'clientView.history': 'Training History',
+        'clientView.progress': 'Progress',
+        'clientView.suggestions': 'Suggested Exercises for Next Session',
+        'clientView.changeHistory': 'Change History',
+        'clientView.deleteConfirm': 'Delete "{name}"? The client can be restored from the trash for {days} days.',
+        'clientView.deleted': '{name} moved to the trash',
+        'clientView.deleteFailed': 'Failed to delete client',
+        'clientView.noClient': 'No client specified',
+        'clientView.noTemplates': 'Create a program template first',
+        'clientView.assignFailed': 'Failed to assign program',
+        'clientView.assigned': '{name} assigned',
+        'clientView.programRemoved': 'Program removed',
+        'clientView.programRemoveFailed': 'Failed to remove program',
+        'clientView.noSessionsExport': 'No sessions to export',
+        'clientView.freezeRemoved': 'Freeze removed',
+        'clientView.freezeRemoveFailed': 'Failed to remove freeze',
+        'clientView.membershipFailed': 'Failed to save membership',
+        'clientView.membershipAdded': 'Membership added!',
+        'clientView.membershipUpdated': 'Membership updated!',
+        'clientView.membershipRenewed': 'Membership renewed!',
+        'clientView.freezeFailed': 'Failed to freeze membership',
+        'clientView.frozen': 'Membership frozen',
+        'clientView.packFailed': 'Failed to sell pack',
+        'clientView.packAdded': 'Session pack added!',
+        'clientView.creditsFailed': 'Failed to adjust credits',
+        'clientView.creditsAdjusted': 'Credits adjusted',
+        'clientView.entryDeleted': 'Entry deleted',
+        'clientView.entryDeleteFailed': 'Failed to delete entry',
+        'clientView.entryFailed': 'Failed to save entry',
+        'clientView.paymentRecorded': 'Payment recorded!',
+        'clientView.chargeAdded': 'Charge added!',
+        'clientView.measurementErrors': 'Please fix the errors in the measurement',
+        'clientView.measurementSaved': 'Measurement saved!',
+        'clientView.measurementUpdated': 'Measurement updated!',
+        'clientView.measurementFailed': 'Failed to save measurement',
+        'clientView.measurementDeleted': 'Measurement deleted',
+        'clientView.measurementDeleteFailed': 'Failed to delete measurement',
+        'clientView.assessmentSaved': 'Assessment saved!',
+        'clientView.assessmentFailed': 'Failed to save assessment',
+        'clientView.sessionErrors': 'Please fix the errors in the session',
+        'clientView.exerciseUpdated': 'Exercise updated!',
+        'clientView.exerciseUpdateFailed': 'Failed to update exercise',
+        'clientView.exerciseDeleted': 'Exercise deleted',
+        'clientView.exerciseDeleteFailed': 'Failed to delete exercise',
+        'clientView.sessionLogged': 'Session logged!',
+        'clientView.sessionLoggedWarning': 'Session logged. {warning}.',
+        'clientView.personalRecord': '🏆 New personal record! {record}',
+        'clientView.logFailed': 'Failed to log session',
+        'clientView.plan': 'Plan',
+        'clientView.durationMonths': 'Duration (months)',
+        'clientView.saveMembership': 'Save Membership',
+        'clientView.addMembership': 'Add Membership',
+        'clientView.renewMembership': 'Renew Membership',
+        'clientView.freezeFrom': 'Freeze From',
+        'clientView.freezeUntil': 'Freeze Until',
+        'clientView.freezeReasonPlaceholder': 'e.g. Travelling, injury',
+        'clientView.freezeMembership': 'Freeze Membership',
+        'clientView.adjust': 'Adjust',
+        'clientView.addPack': '+ Sell Pack',
+        'clientView.pack': 'Pack',
+        'clientView.packSessions': 'Sessions',
+        'clientView.sellPack': 'Sell Pack',
+        'clientView.creditChange': 'Credits (+/−)',
+        'clientView.creditChangePlaceholder': 'e.g. 1 or -1',
+        'clientView.creditNotePlaceholder': 'e.g. Goodwill session',
+        'clientView.saveAdjustment': 'Save Adjustment',
+        'clientView.addCharge': '+ Charge',
+        'clientView.addPayment': '+ Payment',
+        'clientView.amount': 'Amount',
+        'clientView.method': 'Method',
+        'clientView.reference': 'Reference',
+        'clientView.referencePlaceholder': 'e.g. transfer or card slip number',
+        'clientView.recordPayment': 'Record Payment',
+        'clientView.saveCharge': 'Add Charge',
+        'clientView.addMeasurement': '+ Add Measurement',
+        'clientView.noMeasurements': 'No Measurements Yet',
+        'clientView.noMeasurementsHint': 'Record weight, body fat, girths or resting heart rate to track changes.',
+        'clientView.measurements': 'Measurements',
+        'clientView.measurementNotesPlaceholder': 'e.g. measured in the morning',
+        'clientView.saveMeasurement': 'Save Measurement',
+        'clientView.assessment': 'Initial Assessment',
+        'clientView.assessmentDate': 'Assessment Date',
+        'clientView.targetWeight': 'Target Weight (kg)',
+        'clientView.targetWeightLabel': 'Target weight',
+        'clientView.assessmentNotes': 'Assessment Notes',
+        'clientView.assessmentNotesPlaceholder': 'Posture, injuries, baseline fitness tests...',
+        'clientView.saveAssessment': 'Save Assessment',
+        'clientView.changeProgram': 'Change Program',
+        'clientView.endProgram': 'End Program',
+        'clientView.programTemplate': 'Program',
+        'clientView.assignProgram': 'Assign Program',
+        'clientView.manageTemplates': 'Manage templates',
+        'clientView.exportIcsTitle': 'Download this client\'s sessions as an .ics file',
+        'clientView.openCalendar': 'Open Calendar',
+        'clientView.logSession': '+ Log Session',
+        'clientView.noHistory': 'No Training History Yet',
+        'clientView.noHistoryHint': 'Log the first session for this client.',
+        'clientView.sessionDate': 'Session Date',
+        'clientView.sessionTitle': 'Session Title',
+        'clientView.sessionTitlePlaceholder': 'e.g. Upper Body Workout',
+        'clientView.exercisesPerformed': 'Exercises Performed',
+        'clientView.addExerciseRow': '+ Add Exercise Row',
+        'clientView.sessionNotes': 'Session Notes',
+        'clientView.sessionNotesPlaceholder': 'How did the session go?',
+        'clientView.saveSession': 'Save Session',
+        'clientView.noProgress': 'No Progress Data Yet',
+        'clientView.noProgressHint': 'Log sessions or body measurements to see charts and personal records.',
+        'clientView.volumeChart': 'Training Volume per Session (kg)',
+        'clientView.maxWeightChart': 'Max Weight (kg)',
+        'clientView.exercise': 'Exercise',
+        'clientView.frequencyChart': 'Sessions per Week',
+        'clientView.bodyChart': 'Body Measurements',
+        'clientView.measurement': 'Measurement',
+        'clientView.overTime': '{label} over time',
+        'clientView.chartTarget': 'Target {value}',
+        'clientView.personalRecords': 'Personal Records',
+        'clientView.record.weight': '{exercise}: heaviest load {value} kg',
+        'clientView.record.volume': '{exercise}: best volume {value} kg',
+        'clientView.record.distance': '{exercise}: longest distance {value} km',
+        'clientView.suggestionsFrom': '5 exercises from',
+        'clientView.suggestionsMatched': ', matched to the client\'s goal',
+        'clientView.suggestionsLoading': 'Fetching 5 exercises from Wger API...',
+        'clientView.suggestionsFailed': '⚠️ Unable to load suggested exercises right now.',
+        'clientView.backToList': '← Back to Client List',
+        'clientView.changesRecorded': { one: '{count} change recorded', other: '{count} changes recorded' },
+        'clientView.noChanges': 'No changes recorded yet.',
+        'clientView.when': 'When',
+        'clientView.who': 'Who',
+        'clientView.change': 'Change',
+        'clientView.showFewer': 'Show fewer',
+        'clientView.showAllChanges': 'Show all {count} changes',
+        'clientView.noNotes': 'No notes',
+        'clientView.loggedBy': 'Logged by {name}',
+        'clientView.previousBest': 'Previous best: {value}',
+        'clientView.prBadge': 'PR',
+        'clientView.editEntry': 'Edit this entry',
+        'clientView.deleteEntry': 'Delete this entry',
+        'clientView.freeze': 'Freeze',
+        'clientView.renew': 'Renew',
+        'clientView.addMembershipBtn': '+ Add Membership',
+        'clientView.noMembership': 'No Membership',
+        'clientView.noMembershipHint': 'Add a plan to track the end date, freezes and renewals.',
+        'clientView.daysLeft': { one: '{count} day left', other: '{count} days left' },
+        'clientView.endsToday': 'Ends today — time to renew',
+        'clientView.endsIn': {
+            one: 'Ends in {count} day — time to renew',
+            other: 'Ends in {count} days — time to renew'
+        },
+        'clientView.expiredAgo': { one: 'Expired {count} day ago', other: 'Expired {count} days ago' },
+        'clientView.frozenUntil': 'Frozen until {date}',
+        'clientView.planMonths': { one: '{plan} · {count} month', other: '{plan} · {count} months' },
+        'clientView.period': 'Period',
+        'clientView.freezesHeading': {
+            one: 'Freezes ({count} day added to the end date)',
+            other: 'Freezes ({count} days added to the end date)'
+        },
+        'clientView.renewalHistory': 'Renewal History',
+        'clientView.freezes': 'Freezes',
+        'clientView.days': { one: '{count} day', other: '{count} days' },
+        'clientView.creditsBadge': 'Credits: {label}',
+        'clientView.sessionsLeft': { one: '{count} session left', other: '{count} sessions left' },
+        'clientView.noPack': 'No Session Pack',
+        'clientView.noPackHint': 'Sell a pack of sessions. Each logged or attended session then uses one credit.',
+        'clientView.creditsLeft': 'Credits Left',
+        'clientView.packsBought': 'Packs Bought',
+        'clientView.sessionsTotal': { one: '{count} session in total', other: '{count} sessions in total' },
+        'clientView.creditsUsed': 'Credits Used',
+        'clientView.creditHistory': 'Credit History',
+        'clientView.details': 'Details',
+        'clientView.balance': 'Balance',
+        'clientView.balanceDue': 'Balance due: {amount}',
+        'clientView.inCredit': 'In credit: {amount}',
+        'clientView.allPaid': 'All paid up',
+        'clientView.noLedger': 'No Charges or Payments',
+        'clientView.noLedgerHint': 'Memberships and session packs are charged here automatically. Record payments as they come in.',
+        'clientView.ledgerStatus.paid': 'Paid',
+        'clientView.ledgerStatus.partial': 'Partly Paid',
+        'clientView.ledgerStatus.unpaid': 'Unpaid',
+        'clientView.invoice': 'Invoice',
+        'clientView.receipt': 'Receipt',
+        'clientView.charged': 'Charged',
+        'clientView.paid': 'Paid',
+        'clientView.outstanding': 'Outstanding',
+        'clientView.number': 'No.',
+        'clientView.charge': 'Charge',
+        'clientView.payment': 'Payment',
+        'clientView.paymentPlaceholder': 'Payment received',
+        'clientView.chargePlaceholder': 'e.g. Nutrition plan, extra session',
+        'clientView.sessionsSummary': '{upcoming} upcoming · {attended} attended · {noShow} no-show · {cancelled} cancelled',
+        'clientView.noUpcoming': 'No Upcoming Sessions',
+        'clientView.noUpcomingHint': 'Schedule a session or a weekly slot from the calendar.',
+        'clientView.weekly': 'weekly',
+        'clientView.moreInCalendar': 'And {count} more in the {calendar}.',
+        'clientView.calendarLink': 'calendar',
+        'clientView.noProgram': 'No Program Assigned',
+        'clientView.noProgramHint': 'Assign a multi-week program to plan this client\'s sessions.',
+        'clientView.programStarts': 'starts {date}',
+        'clientView.programWeek': 'week {week} of {weeks}',
+        'clientView.programFinished': 'finished {date}',
+        'clientView.programSummary': '{name} · {when} · {logged} of {due} planned sessions logged',
+        'clientView.todayPlanned': 'Today\'s Planned Workout · Week {week}',
+        'clientView.logged': 'Logged',
+        'clientView.logThisSession': 'Log This Session',
+        'clientView.programStartsOn': 'The program starts on {date}.',
+        'clientView.restDay': 'Rest day today.',
+        'clientView.programComplete': 'This program is complete. Assign a new one to keep planning sessions.',
+        'clientView.nextWorkout': 'Next: {title} on {day}, {date}.',
+        'clientView.comingUp': 'Coming Up',
+        'clientView.weekExercises': { one: 'Week {week} · {count} exercise', other: 'Week {week} · {count} exercises' },
+        'clientView.endProgramConfirm': 'Remove the "{program}" program from {name}? Logged sessions are kept.',
+        'clientView.removeFreezeConfirm': 'Remove this freeze? The membership end date moves back.',
+        'clientView.deleteLedgerConfirm': 'Delete this ledger entry? Its invoice or receipt number will not be reused.',
+        'clientView.weekSessions': {
+            one: 'Week of {date}: {count} session',
+            other: 'Week of {date}: {count} sessions'
+        },
+        'clientView.heaviest': 'Heaviest',
+        'clientView.bestVolume': 'Best Volume',
+        'clientView.longest': 'Longest',
+        'clientView.noRecords': 'No records yet.',
+        'clientView.maxWeightFor': 'Max weight for {exercise}',
+        'clientView.maxWeightEmpty': 'Log an exercise with a load to chart max weight.',
+        'clientView.bodyMetricEmpty': 'Add a measurement to chart body metrics.',
+        'clientView.noChangeSinceStart': 'No change since start',
+        'clientView.sinceStart': '{change} since start',
+        'clientView.metricsSummary': {
+            one: '{count} measurement · last on {date}',
+            other: '{count} measurements · last on {date}'
+        },
+        'clientView.onTrack': 'On track',
+        'clientView.offTrack': 'Off track',
+        'clientView.progressToTarget': 'Progress to target',
+        'clientView.progressCaption': '{percent}% of the way to the {target} target',
+        'clientView.setTargetHint': 'Set a target weight in the initial assessment to track progress towards it.',
+        'clientView.bmi': 'BMI',
+        'clientView.noAssessment': 'No assessment recorded yet.',
+        'clientView.targetWeightTitle': 'Target Weight',
+        'clientView.deleteMeasurementConfirm': 'Delete the measurement from {date}?',
+        'clientView.setsReps': 'Sets × Reps',
+        'clientView.totalVolume': 'Total volume: {value}',
+        'clientView.totalTime': 'Total time: {value}',
+        'clientView.exerciseName': 'Exercise name',
+        'clientView.loadUnit': 'Load unit',
+        'clientView.minPlaceholder': 'Min',
+        'clientView.durationAria': 'Duration in minutes',
+        'clientView.kmPlaceholder': 'Km',
+        'clientView.distanceAria': 'Distance in km',
+        'clientView.rpeAria': 'Rate of perceived exertion (1-10)',
+        'clientView.removeRow': 'Remove exercise row',
+        'clientView.deleteEntryConfirm': 'Delete the "{title}" entry from {date}?',
+        'clientView.progressSummary': '{sessions} · {recent} in the last 30 days · {records}',
+        'clientView.sessionCount': { one: '{count} session', other: '{count} sessions' },
+        'clientView.recordCount': { one: '{count} personal record', other: '{count} personal records' },
+        'clientView.volumeEmpty': 'Log sets, reps and load to chart training volume.',
+        
+        'sync.conflicts': {
+            one: '{count} client was changed here and on another device',
+            other: '{count} clients were changed here and on another device'
+        },
+        'sync.pulled': {
+            one: '{count} client updated from another device',
+            other: '{count} clients updated from another device'
+        },
+        'sync.customFields': 'Custom fields updated from another device',
+        'sync.resolve': 'Resolve',
+        'sync.refresh': 'Refresh',
+        'sync.done': 'Sent {pushed} change(s), received {pulled}',
+        'sync.on': 'Sync is on',
+        'sync.onFailed': 'Sync is on, but the first sync failed: {error}',
+        'sync.off': 'Sync is off',
+        'sync.keptLocal': 'Kept this device\'s version',
+        'sync.keptRemote': 'Kept the other device\'s version',
+        'sync.timeout': 'The sync server did not respond in time',
+        'sync.unreachable': 'Could not reach the sync server at {endpoint}',
+        'sync.requestFailed': 'Sync request failed with status {status}',
+        'sync.notSetUp': 'Sync is not set up',
+        'sync.offlineQueued': 'You are offline; changes are queued until the connection is back',
+        'sync.alreadyResolved': 'That conflict has already been resolved',
+        'sync.conflictsTitle': 'Sync Conflicts',
+        'sync.conflictsIntro': 'These clients were changed on this device and on another one before they could sync. Keep one version of each; the other is replaced.',
+        'sync.noConflicts': 'No sync conflicts.',
+        'sync.deleted': 'Deleted',
+        'sync.purgedHere': 'Deleted permanently on this device',
+        'sync.purgedElsewhere': 'Deleted permanently on another device',
+        'sync.changedBoth': 'Changed here {here} and elsewhere {elsewhere}',
+        'sync.keepLocal': 'Keep This Device\'s',
+        'sync.keepRemote': 'Keep Other Device\'s',
+        'sync.thisDevice': 'This Device',
+        'sync.otherDevice': 'Other Device',
+        
+        'credits.low': {
+            one: '{name} has only {count} session credit left',
+            other: '{name} has only {count} session credits left'
+        },
+        'credits.owes': {
+            one: '{name} is out of credits and owes {count} session',
+            other: '{name} is out of credits and owes {count} sessions'
+        },
+        'credits.lastUsed': '{name} has used their last session credit',
+        
+        'invoice.notFound': 'Invoice not found',
+        
+        'measurement.weightKg': 'Weight',
+        'measurement.heightCm': 'Height',
+        'measurement.bodyFatPct': 'Body Fat',
+        'measurement.waistCm': 'Waist',
+        'measurement.hipsCm': 'Hips',
+        'measurement.chestCm': 'Chest',
+        'measurement.armCm': 'Arm',
+        'measurement.thighCm': 'Thigh',
+        'measurement.restingHeartRate': 'Resting HR',
+        
+        'exercise.sets': 'Sets',
+        'exercise.reps': 'Reps',
+        'exercise.weight': 'Load',
+        'exercise.durationMinutes': 'Duration',
+        'exercise.distanceKm': 'Distance',
+        'exercise.rpe': 'RPE',
+        
+        'audit.missing': 'That change is no longer in the audit log',
+        'audit.pruned': 'That change can no longer be undone',
+        'audit.changedSince': '{name} has changed since; undo the later changes first',
+        
+        'dashboard.title': 'Dashboard',
+        'dashboard.trends': 'Trends',
+        'dashboard.churn': 'Churn Risk',
+        'dashboard.renewals': 'Upcoming Renewals',
+        'dashboard.signups': 'New Sign-ups per Month',
+        'dashboard.signupsLabel': 'New clients per month',
+        'dashboard.signupsTitle': { one: '{month}: {count} new client', other: '{month}: {count} new clients' },
+        'dashboard.sessions': 'Sessions Logged per Week',
+        'dashboard.sessionsLabel': 'Sessions logged per week',
+        'dashboard.sessionsTitle': {
+            one: 'Week of {date}: {count} session',
+            other: 'Week of {date}: {count} sessions'
+        },
+        'dashboard.goals': 'Goal Distribution',
+        'dashboard.goalsLabel': 'Clients per fitness goal',
+        'dashboard.goalsTitle': {
+            one: '{goal}: {count} client ({percent}%)',
+            other: '{goal}: {count} clients ({percent}%)'
+        },
+        'calendar.title': 'Calendar',
+        'calendar.schedule': 'Schedule Session',
+        'calendar.sessionNotFound': 'Session not found',
+        'calendar.sessionUpdated': 'Session updated!',
+        'calendar.sessionScheduled': 'Session scheduled!',
+        'calendar.weeklyScheduled': '{count} weekly sessions scheduled!',
+        'calendar.updateFailed': 'Failed to update session',
+        'calendar.attendedWarning': 'Marked attended. {warning}.',
+        'calendar.attendedLogged': 'Marked attended and added to {name}\'s history',
+        'calendar.marked.attended': 'Marked attended',
+        'calendar.marked.no-show': 'Marked no-show',
+        'calendar.marked.cancelled': 'Marked cancelled',
+        'calendar.marked.scheduled': 'Marked scheduled',
+        'calendar.sessionDeleted': 'Session deleted',
+        'calendar.sessionsDeleted': 'Sessions deleted',
+        'calendar.deleteFailed': 'Failed to delete session',
+        'calendar.noEvents': 'No events found in the file',
+        'calendar.nothingToImport': 'No events to import',
+        'calendar.imported': 'Import complete: {added} added, {updated} updated, {skipped} skipped',
+        'calendar.icsExported': { one: '{count} session exported to .ics', other: '{count} sessions exported to .ics' },
+        'calendar.icsUnreadable': 'Could not read the calendar file',
+        'calendar.addSession': '+ Schedule Session',
+        'calendar.client': 'Client',
+        'calendar.day': 'Day',
+        'calendar.week': 'Week',
+        'calendar.month': 'Month',
+        'calendar.today': 'Today',
+        'calendar.viewLabel': 'Calendar view',
+        'calendar.previous': 'Previous',
+        'calendar.next': 'Next',
+        'calendar.startTime': 'Start Time',
+        'calendar.duration': 'Duration (min)',
+        'calendar.sessionTitle': 'Title',
+        'calendar.titlePlaceholder': 'e.g. Personal Training',
+        'calendar.location': 'Location',
+        'calendar.locationPlaceholder': 'e.g. Main gym, Studio 2',
+        'calendar.repeat': 'Repeat Weekly For (weeks)',
+        'calendar.saveSession': 'Save Session',
+        'calendar.importIcs': 'Import .ics',
+        'calendar.importIcsTitle': 'Add or update sessions from an .ics file',
+        'calendar.exportIcsTitle': 'Download the sessions of the selected client, or of every client, as an .ics file',
+        'calendar.chooseClient': 'Choose a client...',
+        'calendar.overlapsAnother': 'Overlaps another session',
+        'calendar.noSessions': 'No Sessions',
+        'calendar.noSessionsHint': 'Nothing is scheduled on this day.',
+        'calendar.editSession': 'Edit Session — {name}',
+        'calendar.conflictTitle': 'Scheduling Conflict',
+        'calendar.conflictIntro': {
+            one: 'This time overlaps {count} booked session:',
+            other: 'This time overlaps {count} booked sessions:'
+        },
+        'calendar.changeTime': 'Change Time',
+        'calendar.scheduleAnyway': 'Schedule Anyway',
+        'calendar.markAttended': 'Attended',
+        'calendar.markNoShow': 'No-show',
+        'calendar.cancelSession': 'Cancel Session',
+        'calendar.markScheduled': 'Mark Scheduled',
+        'calendar.trainingSession': 'Training Session',
+        'calendar.time': 'Time',
+        'calendar.timeRange': '{start}–{end} ({minutes} min)',
+        'calendar.repeats': 'Repeats',
+        'calendar.repeatsWeekly': 'Weekly',
+        'calendar.deleteConfirm': 'Delete the session with {name} on {date}?',
+        'calendar.deleteRecurringTitle': 'Delete Recurring Session',
+        'calendar.deleteRecurringMessage': 'This session repeats weekly. Delete only this one, or this and every later scheduled session in the series?',
+        'calendar.thisSession': 'This Session',
+        'calendar.thisAndLater': 'This and Later',
+        'calendar.matchedClient': 'FitCRM client',
+        'calendar.matchedEmail': 'email',
+        'calendar.matchedName': 'name',
+        'calendar.matchedBy': '(matched by {match})',
+        'calendar.importTitle': 'Import Sessions from .ics',
+        'calendar.importUpdates': {
+            one: '{count} event updates existing sessions.',
+            other: '{count} events update existing sessions.'
+        },
+        'calendar.importChooseClient': 'Choose a client for any event that could not be matched.',
+        'calendar.importable': '{count} of {total} events can be imported',
+        'calendar.untitledEvent': 'Untitled event',
+        'calendar.updatesExisting': 'Updates existing session',
+        'calendar.clientForEvent': 'Client for event {index}',
+        'calendar.skipEvent': 'Skip this event',
+        'calendar.willSkip': { one: '{count} event will be skipped', other: '{count} events will be skipped' },
+        'calendar.eventNumber': 'Event {index}',
+        'calendar.importSessions': 'Import Sessions',
+        'library.title': 'Exercise Library',
+        'library.exerciseAdded': 'Custom exercise added!',
+        'library.exerciseUpdated': 'Exercise updated!',
+        'library.exerciseDeleted': 'Exercise deleted',
+        'library.deleteFailed': 'Failed to delete exercise',
+        'library.catalogUpdated': 'Exercise catalog updated',
+        'library.exercises': 'exercises',
+        'library.countFiltered': '{shown} of {count}',
+        'library.addCustom': '+ Add Custom Exercise',
+        'library.search': 'Search exercises',
+        'library.searchPlaceholder': 'Search by name, category, muscle or equipment...',
+        'library.filtersLabel': 'Filter exercises',
+        'library.category': 'Category',
+        'library.muscle': 'Muscle',
+        'library.equipment': 'Equipment',
+        'library.source': 'Source',
+        'library.allSources': 'All sources',
+        'library.custom': 'Custom',
+        'library.clearFilters': 'Clear Filters',
+        'library.clearSearch': 'Clear Search & Filters',
+        'library.noResults': 'No Exercises Found',
+        'library.noResultsHint': 'No exercises match your search and filters.',
+        'library.pagesLabel': 'Exercise library pages',
+        'library.prev': '← Prev',
+        'library.next': 'Next →',
+        'library.loadingCatalog': 'Loading catalog...',
+        'library.catalogDate': 'Wger catalog updated {date}',
+        'library.catalogMissing': 'Wger catalog not downloaded yet',
+        'library.showingSaved': '{error} Showing the copy saved on {date}.',
+        'library.showingBuiltIn': '{error} Showing a small built-in list until the catalog can be downloaded.',
+        'library.refresh': 'Refresh Catalog',
+        'library.refreshing': 'Refreshing...',
+        'library.refreshTitle': 'Download the latest exercises from Wger',
+        'library.requestFailed': 'API request failed with status {status}',
+        'library.noExercisesReturned': 'No valid exercises returned from API',
+        'library.unreachable': 'Unable to reach the Wger exercise database.',
+        'library.suggestionsFailed': 'Unable to load suggested exercises right now.',
+        'library.bodyweight': 'bodyweight',
+        'library.suggestionReason': '{reasons} for {goal}',
+        'library.allCategories': 'All categories',
+        'library.allMuscles': 'All muscles',
+        'library.allEquipment': 'All equipment',
+        'library.noDescription': 'No description available.',
+        'library.primaryMuscles': 'Primary Muscles',
+        'library.secondaryMuscles': 'Secondary Muscles',
+        'library.viewOnWger': 'View on Wger',
+        'library.name': 'Name',
+        'library.categoryPlaceholder': 'e.g. Legs',
+        'library.muscles': 'Muscles',
+        'library.musclesPlaceholder': 'Comma separated, e.g. Quadriceps, Glutes',
+        'library.equipmentPlaceholder': 'Comma separated, e.g. Kettlebell',
+        'library.imageUrl': 'Image URL',
+        'library.editCustom': 'Edit Custom Exercise',
+        'library.addCustomTitle': 'Add Custom Exercise',
+        'library.addExercise': 'Add Exercise',
+        'library.deleteConfirm': 'Delete the custom exercise "{name}"? Past sessions keep the exercise name.',
+        'programs.title': 'Program Templates',
+        'programs.builder': 'New Template',
+        'programs.created': 'Template created!',
+        'programs.updated': 'Template updated!',
+        'programs.deleted': 'Template deleted',
+        'programs.deleteFailed': 'Failed to delete template',
+        'programs.subtitle': 'Reusable multi-week plans. Assign them to a client from the client\'s page.',
+        'programs.newTemplate': '+ New Template',
+        'programs.editTemplate': 'Edit {name}',
+        'programs.empty': 'No Program Templates',
+        'programs.emptyHint': 'Create a template with training days and target sets and reps.',
+        'programs.name': 'Program Name',
+        'programs.namePlaceholder': 'e.g. 4-Week Hypertrophy',
+        'programs.weeks': 'Weeks',
+        'programs.addDay': '+ Add Training Day',
+        'programs.save': 'Save Template',
+        'programs.weekCount': { one: '{count} week', other: '{count} weeks' },
+        'programs.daysPerWeek': { one: '{count} training day per week', other: '{count} training days per week' },
+        'programs.removeExercise': 'Remove exercise',
+        'programs.trainingDay': 'Training Day',
+        'programs.dayOfWeek': 'Day of Week',
+        'programs.chooseDay': 'Choose...',
+        'programs.dayTitle': 'Title',
+        'programs.dayTitlePlaceholder': 'e.g. Upper Body',
+        'programs.addExercise': '+ Add Exercise',
+        'programs.removeDay': 'Remove Day',
+        'programs.deleteConfirm': 'Delete the "{name}" template? Clients already on this program keep their plan.',
+        'payments.title': 'Revenue Summary',
+        'trainers.setup': 'Set Up Trainer Accounts',
+        'trainers.title': 'Trainers',
+        'trainers.added': 'Account added!',
+        'trainers.updated': 'Account updated!',
+        'trainers.removed': '{name} removed',
+        'trainers.unassigned': { one: '{count} client unassigned', other: '{count} clients unassigned' },
+        'trainers.missing': 'That account no longer exists',
+        'trainers.lastAdmin': 'There must be at least one admin',
+        'trainers.removeSelf': 'You cannot remove the account you are signed in with',
+        'trainers.onlyRoles': 'Only {roles} accounts can do this',
+        'settings.customFields': 'Custom Client Fields',
+        'settings.fieldAdded': 'Field added!',
+        'settings.fieldUpdated': 'Field updated!',
+        'settings.fieldDeleted': 'Field deleted',
+        'settings.backupNotJson': 'The file is not valid JSON',
+        'settings.backupFormat': 'The file is not a FitCRM backup',
+        'settings.backupNewer': 'The backup was created by a newer version of FitCRM'
+    },
+    ar: {
+        'language.label': 'اللغة',
+        
+        'nav.dashboard': 'لوحة التحكم',
+        'nav.newClient': 'عميل جديد',
+        'nav.clients': 'قائمة العملاء',
+        'nav.calendar': 'التقويم',
+        'nav.library': 'مكتبة التمارين',
+        'nav.programs': 'البرامج',
+        'nav.payments': 'المدفوعات',
+        'nav.trainers': 'المدربون',
+        'nav.settings': 'الإعدادات',
+        
+        'title.dashboard': 'FitCRM — لوحة التحكم',
+        'title.clientForm': 'FitCRM — عميل جديد',
+        'title.clients': 'FitCRM — قائمة العملاء',
+        'title.clientView': 'FitCRM — بيانات العميل',
+        'title.calendar': 'FitCRM — التقويم',
+        'title.library': 'FitCRM — مكتبة التمارين',
+        'title.programs': 'FitCRM — البرامج',
+        'title.payments': 'FitCRM — المدفوعات',
+        'title.invoice': 'FitCRM — فاتورة',
+        'title.trainers': 'FitCRM — المدربون',
+        'title.settings': 'FitCRM — الإعدادات',
+        'title.login': 'FitCRM — تسجيل الدخول',
+        
+        'footer.viewAllClients': 'عرض كل العملاء',
+        'footer.viewClientList': 'عرض قائمة العملاء',
+        'footer.addNewClient': 'إضافة عميل جديد',
+        
+        'common.cancel': 'إلغاء',
+        'common.delete': 'حذف',
+        'common.edit': 'تعديل',
+        'common.view': 'عرض',
+        'common.select': 'اختر…',
+        'common.any': 'الكل',
+        'common.yes': 'نعم',
+        'common.no': 'لا',
+        'common.unassigned': 'غير مُسنَد',
+        'common.loading': 'جارٍ التحميل...',
+        'common.notAvailable': 'غير متوفر',
+        'common.confirmTitle': 'تأكيد الإجراء',
+        'common.undo': 'تراجع',
+        'common.redo': 'إعادة',
+        'common.changeUndone': 'تم التراجع عن التغيير',
+        'common.changeRedone': 'تمت إعادة التغيير',
+        'common.save': 'حفظ',
+        'common.saveChanges': 'حفظ التغييرات',
+        'common.close': 'إغلاق',
+        'common.date': 'التاريخ',
+        'common.startDate': 'تاريخ البدء',
+        'common.status': 'الحالة',
+        'common.notes': 'ملاحظات',
+        'common.reason': 'السبب',
+        'common.price': 'السعر',
+        'common.description': 'الوصف',
+        'common.exportIcs': 'تصدير ‎.ics',
+        'common.actions': 'إجراءات',
+        'common.remove': 'إزالة',
+        
+        'account.signOut': 'تسجيل الخروج',
+        'offline.indicator': 'غير متصل · قد تكون الاقتراحات محفوظة مسبقًا',
+        'offline.hint': 'تُحفظ التغييرات على هذا الجهاز. قد تأتي اقتراحات التمارين من النسخة المحفوظة.',
+        
+        'validation.fullNameRequired': 'الاسم الكامل مطلوب',
+        'validation.fullNameShort': 'يجب ألا يقل الاسم عن حرفين',
+        'validation.ageRequired': 'العمر مطلوب',
+        'validation.ageRange': 'يجب أن يكون العمر بين {min} و{max}',
+        'validation.genderRequired': 'يرجى اختيار الجنس',
+        'validation.emailRequired': 'البريد الإلكتروني مطلوب',
+        'validation.emailInvalid': 'يرجى إدخال بريد إلكتروني صحيح',
+        'validation.phoneRequired': 'رقم الهاتف مطلوب',
+        'validation.phoneInvalid': 'يرجى إدخال رقم هاتف صحيح',
+        'validation.goalRequired': 'يرجى اختيار هدف اللياقة',
+        'validation.startDateRequired': 'تاريخ بدء الاشتراك مطلوب',
+        'validation.customTicked': 'يجب تحديد {label}',
+        'validation.customRequired': '{label} مطلوب',
+        'validation.customMinLength': 'يجب ألا يقل {label} عن {min} حرف',
+        'validation.customMaxLength': 'يجب ألا يزيد {label} عن {max} حرف',
+        'validation.customNumber': 'يجب أن يكون {label} رقمًا',
+        'validation.customBetween': 'يجب أن يكون {label} بين {min} و{max}',
+        'validation.customAtLeast': 'يجب ألا يقل {label} عن {min}',
+        'validation.customAtMost': 'يجب ألا يزيد {label} عن {max}',
+        'validation.customDate': 'يجب أن يكون {label} تاريخًا',
+        'validation.customOnOrAfter': 'يجب أن يكون {label} في {date} أو بعده',
+        'validation.customOnOrBefore': 'يجب أن يكون {label} في {date} أو قبله',
+        'validation.customOption': 'يرجى اختيار أحد خيارات {label}',
+        'validation.usernameChars': 'استخدم الحروف الإنجليزية والأرقام والنقاط والشرطات فقط',
+        'validation.usernameTaken': 'اسم المستخدم هذا مستخدم بالفعل',
+        'validation.roleRequired': 'يرجى اختيار دور',
+        'validation.pinShort': 'يجب ألا يقل رمز PIN عن {min} أحرف',
+        'validation.pinMismatch': 'رمزا PIN غير متطابقين',
+        'validation.planRequired': 'يرجى اختيار خطة',
+        'validation.durationRange': 'يجب أن تكون المدة عددًا صحيحًا من الأشهر بين ١ و{max}',
+        'validation.priceMin': 'يجب أن يكون السعر رقمًا يساوي ٠ أو أكثر',
+        'validation.startDateInvalid': 'يلزم تاريخ بدء صالح',
+        'validation.endDateInvalid': 'يلزم تاريخ انتهاء صالح',
+        'validation.endBeforeStart': 'يجب أن يكون تاريخ الانتهاء في تاريخ البدء أو بعده',
+        'validation.freezeStart': 'يجب أن يبدأ التجميد خلال الاشتراك الحالي',
+        'validation.freezeMaxDays': 'أقصى مدة للتجميد {max} يومًا',
+        'validation.freezeOverlap': 'يتداخل مع التجميد من {from} إلى {to}',
+        'validation.ledgerType': 'اختر رسومًا أو دفعة',
+        'validation.dateInvalid': 'يلزم تاريخ صالح',
+        'validation.amountPositive': 'يجب أن يكون المبلغ أكبر من ٠',
+        'validation.amountDecimals': 'يمكن أن يحتوي المبلغ على منزلتين عشريتين على الأكثر',
+        'validation.descriptionRequired': 'الوصف مطلوب',
+        'validation.methodRequired': 'اختر طريقة الدفع',
+        'validation.packNameRequired': 'اسم الباقة مطلوب',
+        'validation.packSessions': 'يجب أن يكون عدد الجلسات عددًا صحيحًا من ١ إلى {max}',
+        'validation.packPrice': 'يجب أن يكون السعر ٠ أو أكثر',
+        'validation.creditChange': 'أدخل عددًا صحيحًا من الرصيد لإضافته (مثل ٢) أو خصمه (مثل ‎-١)',
+        'validation.creditNote': 'اذكر سبب تعديل الرصيد',
+        'validation.endpointRequired': 'عنوان الخادم مطلوب',
+        'validation.endpointUrl': 'أدخل عنوانًا كاملًا يبدأ بـ http://‎ أو https://‎',
+        'validation.sessionTitleRequired': 'عنوان الجلسة مطلوب',
+        'validation.exerciseNameRequired': 'اسم التمرين مطلوب',
+        'validation.exerciseNameLength': 'يجب ألا يزيد اسم التمرين عن {max} حرف',
+        'validation.exerciseNameTaken': 'يوجد تمرين مخصص بهذا الاسم بالفعل',
+        'validation.imageUrl': 'يجب أن يبدأ رابط الصورة بـ http://‎ أو https://‎',
+        'validation.between': 'يجب أن يكون {label} بين {min} و{max}',
+        'validation.betweenUnit': 'يجب أن يكون {label} بين {min} و{max} {unit}',
+        'validation.wholeNumber': 'يجب أن يكون {label} عددًا صحيحًا',
+        'validation.weightUnit': 'يجب أن تكون الوحدة kg أو lb',
+        'validation.measurementRequired': 'أدخل قياسًا واحدًا على الأقل',
+        'validation.programNameRequired': 'اسم البرنامج مطلوب',
+        'validation.programWeeks': 'يجب أن يكون عدد الأسابيع عددًا صحيحًا بين ١ و{max}',
+        'validation.programDays': 'أضف يوم تدريب واحدًا على الأقل',
+        'validation.weekdayRequired': 'اختر يومًا من أيام الأسبوع',
+        'validation.weekdayUsed': 'يوم {day} مستخدم بالفعل',
+        'validation.dayTitleRequired': 'عنوان اليوم مطلوب',
+        'validation.dayExercises': 'أضف تمرينًا واحدًا على الأقل',
+        'validation.timeInvalid': 'يلزم وقت بدء صالح',
+        'validation.sessionDuration': 'يجب أن تكون المدة عددًا صحيحًا من الدقائق بين {min} و{max}',
+        'validation.repeatWeeks': 'يجب أن يكون التكرار بين ١ و{max} أسبوعًا',
+        'validation.sessionStatus': 'حالة الجلسة غير معروفة',
+        'validation.overlaps': 'يتداخل مع {session}',
+        'validation.overlapsMore': {
+            zero: 'يتداخل مع {session}',
+            one: 'يتداخل مع {session} وجلسة أخرى',
+            two: 'يتداخل مع {session} وجلستين أخريين',
+            few: 'يتداخل مع {session} و{count} جلسات أخرى',
+            many: 'يتداخل مع {session} و{count} جلسة أخرى',
+            other: 'يتداخل مع {session} و{count} جلسة أخرى'
+        },
+        'validation.fieldNameRequired': 'اسم الحقل مطلوب',
+        'validation.fieldNameLength': 'يجب ألا يزيد اسم الحقل عن {max} حرف',
+        'validation.fieldNameTaken': 'يوجد حقل بهذا الاسم بالفعل',
+        'validation.fieldType': 'يرجى اختيار نوع الحقل',
+        'validation.minimum': 'الحد الأدنى',
+        'validation.maximum': 'الحد الأقصى',
+        'validation.fieldBound.text': 'يجب أن يكون {bound} عددًا صحيحًا من الأحرف',
+        'validation.fieldBound.number': 'يجب أن يكون {bound} رقمًا',
+        'validation.fieldBound.date': 'يجب أن يكون {bound} تاريخًا',
+        'validation.fieldBoundOrder': 'يجب ألا يقل الحد الأقصى عن الحد الأدنى',
+        'validation.fieldOptions': 'أضف خيارين على الأقل، كل خيار في سطر',
+        'validation.fieldOptionsUnique': 'يجب أن يكون كل خيار مختلفًا',
+        'validation.csvGender': 'يجب أن يكون الجنس أحد القيم: {options}',
+        'validation.csvStartDate': 'يجب أن يكون تاريخ البدء تاريخًا صالحًا ({format})',
+        'validation.icsNoStart': 'ليس للحدث وقت بدء صالح',
+        'validation.icsAllDay': 'لا يمكن استيراد أحداث اليوم الكامل كجلسات',
+        'validation.backupDuplicateId': 'مكرر لسجل آخر في هذا الملف',
+        'validation.clientRequired': 'اختر عميلًا',
+        
+        'login.title': 'تسجيل الدخول',
+        'login.subtitle': 'استخدم اسم المستخدم والرمز السري اللذين أعدّهما لك المسؤول.',
+        'login.noAccountsTitle': 'لا توجد حسابات مدربين',
+        'login.noAccounts': 'لا يحتاج أحد إلى تسجيل الدخول بعد.',
+        'login.setUpAccounts': 'أنشئ حسابات المدربين',
+        'login.noAccountsAfter': 'ليحصل كل مدرب على تسجيل دخول خاص به.',
+        'login.username': 'اسم المستخدم',
+        'login.pin': 'الرمز السري أو كلمة المرور',
+        'login.submit': 'دخول',
+        'login.usernameRequired': 'اسم المستخدم مطلوب',
+        'login.pinRequired': 'الرمز السري مطلوب',
+        'login.wrongPin': 'اسم المستخدم أو الرمز السري غير صحيح',
+        'login.lockedOut': {
+            one: 'محاولات خاطئة كثيرة. حاول مرة أخرى بعد ثانية واحدة.',
+            two: 'محاولات خاطئة كثيرة. حاول مرة أخرى بعد ثانيتين.',
+            few: 'محاولات خاطئة كثيرة. حاول مرة أخرى بعد {count} ثوانٍ.',
+            other: 'محاولات خاطئة كثيرة. حاول مرة أخرى بعد {count} ثانية.'
+        },
+        'login.insecure': 'تتطلب حسابات المدربين فتح التطبيق عبر https أو من localhost',
+        
+        'client.fullName': 'الاسم الكامل',
+        'client.age': 'العمر',
+        'client.ageYears': { one: 'سنة واحدة', two: 'سنتان', few: '{count} سنوات', other: '{count} سنة' },
+        'client.gender': 'الجنس',
+        'client.email': 'البريد الإلكتروني',
+        'client.phone': 'الهاتف',
+        'client.goal': 'هدف اللياقة',
+        'client.goalText': 'تفاصيل الهدف',
+        'client.startDate': 'تاريخ بدء الاشتراك',
+        'client.trainer': 'المدرب المسؤول',
+        'client.additionalInfo': 'معلومات إضافية',
+        'client.notFound': 'العميل غير موجود',
+        'client.creditsLeft': 'متبقٍ {count}',
+        'client.creditsOwed': 'مستحق {count}',
+        
+        'clientForm.title': 'نموذج عميل جديد',
+        'clientForm.subtitle': 'املأ البيانات أدناه لإضافة عميل جديد.',
+        'clientForm.editTitle': 'تعديل العميل',
+        'clientForm.editing': 'تعديل: {name}',
+        'clientForm.details': 'بيانات العميل',
+        'clientForm.goalOther': 'أخرى (اكتبه أدناه)',
+        'clientForm.goalTextLabel': 'إذا اخترت "أخرى"، صف الهدف',
+        'clientForm.fullNamePlaceholder': 'مثال: أحمد محمد',
+        'clientForm.agePlaceholder': 'مثال: 25',
+        'clientForm.emailPlaceholder': 'مثال: ahmed@example.com',
+        'clientForm.phonePlaceholder': 'مثال: +20 10 1234 5678',
+        'clientForm.goalTextPlaceholder': 'صف هدف اللياقة الخاص بك...',
+        'clientForm.add': 'إضافة العميل',
+        'clientForm.update': 'تحديث العميل',
+        'clientForm.cancelEdit': 'إلغاء التعديل',
+        'clientForm.clear': 'مسح النموذج',
+        'clientForm.fixErrors': 'يرجى تصحيح الأخطاء في النموذج',
+        'clientForm.added': 'تمت إضافة العميل بنجاح!',
+        'clientForm.updated': 'تم تحديث العميل بنجاح!',
+        'clientForm.updateFailed': 'تعذّر تحديث العميل',
+        'clientForm.addedUndo': 'تمت إضافة {name}',
+        'clientForm.updatedUndo': 'تم تحديث {name}',
+        'clientForm.duplicateTitle': 'تكرار محتمل',
+        'clientForm.duplicateIntro': 'يبدو أن هذا العميل مسجل بالفعل في قائمتك:',
+        'clientForm.duplicateOutro': 'احفظ على أي حال فقط إذا كان شخصًا مختلفًا.',
+        'clientForm.goBack': 'رجوع',
+        'clientForm.saveAnyway': 'احفظ على أي حال',
+        
+        'clients.title': 'قائمة العملاء',
+        'clients.count': {
+            zero: 'لا يوجد عملاء مسجلون',
+            one: 'عميل واحد مسجل',
+            two: 'عميلان مسجلان',
+            few: '{count} عملاء مسجلين',
+            other: '{count} عميلًا مسجلًا'
+        },
+        'clients.countFiltered': 'يُعرض {shown} من أصل {count}',
+        'clients.searchLabel': 'ابحث بالاسم أو البريد الإلكتروني أو الهاتف',
+        'clients.searchPlaceholder': 'ابحث بالاسم أو البريد الإلكتروني أو الهاتف...',
+        'clients.searchHint': 'اكتب لتصفية العملاء بالاسم أو البريد الإلكتروني أو رقم الهاتف',
+        'clients.exportBackup': 'تصدير نسخة احتياطية',
+        'clients.exportBackupHint': 'تنزيل كل العملاء في نسخة احتياطية بصيغة JSON',
+        'clients.importBackup': 'استيراد نسخة احتياطية',
+        'clients.importBackupHint': 'استعادة العملاء من نسخة احتياطية بصيغة JSON',
+        'clients.exportCsv': 'تصدير CSV',
+        'clients.exportCsvHint': 'تنزيل العملاء المطابقين للبحث وعوامل التصفية الحالية بصيغة CSV',
+        'clients.importCsv': 'استيراد CSV',
+        'clients.importCsvHint': 'إضافة عملاء من ملف CSV',
+        'clients.findDuplicates': 'البحث عن التكرارات',
+        'clients.findDuplicatesHint': 'ابحث عن العملاء المسجلين مرتين وادمجهم',
+        'clients.trash': 'المحذوفات',
+        'clients.trashCount': 'المحذوفات ({count})',
+        'clients.trashHint': 'يمكن استعادة العملاء المحذوفين من هنا',
+        'clients.sync': 'المزامنة',
+        'clients.syncHint': 'مشاركة العملاء مع أجهزة أخرى عبر خادم مزامنة',
+        'clients.syncConflicts': 'المزامنة ({count} تعارض)',
+        'clients.syncQueued': 'المزامنة ({count} بالانتظار)',
+        'clients.synced': 'تمت المزامنة',
+        'clients.addClient': '+ إضافة عميل',
+        'clients.filters': 'تصفية العملاء',
+        'clients.filterGoal': 'الهدف',
+        'clients.allGoals': 'كل الأهداف',
+        'clients.filterGender': 'الجنس',
+        'clients.allGenders': 'الكل',
+        'clients.ageFrom': 'العمر من',
+        'clients.ageTo': 'العمر إلى',
+        'clients.startedAfter': 'بدأ بعد',
+        'clients.startedBefore': 'بدأ قبل',
+        'clients.membership': 'الاشتراك',
+        'clients.allMemberships': 'كل الاشتراكات',
+        'clients.expiresWithin': 'ينتهي خلال (أيام)',
+        'clients.credits': 'رصيد الجلسات',
+        'clients.allClients': 'كل العملاء',
+        'clients.creditsOk': 'رصيد كافٍ',
+        'clients.creditsLow': 'رصيد منخفض',
+        'clients.creditsEmpty': 'نفد الرصيد',
+        'clients.creditsNone': 'بدون باقة',
+        'clients.trainer': 'المدرب',
+        'clients.allTrainers': 'كل المدربين',
+        'clients.myClients': 'عملائي',
+        'clients.customFrom': '{label} من',
+        'clients.customTo': '{label} إلى',
+        'clients.contains': 'يحتوي على...',
+        'clients.clearFilters': 'مسح عوامل التصفية',
+        'clients.emptyTitle': 'لا يوجد عملاء بعد',
+        'clients.emptyText': 'ابدأ بإضافة عميلك الأول.',
+        'clients.addFirst': 'أضف عميلك الأول',
+        'clients.loadDemo': 'تحميل بيانات تجريبية',
+        'clients.noResultsTitle': 'لا توجد نتائج',
+        'clients.noResultsText': 'لا يوجد عملاء يطابقون البحث وعوامل التصفية.',
+        'clients.clearSearch': 'مسح البحث وعوامل التصفية',
+        'clients.table': 'جدول العملاء',
+        'clients.colName': 'الاسم',
+        'clients.colStartDate': 'تاريخ البدء',
+        'clients.colCredits': 'الرصيد',
+        'clients.colActions': 'الإجراءات',
+        'clients.viewHint': 'عرض بيانات العميل',
+        'clients.editHint': 'تعديل العميل',
+        'clients.deleteHint': 'حذف العميل',
+        'clients.until': 'حتى {date}',
+        'clients.endsToday': 'ينتهي اليوم',
+        'clients.daysLeft': {
+            one: 'متبقٍ يوم واحد',
+            two: 'متبقٍ يومان',
+            few: 'متبقٍ {count} أيام',
+            other: 'متبقٍ {count} يومًا'
+        },
+        'clients.ended': 'انتهى في {date}',
+        'clients.pages': 'صفحات قائمة العملاء',
+        'clients.pageSize': 'عدد العملاء في الصفحة',
+        'clients.perPage': '{count} في الصفحة',
+        'clients.prev': '→ السابق',
+        'clients.next': 'التالي ←',
+        'clients.showing': 'عرض {from}–{to} من أصل {total}',
+        'clients.page': 'صفحة {page} من {pages}',
+        'clients.deleteConfirm': 'حذف "{name}"؟ يمكن استعادة العميل من المحذوفات خلال {days} يومًا.',
+        'clients.movedToTrash': 'نُقل العميل إلى المحذوفات',
+        'clients.deleteFailed': 'تعذّر حذف العميل',
+        'clients.demoLoaded': 'تم تحميل {count} من العملاء التجريبيين',
+        'clients.backupDownloaded': 'تم تنزيل نسخة احتياطية لـ {count} من العملاء',
+        'clients.noExport': 'لا يوجد عملاء للتصدير',
+        'clients.csvExported': 'تم تصدير {count} من العملاء إلى CSV',
+        'clients.csvUnreadable': 'تعذّرت قراءة ملف CSV',
+        'clients.csvEmpty': 'يجب أن يحتوي ملف CSV على صف عناوين وعميل واحد على الأقل',
+        'clients.csvNoRows': 'لا توجد صفوف صالحة للاستيراد',
+        'clients.csvImported': 'تم استيراد {count} من العملاء',
+        'clients.backupImported': 'تم الاستيراد: {added} مضاف، {merged} مدمج، {overwritten} مستبدل، {skipped} متجاوز',
+        'clients.backupFields': 'تمت إضافة {count} من الحقول المخصصة',
+        'clients.trashEmptied': 'تم حذف {count} من العملاء نهائيًا',
+        'clients.deletedForever': 'حُذف {name} نهائيًا',
+        'clients.restored': 'تمت استعادة {name}',
+        'clients.mergeMissing': 'أحد هؤلاء العملاء لم يعد موجودًا',
+        'clients.merged': 'تم الدمج في {name}',
+        'clients.duplicateOf': '{reasons} مع {name}',
+        'clients.duplicateOfMore': {
+            zero: '{reasons} مع {name}',
+            one: '{reasons} مع {name} وعميل آخر',
+            two: '{reasons} مع {name} وعميلين آخرين',
+            few: '{reasons} مع {name} و{count} عملاء آخرين',
+            many: '{reasons} مع {name} و{count} عميلًا آخر',
+            other: '{reasons} مع {name} و{count} عميل آخر'
+        },
+        'clients.possibleDuplicate': 'تكرار محتمل: {detail}',
+        'clients.mergeSame': 'اختر عميلين مختلفين للدمج',
+        'clients.mergeTitle': 'دمج العملاء',
+        'clients.mergeKeep': 'الاحتفاظ بسجل',
+        'clients.joined': 'انضم في {date}',
+        'clients.field': 'الحقل',
+        'clients.mergeIdentical': 'بيانات ملفيهما متطابقة.',
+        'clients.merge': 'دمج',
+        'clients.mergeSummary': 'سجل التدريب: {a} + {b} جلسة ← {merged}. سيُنقل سجل {name} إلى المحذوفات.',
+        'clients.mergeSummaryShared': 'سجل التدريب: {a} + {b} جلسة ← {merged} ({count} مسجلة في كليهما، احتُفظ بها مرة واحدة). سيُنقل سجل {name} إلى المحذوفات.',
+        'clients.duplicatesTitle': 'تكرارات محتملة',
+        'clients.duplicatesIntro': 'يشترك هؤلاء العملاء في بريد إلكتروني أو رقم هاتف، أو لهم أسماء متشابهة جدًا.',
+        'clients.duplicatePair': '{a} و{b}',
+        'clients.mergeEllipsis': 'دمج…',
+        'clients.noDuplicates': 'لم يتم العثور على عملاء مكررين.',
         
-        if (!response.ok) {
-            throw new Error(`API request failed with status ${response.status}`);
-        }
+        'clientView.membershipStart': 'بداية الاشتراك',
+        'clientView.membership': 'الاشتراك',
+        'clientView.credits': 'رصيد الجلسات',
+        'clientView.payments': 'المدفوعات',
+        'clientView.metrics': 'القياسات الجسدية',
+        'clientView.program': 'برنامج التدريب',
+        'clientView.sessions': 'الجلسات المجدولة',
+        'clientView.history': 'سجل التدريب',
+        'clientView.progress': 'التقدم',
+        'clientView.suggestions': 'تمارين مقترحة للجلسة القادمة',
+        'clientView.changeHistory': 'سجل التغييرات',
+        'clientView.deleteConfirm': 'حذف "{name}"؟ يمكن استعادة العميل من المحذوفات خلال {days} يومًا.',
+        'clientView.deleted': 'نُقل {name} إلى المحذوفات',
+        'clientView.deleteFailed': 'تعذّر حذف العميل',
+        'clientView.noClient': 'لم يُحدَّد عميل',
+        'clientView.noTemplates': 'أنشئ قالب برنامج أولًا',
+        'clientView.assignFailed': 'تعذّر تعيين البرنامج',
+        'clientView.assigned': 'تم تعيين {name}',
+        'clientView.programRemoved': 'تمت إزالة البرنامج',
+        'clientView.programRemoveFailed': 'تعذّرت إزالة البرنامج',
+        'clientView.noSessionsExport': 'لا توجد جلسات للتصدير',
+        'clientView.freezeRemoved': 'تمت إزالة التجميد',
+        'clientView.freezeRemoveFailed': 'تعذّرت إزالة التجميد',
+        'clientView.membershipFailed': 'تعذّر حفظ الاشتراك',
+        'clientView.membershipAdded': 'تمت إضافة الاشتراك!',
+        'clientView.membershipUpdated': 'تم تحديث الاشتراك!',
+        'clientView.membershipRenewed': 'تم تجديد الاشتراك!',
+        'clientView.freezeFailed': 'تعذّر تجميد الاشتراك',
+        'clientView.frozen': 'تم تجميد الاشتراك',
+        'clientView.packFailed': 'تعذّر بيع الباقة',
+        'clientView.packAdded': 'تمت إضافة باقة الجلسات!',
+        'clientView.creditsFailed': 'تعذّر تعديل الرصيد',
+        'clientView.creditsAdjusted': 'تم تعديل الرصيد',
+        'clientView.entryDeleted': 'تم حذف القيد',
+        'clientView.entryDeleteFailed': 'تعذّر حذف القيد',
+        'clientView.entryFailed': 'تعذّر حفظ القيد',
+        'clientView.paymentRecorded': 'تم تسجيل الدفعة!',
+        'clientView.chargeAdded': 'تمت إضافة الرسوم!',
+        'clientView.measurementErrors': 'يرجى تصحيح الأخطاء في القياس',
+        'clientView.measurementSaved': 'تم حفظ القياس!',
+        'clientView.measurementUpdated': 'تم تحديث القياس!',
+        'clientView.measurementFailed': 'تعذّر حفظ القياس',
+        'clientView.measurementDeleted': 'تم حذف القياس',
+        'clientView.measurementDeleteFailed': 'تعذّر حذف القياس',
+        'clientView.assessmentSaved': 'تم حفظ التقييم!',
+        'clientView.assessmentFailed': 'تعذّر حفظ التقييم',
+        'clientView.sessionErrors': 'يرجى تصحيح الأخطاء في الجلسة',
+        'clientView.exerciseUpdated': 'تم تحديث التمرين!',
+        'clientView.exerciseUpdateFailed': 'تعذّر تحديث التمرين',
+        'clientView.exerciseDeleted': 'تم حذف التمرين',
+        'clientView.exerciseDeleteFailed': 'تعذّر حذف التمرين',
+        'clientView.sessionLogged': 'تم تسجيل الجلسة!',
+        'clientView.sessionLoggedWarning': 'تم تسجيل الجلسة. {warning}.',
+        'clientView.personalRecord': '🏆 رقم قياسي شخصي جديد! {record}',
+        'clientView.logFailed': 'تعذّر تسجيل الجلسة',
+        'clientView.plan': 'الخطة',
+        'clientView.durationMonths': 'المدة (بالأشهر)',
+        'clientView.saveMembership': 'حفظ الاشتراك',
+        'clientView.addMembership': 'إضافة اشتراك',
+        'clientView.renewMembership': 'تجديد الاشتراك',
+        'clientView.freezeFrom': 'التجميد من',
+        'clientView.freezeUntil': 'التجميد حتى',
+        'clientView.freezeReasonPlaceholder': 'مثلًا: سفر، إصابة',
+        'clientView.freezeMembership': 'تجميد الاشتراك',
+        'clientView.adjust': 'تعديل',
+        'clientView.addPack': '+ بيع باقة',
+        'clientView.pack': 'الباقة',
+        'clientView.packSessions': 'الجلسات',
+        'clientView.sellPack': 'بيع الباقة',
+        'clientView.creditChange': 'الرصيد (+/−)',
+        'clientView.creditChangePlaceholder': 'مثلًا: ١ أو -١',
+        'clientView.creditNotePlaceholder': 'مثلًا: جلسة مجانية',
+        'clientView.saveAdjustment': 'حفظ التعديل',
+        'clientView.addCharge': '+ رسوم',
+        'clientView.addPayment': '+ دفعة',
+        'clientView.amount': 'المبلغ',
+        'clientView.method': 'طريقة الدفع',
+        'clientView.reference': 'المرجع',
+        'clientView.referencePlaceholder': 'مثلًا: رقم التحويل أو إيصال البطاقة',
+        'clientView.recordPayment': 'تسجيل الدفعة',
+        'clientView.saveCharge': 'إضافة الرسوم',
+        'clientView.addMeasurement': '+ إضافة قياس',
+        'clientView.noMeasurements': 'لا توجد قياسات بعد',
+        'clientView.noMeasurementsHint': 'سجّل الوزن أو نسبة الدهون أو المحيطات أو نبض الراحة لمتابعة التغيّرات.',
+        'clientView.measurements': 'القياسات',
+        'clientView.measurementNotesPlaceholder': 'مثلًا: القياس في الصباح',
+        'clientView.saveMeasurement': 'حفظ القياس',
+        'clientView.assessment': 'التقييم الأولي',
+        'clientView.assessmentDate': 'تاريخ التقييم',
+        'clientView.targetWeight': 'الوزن المستهدف (kg)',
+        'clientView.targetWeightLabel': 'الوزن المستهدف',
+        'clientView.assessmentNotes': 'ملاحظات التقييم',
+        'clientView.assessmentNotesPlaceholder': 'القوام، الإصابات، اختبارات اللياقة الأساسية...',
+        'clientView.saveAssessment': 'حفظ التقييم',
+        'clientView.changeProgram': 'تغيير البرنامج',
+        'clientView.endProgram': 'إنهاء البرنامج',
+        'clientView.programTemplate': 'البرنامج',
+        'clientView.assignProgram': 'تعيين البرنامج',
+        'clientView.manageTemplates': 'إدارة القوالب',
+        'clientView.exportIcsTitle': 'تنزيل جلسات هذا العميل كملف ‎.ics',
+        'clientView.openCalendar': 'فتح التقويم',
+        'clientView.logSession': '+ تسجيل جلسة',
+        'clientView.noHistory': 'لا يوجد سجل تدريب بعد',
+        'clientView.noHistoryHint': 'سجّل أول جلسة لهذا العميل.',
+        'clientView.sessionDate': 'تاريخ الجلسة',
+        'clientView.sessionTitle': 'عنوان الجلسة',
+        'clientView.sessionTitlePlaceholder': 'مثلًا: تمرين الجزء العلوي',
+        'clientView.exercisesPerformed': 'التمارين المنفّذة',
+        'clientView.addExerciseRow': '+ إضافة تمرين',
+        'clientView.sessionNotes': 'ملاحظات الجلسة',
+        'clientView.sessionNotesPlaceholder': 'كيف كانت الجلسة؟',
+        'clientView.saveSession': 'حفظ الجلسة',
+        'clientView.noProgress': 'لا توجد بيانات تقدّم بعد',
+        'clientView.noProgressHint': 'سجّل الجلسات أو قياسات الجسم لعرض الرسوم البيانية والأرقام القياسية.',
+        'clientView.volumeChart': 'حجم التدريب لكل جلسة (kg)',
+        'clientView.maxWeightChart': 'أقصى وزن (kg)',
+        'clientView.exercise': 'التمرين',
+        'clientView.frequencyChart': 'الجلسات في الأسبوع',
+        'clientView.bodyChart': 'قياسات الجسم',
+        'clientView.measurement': 'القياس',
+        'clientView.overTime': '{label} عبر الزمن',
+        'clientView.chartTarget': 'الهدف {value}',
+        'clientView.personalRecords': 'الأرقام القياسية الشخصية',
+        'clientView.record.weight': '{exercise}: أثقل حمل {value} kg',
+        'clientView.record.volume': '{exercise}: أفضل حجم تدريب {value} kg',
+        'clientView.record.distance': '{exercise}: أطول مسافة {value} km',
+        'clientView.suggestionsFrom': '٥ تمارين من',
+        'clientView.suggestionsMatched': '، مختارة حسب هدف العميل',
+        'clientView.suggestionsLoading': 'جارٍ جلب ٥ تمارين من Wger API...',
+        'clientView.suggestionsFailed': '⚠️ تعذّر تحميل التمارين المقترحة الآن.',
+        'clientView.backToList': '→ العودة إلى قائمة العملاء',
+        'clientView.changesRecorded': {
+            zero: 'لا تغييرات مسجلة',
+            one: 'تغيير واحد مسجل',
+            two: 'تغييران مسجلان',
+            few: '{count} تغييرات مسجلة',
+            many: '{count} تغييرًا مسجلًا',
+            other: '{count} تغيير مسجل'
+        },
+        'clientView.noChanges': 'لم تُسجَّل أي تغييرات بعد.',
+        'clientView.when': 'الوقت',
+        'clientView.who': 'بواسطة',
+        'clientView.change': 'التغيير',
+        'clientView.showFewer': 'عرض أقل',
+        'clientView.showAllChanges': 'عرض كل التغييرات ({count})',
+        'clientView.noNotes': 'لا توجد ملاحظات',
+        'clientView.loggedBy': 'سجّلها {name}',
+        'clientView.previousBest': 'الأفضل السابق: {value}',
+        'clientView.prBadge': 'رقم قياسي',
+        'clientView.editEntry': 'تعديل هذا الإدخال',
+        'clientView.deleteEntry': 'حذف هذا الإدخال',
+        'clientView.freeze': 'تجميد',
+        'clientView.renew': 'تجديد',
+        'clientView.addMembershipBtn': '+ إضافة اشتراك',
+        'clientView.noMembership': 'لا يوجد اشتراك',
+        'clientView.noMembershipHint': 'أضف خطة لتتبع تاريخ الانتهاء والتجميد والتجديدات.',
+        'clientView.daysLeft': {
+            zero: 'لم يتبقَّ أي يوم',
+            one: 'متبقٍ يوم واحد',
+            two: 'متبقٍ يومان',
+            few: 'متبقٍ {count} أيام',
+            many: 'متبقٍ {count} يومًا',
+            other: 'متبقٍ {count} يوم'
+        },
+        'clientView.endsToday': 'ينتهي اليوم — حان وقت التجديد',
+        'clientView.endsIn': {
+            zero: 'ينتهي اليوم — حان وقت التجديد',
+            one: 'ينتهي خلال يوم واحد — حان وقت التجديد',
+            two: 'ينتهي خلال يومين — حان وقت التجديد',
+            few: 'ينتهي خلال {count} أيام — حان وقت التجديد',
+            many: 'ينتهي خلال {count} يومًا — حان وقت التجديد',
+            other: 'ينتهي خلال {count} يوم — حان وقت التجديد'
+        },
+        'clientView.expiredAgo': {
+            zero: 'انتهى اليوم',
+            one: 'انتهى منذ يوم واحد',
+            two: 'انتهى منذ يومين',
+            few: 'انتهى منذ {count} أيام',
+            many: 'انتهى منذ {count} يومًا',
+            other: 'انتهى منذ {count} يوم'
+        },
+        'clientView.frozenUntil': 'مجمّد حتى {date}',
+        'clientView.planMonths': {
+            zero: '{plan} · ٠ شهر',
+            one: '{plan} · شهر واحد',
+            two: '{plan} · شهران',
+            few: '{plan} · {count} أشهر',
+            many: '{plan} · {count} شهرًا',
+            other: '{plan} · {count} شهر'
+        },
+        'clientView.period': 'المدة',
+        'clientView.freezesHeading': {
+            zero: 'فترات التجميد',
+            one: 'فترات التجميد (أُضيف يوم واحد إلى تاريخ الانتهاء)',
+            two: 'فترات التجميد (أُضيف يومان إلى تاريخ الانتهاء)',
+            few: 'فترات التجميد (أُضيفت {count} أيام إلى تاريخ الانتهاء)',
+            many: 'فترات التجميد (أُضيف {count} يومًا إلى تاريخ الانتهاء)',
+            other: 'فترات التجميد (أُضيف {count} يوم إلى تاريخ الانتهاء)'
+        },
+        'clientView.renewalHistory': 'سجل التجديدات',
+        'clientView.freezes': 'التجميد',
+        'clientView.days': {
+            zero: '٠ يوم',
+            one: 'يوم واحد',
+            two: 'يومان',
+            few: '{count} أيام',
+            many: '{count} يومًا',
+            other: '{count} يوم'
+        },
+        'clientView.creditsBadge': 'الأرصدة: {label}',
+        'clientView.sessionsLeft': {
+            zero: 'لم تتبقَّ أي جلسة',
+            one: 'متبقية جلسة واحدة',
+            two: 'متبقية جلستان',
+            few: 'متبقية {count} جلسات',
+            many: 'متبقية {count} جلسة',
+            other: 'متبقية {count} جلسة'
+        },
+        'clientView.noPack': 'لا توجد باقة جلسات',
+        'clientView.noPackHint': 'بِع باقة جلسات. ستستهلك كل جلسة مسجلة أو محضورة رصيدًا واحدًا.',
+        'clientView.creditsLeft': 'الرصيد المتبقي',
+        'clientView.packsBought': 'الباقات المشتراة',
+        'clientView.sessionsTotal': {
+            zero: 'لا جلسات',
+            one: 'جلسة واحدة إجمالًا',
+            two: 'جلستان إجمالًا',
+            few: '{count} جلسات إجمالًا',
+            many: '{count} جلسة إجمالًا',
+            other: '{count} جلسة إجمالًا'
+        },
+        'clientView.creditsUsed': 'الرصيد المستخدم',
+        'clientView.creditHistory': 'سجل الرصيد',
+        'clientView.details': 'التفاصيل',
+        'clientView.balance': 'الرصيد',
+        'clientView.balanceDue': 'المبلغ المستحق: {amount}',
+        'clientView.inCredit': 'رصيد دائن: {amount}',
+        'clientView.allPaid': 'تم السداد بالكامل',
+        'clientView.noLedger': 'لا توجد رسوم أو مدفوعات',
+        'clientView.noLedgerHint': 'تُسجَّل رسوم الاشتراكات وباقات الجلسات هنا تلقائيًا. سجّل المدفوعات عند استلامها.',
+        'clientView.ledgerStatus.paid': 'مدفوع',
+        'clientView.ledgerStatus.partial': 'مدفوع جزئيًا',
+        'clientView.ledgerStatus.unpaid': 'غير مدفوع',
+        'clientView.invoice': 'فاتورة',
+        'clientView.receipt': 'إيصال',
+        'clientView.charged': 'إجمالي الرسوم',
+        'clientView.paid': 'المدفوع',
+        'clientView.outstanding': 'المستحق',
+        'clientView.number': 'الرقم',
+        'clientView.charge': 'رسوم',
+        'clientView.payment': 'دفعة',
+        'clientView.paymentPlaceholder': 'دفعة مستلمة',
+        'clientView.chargePlaceholder': 'مثال: خطة تغذية، جلسة إضافية',
+        'clientView.sessionsSummary': 'قادمة {upcoming} · حضور {attended} · غياب {noShow} · ملغاة {cancelled}',
+        'clientView.noUpcoming': 'لا توجد جلسات قادمة',
+        'clientView.noUpcomingHint': 'جدول جلسة أو موعدًا أسبوعيًا من التقويم.',
+        'clientView.weekly': 'أسبوعية',
+        'clientView.moreInCalendar': 'و{count} أخرى في {calendar}.',
+        'clientView.calendarLink': 'التقويم',
+        'clientView.noProgram': 'لا يوجد برنامج معيّن',
+        'clientView.noProgramHint': 'عيّن برنامجًا متعدد الأسابيع لتخطيط جلسات هذا العميل.',
+        'clientView.programStarts': 'يبدأ في {date}',
+        'clientView.programWeek': 'الأسبوع {week} من {weeks}',
+        'clientView.programFinished': 'انتهى في {date}',
+        'clientView.programSummary': '{name} · {when} · سُجّلت {logged} من {due} جلسة مخططة',
+        'clientView.todayPlanned': 'تمرين اليوم المخطط · الأسبوع {week}',
+        'clientView.logged': 'مسجّل',
+        'clientView.logThisSession': 'تسجيل هذه الجلسة',
+        'clientView.programStartsOn': 'يبدأ البرنامج في {date}.',
+        'clientView.restDay': 'اليوم يوم راحة.',
+        'clientView.programComplete': 'اكتمل هذا البرنامج. عيّن برنامجًا جديدًا لمواصلة تخطيط الجلسات.',
+        'clientView.nextWorkout': 'التالي: {title} يوم {day}، {date}.',
+        'clientView.comingUp': 'القادم',
+        'clientView.weekExercises': {
+            zero: 'الأسبوع {week} · لا تمارين',
+            one: 'الأسبوع {week} · تمرين واحد',
+            two: 'الأسبوع {week} · تمرينان',
+            few: 'الأسبوع {week} · {count} تمارين',
+            many: 'الأسبوع {week} · {count} تمرينًا',
+            other: 'الأسبوع {week} · {count} تمرين'
+        },
+        'clientView.endProgramConfirm': 'إزالة برنامج "{program}" من {name}؟ ستبقى الجلسات المسجلة.',
+        'clientView.removeFreezeConfirm': 'إزالة فترة التجميد هذه؟ سيعود تاريخ انتهاء الاشتراك إلى ما كان عليه.',
+        'clientView.deleteLedgerConfirm': 'حذف هذا القيد؟ لن يُعاد استخدام رقم الفاتورة أو الإيصال الخاص به.',
+        'clientView.weekSessions': {
+            zero: 'أسبوع {date}: لا جلسات',
+            one: 'أسبوع {date}: جلسة واحدة',
+            two: 'أسبوع {date}: جلستان',
+            few: 'أسبوع {date}: {count} جلسات',
+            many: 'أسبوع {date}: {count} جلسة',
+            other: 'أسبوع {date}: {count} جلسة'
+        },
+        'clientView.heaviest': 'أثقل حمل',
+        'clientView.bestVolume': 'أفضل حجم',
+        'clientView.longest': 'أطول مسافة',
+        'clientView.noRecords': 'لا توجد أرقام قياسية بعد.',
+        'clientView.maxWeightFor': 'أقصى وزن في {exercise}',
+        'clientView.maxWeightEmpty': 'سجّل تمرينًا بحمل لعرض مخطط أقصى وزن.',
+        'clientView.bodyMetricEmpty': 'أضف قياسًا لعرض مخطط مقاييس الجسم.',
+        'clientView.noChangeSinceStart': 'لا تغيير منذ البداية',
+        'clientView.sinceStart': '{change} منذ البداية',
+        'clientView.metricsSummary': {
+            zero: 'لا قياسات',
+            one: 'قياس واحد · آخرها في {date}',
+            two: 'قياسان · آخرها في {date}',
+            few: '{count} قياسات · آخرها في {date}',
+            many: '{count} قياسًا · آخرها في {date}',
+            other: '{count} قياس · آخرها في {date}'
+        },
+        'clientView.onTrack': 'على المسار الصحيح',
+        'clientView.offTrack': 'خارج المسار',
+        'clientView.progressToTarget': 'التقدم نحو الهدف',
+        'clientView.progressCaption': 'قُطع {percent}٪ من الطريق نحو هدف {target}',
+        'clientView.setTargetHint': 'حدّد وزنًا مستهدفًا في التقييم الأولي لتتبع التقدم نحوه.',
+        'clientView.bmi': 'مؤشر كتلة الجسم',
+        'clientView.noAssessment': 'لم يُسجَّل أي تقييم بعد.',
+        'clientView.targetWeightTitle': 'الوزن المستهدف',
+        'clientView.deleteMeasurementConfirm': 'حذف قياس {date}؟',
+        'clientView.setsReps': 'المجموعات × التكرارات',
+        'clientView.totalVolume': 'الحجم الإجمالي: {value}',
+        'clientView.totalTime': 'الوقت الإجمالي: {value}',
+        'clientView.exerciseName': 'اسم التمرين',
+        'clientView.loadUnit': 'وحدة الحمل',
+        'clientView.minPlaceholder': 'دقيقة',
+        'clientView.durationAria': 'المدة بالدقائق',
+        'clientView.kmPlaceholder': 'km',
+        'clientView.distanceAria': 'المسافة بالكيلومتر',
+        'clientView.rpeAria': 'معدل الجهد المُدرَك (١-١٠)',
+        'clientView.removeRow': 'إزالة صف التمرين',
+        'clientView.deleteEntryConfirm': 'حذف إدخال "{title}" بتاريخ {date}؟',
+        'clientView.progressSummary': '{sessions} · {recent} في آخر ٣٠ يومًا · {records}',
+        'clientView.sessionCount': {
+            zero: 'لا جلسات',
+            one: 'جلسة واحدة',
+            two: 'جلستان',
+            few: '{count} جلسات',
+            many: '{count} جلسة',
+            other: '{count} جلسة'
+        },
+        'clientView.recordCount': {
+            zero: 'لا أرقام قياسية',
+            one: 'رقم قياسي واحد',
+            two: 'رقمان قياسيان',
+            few: '{count} أرقام قياسية',
+            many: '{count} رقمًا قياسيًا',
+            other: '{count} رقم قياسي'
+        },
+        'clientView.volumeEmpty': 'سجّل المجموعات والتكرارات والحمل لعرض مخطط حجم التدريب.',
         
-        const data = await response.json();
-        console.log('Wger API: received', data.results?.length || 0, 'exercises');
-        
-        // Process ALL API results - extract: name, category, description
-        const allExercises = [];
-        
-        if (data.results && Array.isArray(data.results)) {
-            for (const ex of data.results) {
-                // Get name and description from translations array
-                // Look for English translation (language id 2)
-                let name = '';
-                let description = '';
-                
-                if (ex.translations && Array.isArray(ex.translations)) {
-                    // Find English translation
-                    const englishTrans = ex.translations.find(t => t.language === 2);
-                    if (englishTrans) {
-                        name = (englishTrans.name || '').trim();
-                        description = englishTrans.description || '';
-                    }
-                    // If no English, try first available translation
-                    if (!name && ex.translations.length > 0) {
-                        name = (ex.translations[0].name || '').trim();
-                        description = ex.translations[0].description || '';
-                    }
-                }
-                
-                // Skip if no name
-                if (!name) continue;
-                
-                // Process description
-                if (description) {
-                    description = stripHtml(description).substring(0, 200);
-                } else {
-                    description = 'A great exercise for your fitness routine.';
-                }
-                
-                // Get category name
-                let categoryName = null;
-                if (ex.category && typeof ex.category === 'object' && ex.category.name) {
-                    categoryName = ex.category.name;
-                }
-                
-                allExercises.push({
-                    name: name,
-                    category: categoryName,
-                    description: description
-                });
-            }
-        }
+        'sync.conflicts': '{count} من العملاء تغيّروا هنا وعلى جهاز آخر',
+        'sync.pulled': 'تم تحديث {count} من العملاء من جهاز آخر',
+        'sync.customFields': 'حُدّثت الحقول المخصصة من جهاز آخر',
+        'sync.resolve': 'حل التعارض',
+        'sync.refresh': 'تحديث',
+        'sync.done': 'أُرسل {pushed} من التغييرات واستُلم {pulled}',
+        'sync.on': 'المزامنة مفعّلة',
+        'sync.onFailed': 'المزامنة مفعّلة، لكن أول مزامنة فشلت: {error}',
+        'sync.off': 'المزامنة متوقفة',
+        'sync.keptLocal': 'تم الاحتفاظ بنسخة هذا الجهاز',
+        'sync.keptRemote': 'تم الاحتفاظ بنسخة الجهاز الآخر',
+        'sync.timeout': 'لم يستجب خادم المزامنة في الوقت المحدد',
+        'sync.unreachable': 'تعذّر الوصول إلى خادم المزامنة على {endpoint}',
+        'sync.requestFailed': 'تعذّر طلب المزامنة (الحالة {status})',
+        'sync.notSetUp': 'المزامنة غير مُعدّة',
+        'sync.offlineQueued': 'أنت غير متصل؛ التغييرات في الانتظار حتى يعود الاتصال',
+        'sync.alreadyResolved': 'تم حل هذا التعارض بالفعل',
+        'sync.conflictsTitle': 'تعارضات المزامنة',
+        'sync.conflictsIntro': 'تم تغيير هؤلاء العملاء على هذا الجهاز وعلى جهاز آخر قبل أن تتم مزامنتهم. احتفظ بنسخة واحدة لكل منهم؛ وستُستبدل الأخرى.',
+        'sync.noConflicts': 'لا توجد تعارضات في المزامنة.',
+        'sync.deleted': 'محذوف',
+        'sync.purgedHere': 'حُذف نهائيًا على هذا الجهاز',
+        'sync.purgedElsewhere': 'حُذف نهائيًا على جهاز آخر',
+        'sync.changedBoth': 'تغيّر هنا في {here} وعلى جهاز آخر في {elsewhere}',
+        'sync.keepLocal': 'الاحتفاظ بنسخة هذا الجهاز',
+        'sync.keepRemote': 'الاحتفاظ بنسخة الجهاز الآخر',
+        'sync.thisDevice': 'هذا الجهاز',
+        'sync.otherDevice': 'الجهاز الآخر',
         
-        // If we got exercises from API, shuffle and pick 5 random ones
-        if (allExercises.length > 0) {
-            // Shuffle the array using Fisher-Yates algorithm for true randomness
-            const shuffled = shuffleArray([...allExercises]);
-            
-            // Select 5 unique random exercises
-            const selectedExercises = shuffled.slice(0, limit);
-            
-            console.log(`Wger API: Randomly selected ${selectedExercises.length} exercises from ${allExercises.length} available`);
-            return { success: true, exercises: selectedExercises };
-        }
+        'credits.low': 'تبقّى لدى {name} {count} فقط من رصيد الجلسات',
+        'credits.owes': 'نفد رصيد {name} وعليه {count} من الجلسات',
+        'credits.lastUsed': 'استخدم {name} آخر رصيد جلسات لديه',
         
-        // If no valid exercises, use fallback
-        console.log('Wger API: No valid exercises, using fallback');
-        throw new Error('No valid exercises returned from API');
+        'invoice.notFound': 'الفاتورة غير موجودة',
         
-    } catch (error) {
-        console.error('Error fetching exercises from Wger API:', error);
-        // Return shuffled fallback exercises
-        const fallbackExercises = shuffleArray(getFallbackExercises(goal)).slice(0, limit);
-        return { 
-            success: false, 
-            exercises: fallbackExercises,
-            error: 'Unable to load suggested exercises right now.'
-        };
+        'measurement.weightKg': 'الوزن',
+        'measurement.heightCm': 'الطول',
+        'measurement.bodyFatPct': 'نسبة الدهون',
+        'measurement.waistCm': 'الخصر',
+        'measurement.hipsCm': 'الورك',
+        'measurement.chestCm': 'الصدر',
+        'measurement.armCm': 'الذراع',
+        'measurement.thighCm': 'الفخذ',
+        'measurement.restingHeartRate': 'نبض الراحة',
+        
+        'exercise.sets': 'المجموعات',
+        'exercise.reps': 'التكرارات',
+        'exercise.weight': 'الحمل',
+        'exercise.durationMinutes': 'المدة',
+        'exercise.distanceKm': 'المسافة',
+        'exercise.rpe': 'مستوى الجهد',
+        
+        'audit.missing': 'هذا التغيير لم يعد في سجل التغييرات',
+        'audit.pruned': 'لم يعد من الممكن التراجع عن هذا التغيير',
+        'audit.changedSince': 'تغيّر {name} منذ ذلك الحين؛ تراجع عن التغييرات اللاحقة أولًا',
+        
+        'dashboard.title': 'لوحة التحكم',
+        'dashboard.trends': 'الاتجاهات',
+        'dashboard.churn': 'خطر الانقطاع',
+        'dashboard.renewals': 'التجديدات القادمة',
+        'dashboard.signups': 'المشتركون الجدد شهريًا',
+        'dashboard.signupsLabel': 'العملاء الجدد في كل شهر',
+        'dashboard.signupsTitle': '{month}: {count} من العملاء الجدد',
+        'dashboard.sessions': 'الجلسات المسجلة أسبوعيًا',
+        'dashboard.sessionsLabel': 'الجلسات المسجلة في كل أسبوع',
+        'dashboard.sessionsTitle': 'أسبوع {date}: {count} من الجلسات',
+        'dashboard.goals': 'توزيع الأهداف',
+        'dashboard.goalsLabel': 'العملاء حسب هدف اللياقة',
+        'dashboard.goalsTitle': '{goal}: {count} من العملاء ({percent}٪)',
+        'calendar.title': 'التقويم',
+        'calendar.schedule': 'جدولة جلسة',
+        'calendar.sessionNotFound': 'الجلسة غير موجودة',
+        'calendar.sessionUpdated': 'تم تحديث الجلسة!',
+        'calendar.sessionScheduled': 'تمت جدولة الجلسة!',
+        'calendar.weeklyScheduled': 'تمت جدولة {count} من الجلسات الأسبوعية!',
+        'calendar.updateFailed': 'تعذّر تحديث الجلسة',
+        'calendar.attendedWarning': 'سُجّل الحضور. {warning}.',
+        'calendar.attendedLogged': 'سُجّل الحضور وأُضيف إلى سجل {name}',
+        'calendar.marked.attended': 'سُجّل الحضور',
+        'calendar.marked.no-show': 'سُجّل الغياب',
+        'calendar.marked.cancelled': 'سُجّل الإلغاء',
+        'calendar.marked.scheduled': 'أُعيدت إلى المجدولة',
+        'calendar.sessionDeleted': 'تم حذف الجلسة',
+        'calendar.sessionsDeleted': 'تم حذف الجلسات',
+        'calendar.deleteFailed': 'تعذّر حذف الجلسة',
+        'calendar.noEvents': 'لا توجد مواعيد في الملف',
+        'calendar.nothingToImport': 'لا توجد مواعيد للاستيراد',
+        'calendar.imported': 'اكتمل الاستيراد: {added} مضاف، {updated} محدَّث، {skipped} متجاوز',
+        'calendar.icsExported': 'تم تصدير {count} من الجلسات إلى ‎.ics',
+        'calendar.icsUnreadable': 'تعذّرت قراءة ملف التقويم',
+        'calendar.addSession': '+ جدولة جلسة',
+        'calendar.client': 'العميل',
+        'calendar.day': 'يوم',
+        'calendar.week': 'أسبوع',
+        'calendar.month': 'شهر',
+        'calendar.today': 'اليوم',
+        'calendar.viewLabel': 'عرض التقويم',
+        'calendar.previous': 'السابق',
+        'calendar.next': 'التالي',
+        'calendar.startTime': 'وقت البدء',
+        'calendar.duration': 'المدة (بالدقائق)',
+        'calendar.sessionTitle': 'العنوان',
+        'calendar.titlePlaceholder': 'مثلًا: تدريب شخصي',
+        'calendar.location': 'المكان',
+        'calendar.locationPlaceholder': 'مثلًا: الصالة الرئيسية، الاستوديو ٢',
+        'calendar.repeat': 'التكرار أسبوعيًا لمدة (أسابيع)',
+        'calendar.saveSession': 'حفظ الجلسة',
+        'calendar.importIcs': 'استيراد ‎.ics',
+        'calendar.importIcsTitle': 'إضافة الجلسات أو تحديثها من ملف ‎.ics',
+        'calendar.exportIcsTitle': 'تنزيل جلسات العميل المحدد، أو جلسات جميع العملاء، كملف ‎.ics',
+        'calendar.chooseClient': 'اختر عميلًا...',
+        'calendar.overlapsAnother': 'يتداخل مع جلسة أخرى',
+        'calendar.noSessions': 'لا توجد جلسات',
+        'calendar.noSessionsHint': 'لا شيء مجدول في هذا اليوم.',
+        'calendar.editSession': 'تعديل الجلسة — {name}',
+        'calendar.conflictTitle': 'تعارض في المواعيد',
+        'calendar.conflictIntro': {
+            zero: 'هذا الوقت لا يتداخل مع أي جلسة محجوزة:',
+            one: 'هذا الوقت يتداخل مع جلسة محجوزة:',
+            two: 'هذا الوقت يتداخل مع جلستين محجوزتين:',
+            few: 'هذا الوقت يتداخل مع {count} جلسات محجوزة:',
+            many: 'هذا الوقت يتداخل مع {count} جلسة محجوزة:',
+            other: 'هذا الوقت يتداخل مع {count} جلسة محجوزة:'
+        },
+        'calendar.changeTime': 'تغيير الوقت',
+        'calendar.scheduleAnyway': 'الجدولة على أي حال',
+        'calendar.markAttended': 'حضر',
+        'calendar.markNoShow': 'لم يحضر',
+        'calendar.cancelSession': 'إلغاء الجلسة',
+        'calendar.markScheduled': 'تعيين كمجدولة',
+        'calendar.trainingSession': 'جلسة تدريب',
+        'calendar.time': 'الوقت',
+        'calendar.timeRange': '{start}–{end} ({minutes} min)',
+        'calendar.repeats': 'التكرار',
+        'calendar.repeatsWeekly': 'أسبوعيًا',
+        'calendar.deleteConfirm': 'حذف الجلسة مع {name} بتاريخ {date}؟',
+        'calendar.deleteRecurringTitle': 'حذف جلسة متكررة',
+        'calendar.deleteRecurringMessage': 'تتكرر هذه الجلسة أسبوعيًا. هل تريد حذف هذه الجلسة فقط، أم هذه الجلسة وكل الجلسات المجدولة بعدها في السلسلة؟',
+        'calendar.thisSession': 'هذه الجلسة',
+        'calendar.thisAndLater': 'هذه وما بعدها',
+        'calendar.matchedClient': 'عميل FitCRM',
+        'calendar.matchedEmail': 'البريد الإلكتروني',
+        'calendar.matchedName': 'الاسم',
+        'calendar.matchedBy': '(مطابقة حسب {match})',
+        'calendar.importTitle': 'استيراد جلسات من ‎.ics',
+        'calendar.importUpdates': {
+            zero: 'لا أحداث تُحدِّث جلسات موجودة.',
+            one: 'حدث واحد يُحدِّث جلسات موجودة.',
+            two: 'حدثان يُحدِّثان جلسات موجودة.',
+            few: '{count} أحداث تُحدِّث جلسات موجودة.',
+            many: '{count} حدثًا يُحدِّث جلسات موجودة.',
+            other: '{count} حدث يُحدِّث جلسات موجودة.'
+        },
+        'calendar.importChooseClient': 'اختر عميلًا لأي حدث تعذّرت مطابقته.',
+        'calendar.importable': 'يمكن استيراد {count} من {total} حدث',
+        'calendar.untitledEvent': 'حدث بلا عنوان',
+        'calendar.updatesExisting': 'يُحدِّث جلسة موجودة',
+        'calendar.clientForEvent': 'العميل للحدث {index}',
+        'calendar.skipEvent': 'تخطي هذا الحدث',
+        'calendar.willSkip': {
+            zero: 'لن يُتخطّى أي حدث',
+            one: 'سيُتخطّى حدث واحد',
+            two: 'سيُتخطّى حدثان',
+            few: 'ستُتخطّى {count} أحداث',
+            many: 'سيُتخطّى {count} حدثًا',
+            other: 'سيُتخطّى {count} حدث'
+        },
+        'calendar.eventNumber': 'الحدث {index}',
+        'calendar.importSessions': 'استيراد الجلسات',
+        'library.title': 'مكتبة التمارين',
+        'library.exerciseAdded': 'تمت إضافة التمرين المخصص!',
+        'library.exerciseUpdated': 'تم تحديث التمرين!',
+        'library.exerciseDeleted': 'تم حذف التمرين',
+        'library.deleteFailed': 'تعذّر حذف التمرين',
+        'library.catalogUpdated': 'تم تحديث دليل التمارين',
+        'library.exercises': 'تمرين',
+        'library.countFiltered': '{shown} من {count}',
+        'library.addCustom': '+ إضافة تمرين مخصص',
+        'library.search': 'البحث في التمارين',
+        'library.searchPlaceholder': 'ابحث بالاسم أو الفئة أو العضلة أو المعدات...',
+        'library.filtersLabel': 'تصفية التمارين',
+        'library.category': 'الفئة',
+        'library.muscle': 'العضلة',
+        'library.equipment': 'المعدات',
+        'library.source': 'المصدر',
+        'library.allSources': 'كل المصادر',
+        'library.custom': 'مخصص',
+        'library.clearFilters': 'مسح عوامل التصفية',
+        'library.clearSearch': 'مسح البحث وعوامل التصفية',
+        'library.noResults': 'لم يتم العثور على تمارين',
+        'library.noResultsHint': 'لا توجد تمارين تطابق البحث وعوامل التصفية.',
+        'library.pagesLabel': 'صفحات مكتبة التمارين',
+        'library.prev': '→ السابق',
+        'library.next': 'التالي ←',
+        'library.loadingCatalog': 'جارٍ تحميل الكتالوج...',
+        'library.catalogDate': 'آخر تحديث لكتالوج Wger في {date}',
+        'library.catalogMissing': 'لم يتم تنزيل كتالوج Wger بعد',
+        'library.showingSaved': '{error} يتم عرض النسخة المحفوظة في {date}.',
+        'library.showingBuiltIn': '{error} يتم عرض قائمة مدمجة صغيرة إلى أن يمكن تنزيل الكتالوج.',
+        'library.refresh': 'تحديث الكتالوج',
+        'library.refreshing': 'جارٍ التحديث...',
+        'library.refreshTitle': 'تنزيل أحدث التمارين من Wger',
+        'library.requestFailed': 'تعذّر طلب الواجهة البرمجية (الحالة {status})',
+        'library.noExercisesReturned': 'لم تُرجع الواجهة البرمجية أي تمارين صالحة',
+        'library.unreachable': 'تعذّر الوصول إلى قاعدة بيانات تمارين Wger.',
+        'library.suggestionsFailed': 'تعذّر تحميل التمارين المقترحة الآن.',
+        'library.bodyweight': 'وزن الجسم',
+        'library.suggestionReason': '{reasons} لهدف {goal}',
+        'library.allCategories': 'كل الفئات',
+        'library.allMuscles': 'كل العضلات',
+        'library.allEquipment': 'كل المعدات',
+        'library.noDescription': 'لا يوجد وصف.',
+        'library.primaryMuscles': 'العضلات الأساسية',
+        'library.secondaryMuscles': 'العضلات الثانوية',
+        'library.viewOnWger': 'عرض على Wger',
+        'library.name': 'الاسم',
+        'library.categoryPlaceholder': 'مثال: الأرجل',
+        'library.muscles': 'العضلات',
+        'library.musclesPlaceholder': 'مفصولة بفواصل، مثال: Quadriceps, Glutes',
+        'library.equipmentPlaceholder': 'مفصولة بفواصل، مثال: Kettlebell',
+        'library.imageUrl': 'رابط الصورة',
+        'library.editCustom': 'تعديل تمرين مخصص',
+        'library.addCustomTitle': 'إضافة تمرين مخصص',
+        'library.addExercise': 'إضافة تمرين',
+        'library.deleteConfirm': 'حذف التمرين المخصص "{name}"؟ ستحتفظ الجلسات السابقة باسم التمرين.',
+        'programs.title': 'قوالب البرامج',
+        'programs.builder': 'قالب جديد',
+        'programs.created': 'تم إنشاء القالب!',
+        'programs.updated': 'تم تحديث القالب!',
+        'programs.deleted': 'تم حذف القالب',
+        'programs.deleteFailed': 'تعذّر حذف القالب',
+        'programs.subtitle': 'خطط متعددة الأسابيع قابلة لإعادة الاستخدام. عيّنها لعميل من صفحة العميل.',
+        'programs.newTemplate': '+ قالب جديد',
+        'programs.editTemplate': 'تعديل {name}',
+        'programs.empty': 'لا توجد قوالب برامج',
+        'programs.emptyHint': 'أنشئ قالبًا بأيام التدريب وعدد المجموعات والتكرارات المستهدفة.',
+        'programs.name': 'اسم البرنامج',
+        'programs.namePlaceholder': 'مثلًا: تضخيم لمدة ٤ أسابيع',
+        'programs.weeks': 'الأسابيع',
+        'programs.addDay': '+ إضافة يوم تدريب',
+        'programs.save': 'حفظ القالب',
+        'programs.weekCount': {
+            zero: '٠ أسبوع',
+            one: 'أسبوع واحد',
+            two: 'أسبوعان',
+            few: '{count} أسابيع',
+            many: '{count} أسبوعًا',
+            other: '{count} أسبوع'
+        },
+        'programs.daysPerWeek': {
+            zero: 'لا أيام تدريب',
+            one: 'يوم تدريب واحد في الأسبوع',
+            two: 'يوما تدريب في الأسبوع',
+            few: '{count} أيام تدريب في الأسبوع',
+            many: '{count} يوم تدريب في الأسبوع',
+            other: '{count} يوم تدريب في الأسبوع'
+        },
+        'programs.removeExercise': 'إزالة التمرين',
+        'programs.trainingDay': 'يوم التدريب',
+        'programs.dayOfWeek': 'يوم الأسبوع',
+        'programs.chooseDay': 'اختر...',
+        'programs.dayTitle': 'العنوان',
+        'programs.dayTitlePlaceholder': 'مثال: الجزء العلوي',
+        'programs.addExercise': '+ إضافة تمرين',
+        'programs.removeDay': 'إزالة اليوم',
+        'programs.deleteConfirm': 'حذف قالب "{name}"؟ سيحتفظ العملاء المسجلون في هذا البرنامج بخطتهم.',
+        'payments.title': 'ملخص الإيرادات',
+        'trainers.setup': 'إعداد حسابات المدربين',
+        'trainers.title': 'المدربون',
+        'trainers.added': 'تمت إضافة الحساب!',
+        'trainers.updated': 'تم تحديث الحساب!',
+        'trainers.removed': 'تمت إزالة {name}',
+        'trainers.unassigned': '{count} من العملاء بلا مدرب',
+        'trainers.missing': 'هذا الحساب لم يعد موجودًا',
+        'trainers.lastAdmin': 'يجب أن يكون هناك مسؤول واحد على الأقل',
+        'trainers.removeSelf': 'لا يمكنك حذف الحساب الذي سجّلت الدخول به',
+        'trainers.onlyRoles': 'هذا الإجراء متاح لحسابات {roles} فقط',
+        'settings.customFields': 'حقول العملاء المخصصة',
+        'settings.fieldAdded': 'تمت إضافة الحقل!',
+        'settings.fieldUpdated': 'تم تحديث الحقل!',
+        'settings.fieldDeleted': 'تم حذف الحقل',
+        'settings.backupNotJson': 'الملف ليس بصيغة JSON صالحة',
+        'settings.backupFormat': 'الملف ليس نسخة احتياطية من FitCRM',
+        'settings.backupNewer': 'أُنشئت النسخة الاحتياطية بإصدار أحدث من FitCRM',
+        
+        'value.Female': 'أنثى',
+        'value.Male': 'ذكر',
+        'value.Prefer not to say': 'أفضّل عدم الذكر',
+        'value.Weight Loss': 'إنقاص الوزن',
+        'value.Muscle Gain': 'بناء العضلات',
+        'value.General Fitness': 'لياقة عامة',
+        'value.Other': 'أخرى',
+        'value.Admin': 'مسؤول',
+        'value.Trainer': 'مدرب',
+        'value.Front Desk': 'الاستقبال',
+        'value.Active': 'نشط',
+        'value.Expiring Soon': 'ينتهي قريبًا',
+        'value.Expired': 'منتهٍ',
+        'value.Frozen': 'مجمّد',
+        'value.No Membership': 'بدون اشتراك',
+        'value.No Pack': 'بدون باقة',
+        'value.Same email': 'البريد الإلكتروني نفسه',
+        'value.Same phone number': 'رقم الهاتف نفسه',
+        'value.Similar name': 'اسم مشابه',
+        'value.Pack purchased': 'شراء باقة',
+        'value.Session logged': 'جلسة مسجلة',
+        'value.Session attended': 'حضور جلسة',
+        'value.Refund': 'استرداد',
+        'value.Adjustment': 'تعديل',
+        'value.Cash': 'نقدًا',
+        'value.Card': 'بطاقة',
+        'value.Bank Transfer': 'تحويل بنكي',
+        'value.Mobile Wallet': 'محفظة إلكترونية',
+        'value.Underweight': 'نقص الوزن',
+        'value.Healthy weight': 'وزن صحي',
+        'value.Overweight': 'زيادة الوزن',
+        'value.Obese': 'سمنة',
+        'value.Scheduled': 'مجدولة',
+        'value.Attended': 'حضر',
+        'value.No-show': 'لم يحضر',
+        'value.Cancelled': 'ملغاة'
     }
-}
+};
+
+// Resolved on first use; changing it reloads the page
+let currentLocale = null;
 
 /**
- * Shuffle an array using Fisher-Yates algorithm
- * @param {Array} array - Array to shuffle
- * @returns {Array} Shuffled array
+ * The language the app is shown in
+ * @returns {string} A LOCALES key
  */
-function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+function getLocale() {
+    if (!currentLocale) {
+        const saved = localStorage.getItem(LOCALE_KEY);
+        currentLocale = LOCALES[saved] ? saved : DEFAULT_LOCALE;
     }
-    return shuffled;
+    return currentLocale;
 }
 
-// Alias for backward compatibility
-async function fetchExercises(goal, limit = 5) {
-    const result = await fetchSuggestedExercises(goal, limit);
-    return result.exercises;
+/**
+ * Switch the app's language
+ * Pages render their text once, so callers reload the page afterwards.
+ * @param {string} locale - A LOCALES key
+ * @throws {Error} If the language is not supported
+ */
+function setLocale(locale) {
+    if (!LOCALES[locale]) {
+        throw new Error(`Unsupported language: ${locale}`);
+    }
+    localStorage.setItem(LOCALE_KEY, locale);
+    currentLocale = locale;
 }
 
 /**
- * Strip HTML tags from string
- * @param {string} html - HTML string
- * @returns {string} Plain text
+ * Intl locale for the current language (for dates and numbers)
+ * @returns {string} e.g. "ar-EG"
  */
-function stripHtml(html) {
-    const tmp = document.createElement('div');
-    tmp.innerHTML = html;
-    return tmp.textContent || tmp.innerText || '';
+function getIntlLocale() {
+    return LOCALES[getLocale()].intl;
 }
 
 /**
- * Get fallback exercises if API fails
- * @param {string} goal - Fitness goal
- * @returns {Array} Fallback exercises
+ * Translate a message
+ * `{name}` placeholders are filled from params; numbers are formatted for
+ * the language. Falls back to English, then to the key itself.
+ * @param {string} key - Message key, e.g. "validation.emailRequired"
+ * @param {Object} params - Placeholder values; `count` picks the plural form
+ * @returns {string} Translated text
  */
-function getFallbackExercises(goal) {
-    const exercises = {
-        'Weight Loss': [
-            { name: 'Jumping Jacks', description: 'Full body cardio exercise. Jump while spreading legs and raising arms overhead.' },
-            { name: 'Burpees', description: 'High-intensity exercise combining squat, plank, and jump.' },
-            { name: 'Mountain Climbers', description: 'Core and cardio exercise in plank position with alternating knee drives.' },
-            { name: 'High Knees', description: 'Running in place while lifting knees to hip level.' },
-            { name: 'Jump Rope', description: 'Classic cardio exercise for endurance and coordination.' }
-        ],
-        'Muscle Gain': [
-            { name: 'Push-ups', description: 'Upper body exercise targeting chest, shoulders, and triceps.' },
-            { name: 'Squats', description: 'Lower body exercise for quadriceps, hamstrings, and glutes.' },
-            { name: 'Lunges', description: 'Unilateral leg exercise for strength and balance.' },
-            { name: 'Plank', description: 'Isometric core exercise for stability and strength.' },
-            { name: 'Dumbbell Rows', description: 'Back exercise targeting lats and biceps.' }
-        ],
-        'General Fitness': [
-            { name: 'Walking', description: 'Low-impact cardio for overall health and endurance.' },
-            { name: 'Stretching', description: 'Flexibility exercises for mobility and injury prevention.' },
-            { name: 'Bodyweight Squats', description: 'Functional movement for lower body strength.' },
-            { name: 'Plank Hold', description: 'Core stability exercise for posture and strength.' },
-            { name: 'Arm Circles', description: 'Shoulder mobility and warm-up exercise.' }
-        ]
-    };
-    
-    return exercises[goal] || exercises['General Fitness'];
+function t(key, params = {}) {
+    let message = MESSAGES[getLocale()][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(getIntlLocale()).select(params.count ?? 0);
+        message = message[form] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return match;
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
 }
 
-// ============================================
-// Initialize Sample Data
-// ============================================
-
 /**
- * Initialize localStorage with sample clients if empty
+ * Label for a stored English value (goal, gender, role, status...)
+ * The stored value itself never changes with the language.
+ * @param {string} value - Stored value, e.g. "Weight Loss"
+ * @returns {string} Translated label, or the value when there is none
  */
-function initializeSampleData() {
-    const clients = getClients();
-    if (clients.length > 0) return; // Already has data
-    
-    const sampleClients = [
-        {
-            id: generateId(),
-            fullName: 'Sara Ahmed',
-            age: 28,
-            gender: 'Female',
-            email: 'sara.ahmed@example.com',
-            phone: '+20 10 1234 5678',
-            goal: 'Weight Loss',
-            goalText: '',
-            startDate: '2025-09-01',
-            createdAt: new Date().toISOString(),
-            exerciseHistory: [
-                { id: generateId(), date: '2025-09-12', title: 'HIIT Exercise', notes: 'High intensity interval training', tags: ['Burpees', 'Jump Rope', 'Mountain Climbers'] },
-                { id: generateId(), date: '2025-09-05', title: 'Initial Assessment – 30 min Cardio', notes: 'First cardio session', tags: ['Treadmill', 'Cycling'] },
-                { id: generateId(), date: '2025-08-28', title: 'Strength Training – Upper Body', notes: 'Focus on upper body strength', tags: ['Bench Press', 'Rows', 'Shoulder Press'] }
-            ]
-        },
-        {
-            id: generateId(),
-            fullName: 'Omar Hassan',
-            age: 32,
-            gender: 'Male',
-            email: 'omar.hassan@example.com',
-            phone: '+20 12 2345 6789',
-            goal: 'Muscle Gain',
-            goalText: '',
-            startDate: '2025-08-15',
-            createdAt: new Date().toISOString(),
-            exerciseHistory: [
-                { id: generateId(), date: '2025-09-10', title: 'HIIT Exercise', notes: 'High intensity circuit', tags: ['Burpees', 'Jump Rope', 'Mountain Climbers'] },
-                { id: generateId(), date: '2025-09-01', title: 'Initial Assessment – 30 min Cardio', notes: 'Baseline cardio test', tags: ['Treadmill', 'Cycling'] },
-                { id: generateId(), date: '2025-08-20', title: 'Strength Training – Upper Body', notes: 'Chest and shoulders focus', tags: ['Bench Press', 'Rows', 'Shoulder Press'] }
-            ]
-        },
-        {
-            id: generateId(),
-            fullName: 'Mariam Nabil',
-            age: 25,
-            gender: 'Female',
-            email: 'mariam.nabil@example.com',
-            phone: '+20 13 4567 8901',
-            goal: 'General Fitness',
-            goalText: '',
-            startDate: '2025-07-10',
-            createdAt: new Date().toISOString(),
-            exerciseHistory: [
-                { id: generateId(), date: '2025-08-15', title: 'HIIT Exercise', notes: 'Interval training session', tags: ['Burpees', 'Jump Rope', 'Mountain Climbers'] },
-                { id: generateId(), date: '2025-08-01', title: 'Initial Assessment – 30 min Cardio', notes: 'Cardio baseline', tags: ['Treadmill', 'Cycling'] },
-                { id: generateId(), date: '2025-07-20', title: 'Strength Training – Upper Body', notes: 'Upper body introduction', tags: ['Bench Press', 'Rows', 'Shoulder Press'] }
-            ]
-        },
-        {
-            id: generateId(),
-            fullName: 'Youssef Ali',
-            age: 29,
-            gender: 'Male',
-            email: 'youssef.ali@example.com',
-            phone: '+20 15 5566 6777',
-            goal: 'Muscle Gain',
-            goalText: '',
-            startDate: '2025-09-20',
-            createdAt: new Date().toISOString(),
-            exerciseHistory: [
-                { id: generateId(), date: '2025-10-15', title: 'HIIT Exercise', notes: 'High intensity workout', tags: ['Burpees', 'Jump Rope', 'Mountain Climbers'] },
-                { id: generateId(), date: '2025-10-05', title: 'Initial Assessment – 30 min Cardio', notes: 'First cardio evaluation', tags: ['Treadmill', 'Cycling'] },
-                { id: generateId(), date: '2025-09-25', title: 'Strength Training – Upper Body', notes: 'Building upper body strength', tags: ['Bench Press', 'Rows', 'Shoulder Press'] }
-            ]
-        },
-        {
-            id: generateId(),
-            fullName: 'Laila Samir',
-            age: 35,
-            gender: 'Female',
-            email: 'laila.samir@example.com',
-            phone: '+20 17 7788 8999',
-            goal: 'Weight Loss',
-            goalText: '',
-            startDate: '2025-06-01',
-            createdAt: new Date().toISOString(),
-            exerciseHistory: [
-                { id: generateId(), date: '2025-07-12', title: 'HIIT Exercise', notes: 'Fat burning HIIT', tags: ['Burpees', 'Jump Rope', 'Mountain Climbers'] },
-                { id: generateId(), date: '2025-06-25', title: 'Initial Assessment – 30 min Cardio', notes: 'Starting cardio routine', tags: ['Treadmill', 'Cycling'] },
-                { id: generateId(), date: '2025-06-15', title: 'Strength Training – Upper Body', notes: 'Light upper body work', tags: ['Bench Press', 'Rows', 'Shoulder Press'] }
-            ]
-        }
-    ];
-    
-    saveClients(sampleClients);
+function translateValue(value) {
+    return MESSAGES[getLocale()][`value.${value}`] ?? value;
 }
 
-// ============================================
-// URL Parameter Helpers
-// ============================================
+/**
+ * Translate the static text of a page
+ * Elements name their message with data-i18n (text content) or
+ * data-i18n-placeholder / -title / -aria-label (attributes). Stored values
+ * shown as text (e.g. select options) use data-i18n-value="Weight Loss".
+ * @param {ParentNode} root - Where to look (defaults to the whole page)
+ */
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-value]').forEach(el => {
+        el.textContent = translateValue(el.dataset.i18nValue);
+    });
+    ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+            el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
 
 /**
- * Get URL parameter by name
- * @param {string} name - Parameter name
- * @returns {string|null} Parameter value or null
+ * Show the page in the current language and add the language switcher
+ * Sets lang and dir on <html>, so Arabic gets the right-to-left layout.
+ * Call first thing in a page script, after initOfflineSupport.
  */
-function getUrlParam(name) {
-    const params = new URLSearchParams(window.location.search);
-    return params.get(name);
+function initLocalization() {
+    const locale = getLocale();
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALES[locale].dir;
+    translatePage();
+    
+    const switcher = document.createElement('select');
+    switcher.className = 'language-switcher';
+    switcher.setAttribute('aria-label', t('language.label'));
+    switcher.innerHTML = Object.entries(LOCALES).map(([code, { name }]) => `
+        <option value="${code}" lang="${code}" ${code === locale ? 'selected' : ''}>${name}</option>
+    `).join('');
+    switcher.addEventListener('change', () => {
+        setLocale(switcher.value);
+        window.location.reload();
+    });
+    document.querySelector('.header-inner')?.appendChild(switcher);
 }
 
 /**
- * Set URL parameter
- * @param {string} name - Parameter name
- * @param {string} value - Parameter value
+ * Format a number for the current language
+ * @param {number} value - Number
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {string} e.g. "1,250" or "١٬٢٥٠"
  */
-function setUrlParam(name, value) {
-    const params = new URLSearchParams(window.location.search);
-    params.set(name, value);
-    window.history.replaceState({}, '', `${window.location.pathname}?${params}`);
+function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(getIntlLocale(), options).format(value);
 }
 
 // ============================================
@@ -667,15 +9822,114 @@ function setUrlParam(name, value) {
  * @returns {string} Formatted date
  */
 function formatDate(dateStr) {
-    if (!dateStr) return 'N/A';
+    if (!dateStr) return t('common.notAvailable');
     const date = new Date(dateStr);
-    return date.toLocaleDateString('en-US', {
+    return date.toLocaleDateString(getIntlLocale(), {
         year: 'numeric',
         month: 'long',
         day: 'numeric'
     });
 }
 
+/**
+ * Format date as a short label (e.g. "Sep 12")
+ * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @returns {string} Short date
+ */
+function formatShortDate(dateStr) {
+    return parseDateOnly(dateStr).toLocaleDateString(getIntlLocale(), {
+        month: 'short',
+        day: 'numeric'
+    });
+}
+
+/**
+ * Name of a day of the week
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday), as Date#getDay
+ * @param {string} style - 'long' ("Monday") or 'short' ("Mon")
+ * @returns {string} Day name in the current language
+ */
+function formatWeekday(weekday, style = 'long') {
+    // 2023-01-01 was a Sunday
+    return new Date(2023, 0, 1 + weekday).toLocaleDateString(getIntlLocale(), { weekday: style });
+}
+
+/**
+ * Join items into a list for the current language
+ * @param {Array<string>} items - Items
+ * @param {string} type - 'conjunction' ("a, b and c") or 'disjunction' ("a, b or c")
+ * @returns {string} e.g. "Admin or Front Desk"
+ */
+function formatList(items, type = 'conjunction') {
+    return new Intl.ListFormat(getIntlLocale(), { type }).format(items);
+}
+
+/**
+ * Parse a YYYY-MM-DD string as a local date
+ * new Date('YYYY-MM-DD') is UTC midnight, which can land on the
+ * previous day in timezones west of UTC.
+ * @param {string} dateStr - Date string
+ * @returns {Date} Local date at midnight
+ */
+function parseDateOnly(dateStr) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr || '');
+    return match ? new Date(+match[1], match[2] - 1, +match[3]) : new Date(dateStr);
+}
+
+/**
+ * Format a Date as YYYY-MM-DD in local time
+ * (formatDateForInput goes through UTC, which can shift the day)
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+function formatDateOnly(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateStr - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(dateStr, days) {
+    const date = parseDateOnly(dateStr);
+    return formatDateOnly(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+}
+
+/**
+ * Add calendar months to a YYYY-MM-DD date
+ * The day is clamped to the end of shorter months (Jan 31 + 1 month = Feb 28).
+ * @param {string} dateStr - Date
+ * @param {number} months - Months to add
+ * @returns {string} YYYY-MM-DD
+ */
+function addMonths(dateStr, months) {
+    const date = parseDateOnly(dateStr);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+    return formatDateOnly(new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay)));
+}
+
+/**
+ * Whole days from one date to another
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate - YYYY-MM-DD
+ * @returns {number} Days (negative if toDate is earlier)
+ */
+function getDaysBetween(fromDate, toDate) {
+    return Math.round((parseDateOnly(toDate) - parseDateOnly(fromDate)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Format an amount in CURRENCY
+ * @param {number} amount - Amount
+ * @returns {string} e.g. "EGP 1,650.00"
+ */
+function formatCurrency(amount) {
+    return formatNumber(amount || 0, { style: 'currency', currency: CURRENCY });
+}
+
 /**
  * Format date for input field
  * @param {string} dateStr - Date string
@@ -687,18 +9941,17 @@ function formatDateForInput(dateStr) {
     return date.toISOString().split('T')[0];
 }
 
-// Initialize sample data on load
-document.addEventListener('DOMContentLoaded', function() {
-    // Force reset sample data to include exercise history entries
-    // Remove this condition after first load if you want to preserve user data
-    const clients = getClients();
-    const hasExerciseHistory = clients.length > 0 && clients[0].exerciseHistory && clients[0].exerciseHistory.length > 0;
-    
-    if (!hasExerciseHistory) {
-        // Clear old data and reload with new sample data that includes exercise history
-        localStorage.removeItem(STORAGE_KEY);
-    }
-    
-    initializeSampleData();
-});
-
+/**
+ * Escape text for use in HTML or SVG markup, including attribute values
+ * @param {*} str - Text (null and undefined give '')
+ * @returns {string} Escaped string
+ */
+function escapeHtml(str) {
+    if (str === null || str === undefined) return '';
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
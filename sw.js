@@ -0,0 +1,100 @@
+/**
+ * FitCRM - Service Worker
+ * Precaches the app shell so every page opens without a connection, and
+ * answers Wger API requests stale-while-revalidate so exercise suggestions
+ * keep working on poor Wi-Fi.
+ *
+ * Both caches serve the stored copy first and refresh it in the background,
+ * so a deploy shows up on the second page load. Bump CACHE_VERSION when
+ * SHELL_FILES changes.
+ */
+'use strict';
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `fitcrm-shell-${CACHE_VERSION}`;
+const WGER_CACHE = `fitcrm-wger-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'client-form.html',
+    'clients.html',
+    'client-view.html',
+    'library.html',
+    'programs.html',
+    'calendar.html',
+    'payments.html',
+    'invoice.html',
+    'trainers.html',
+    'settings.html',
+    'login.html',
+    'styles.css',
+    'app.js',
+    'manifest.webmanifest',
+    'icons/icon.svg'
+];
+
+const WGER_ORIGIN = 'https://wger.de';
+const WGER_API_PATH = '/api/';
+
+// Paths of the shell files, resolved against the worker's scope
+const shellPaths = new Set(SHELL_FILES.map(file => new URL(file, self.registration.scope).pathname));
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    // Drop caches left by older versions of this worker
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('fitcrm-') && key !== SHELL_CACHE && key !== WGER_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin && shellPaths.has(url.pathname)) {
+        // Pages are opened with query strings (client-view.html?id=...); cache them by path
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, url.origin + url.pathname));
+    } else if (url.origin === WGER_ORIGIN && url.pathname.startsWith(WGER_API_PATH)) {
+        event.respondWith(staleWhileRevalidate(event, WGER_CACHE, request));
+    }
+    // Anything else (sync server, exercise images) goes to the network as usual
+});
+
+/**
+ * Answer from the cache when possible and refresh the cached copy in the background
+ * Falls through to the network when nothing is cached yet.
+ * @param {FetchEvent} event - The fetch being handled
+ * @param {string} cacheName - Cache to read and update
+ * @param {Request|string} key - Cache key for the response
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function staleWhileRevalidate(event, cacheName, key) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key);
+    const network = fetch(event.request).then(response => {
+        if (response.ok) {
+            event.waitUntil(cache.put(key, response.clone()));
+        }
+        return response;
+    });
+    
+    if (cached) {
+        // Offline or not, the stored copy is good enough for now
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
@@ -0,0 +1,213 @@
+/**
+ * FitCRM - Mock Sync Server
+ * In-memory implementation of the sync API used by app.js (see
+ * "Server Sync" in the README), for trying sync out locally.
+ * Data is lost when the server stops. No dependencies.
+ *
+ * Usage: node tools/mock-sync-server.js [port]   (default 8787)
+ */
+'use strict';
+
+const http = require('http');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Client ID -> { id, client, version, schemaVersion, seq }; client is null once purged
+const records = new Map();
+// Bumped on every change; the pull cursor handed to clients
+let seq = 0;
+// Setting key (e.g. customFields) -> { value, version }
+const settings = new Map();
+let settingsVersion = 0;
+
+/**
+ * Version of a client record, as compared by app.js (getRecordVersion)
+ * @param {Object|null} client - Client record
+ * @returns {string|null} updatedAt or createdAt, or null for no client
+ */
+function getVersion(client) {
+    return client ? (client.updatedAt || client.createdAt || '') : null;
+}
+
+/**
+ * Change as sent to clients
+ * @param {Object} record - Stored record
+ * @returns {Object} { id, client, version, schemaVersion }
+ */
+function toChange({ id, client, version, schemaVersion }) {
+    return { id, client, version, schemaVersion };
+}
+
+/**
+ * Store a new version of a client (null: purged)
+ * @param {string} id - Client ID
+ * @param {Object|null} client - Client record
+ * @param {number} schemaVersion - Schema the record was written with
+ */
+function store(id, client, schemaVersion) {
+    records.set(id, { id, client, version: getVersion(client), schemaVersion, seq: ++seq });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} data - Body
+ */
+function send(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+    });
+}
+
+/**
+ * Route one request
+ * GET    /clients?since=<cursor>  -> { cursor, changes }
+ * PUT    /clients/:id             { client, baseVersion, schemaVersion } -> { version } | 409 { change }
+ * DELETE /clients/:id?baseVersion= -> {} | 404 | 409 { change }
+ * GET    /settings/:key           -> { value, version } | 404
+ * PUT    /settings/:key           { value, baseVersion } -> { version } | 409 { value, version }
+ * A write is refused with 409 when baseVersion is not the version stored
+ * here, i.e. someone else changed the client (or setting) first.
+ */
+async function handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const [, collection, rawId] = url.pathname.split('/');
+    const id = rawId && decodeURIComponent(rawId);
+    
+    if (collection === 'settings' && id) {
+        await handleSetting(req, res, id);
+        return;
+    }
+    if (collection !== 'clients') {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+    
+    if (req.method === 'GET' && !id) {
+        const since = Number(url.searchParams.get('since') || 0);
+        const changes = [...records.values()]
+            .filter(record => record.seq > since)
+            .sort((a, b) => a.seq - b.seq)
+            .map(toChange);
+        send(res, 200, { cursor: String(seq), changes });
+        return;
+    }
+    
+    const existing = records.get(id);
+    const currentVersion = existing ? existing.version : null;
+    
+    if (req.method === 'PUT' && id) {
+        const { client, baseVersion = null, schemaVersion } = await readBody(req);
+        if (!client || client.id !== id) {
+            send(res, 400, { error: 'Body must contain the client with a matching id' });
+            return;
+        }
+        const version = getVersion(client);
+        // Resending a version that is already stored is fine (e.g. a lost response)
+        if (currentVersion !== baseVersion && currentVersion !== version) {
+            send(res, 409, { error: 'Changed on the server since', change: toChange(existing) });
+            return;
+        }
+        if (currentVersion !== version) store(id, client, schemaVersion);
+        send(res, 200, { version });
+        return;
+    }
+    
+    if (req.method === 'DELETE' && id) {
+        if (currentVersion === null) {
+            send(res, 404, { error: 'Not found' });
+            return;
+        }
+        if (currentVersion !== url.searchParams.get('baseVersion')) {
+            send(res, 409, { error: 'Changed on the server since', change: toChange(existing) });
+            return;
+        }
+        store(id, null, existing.schemaVersion);
+        send(res, 200, {});
+        return;
+    }
+    
+    send(res, 405, { error: 'Method not allowed' });
+}
+
+/**
+ * Route a request for one setting (a whole document, versioned by the server)
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} key - Setting key
+ */
+async function handleSetting(req, res, key) {
+    const existing = settings.get(key) || null;
+    
+    if (req.method === 'GET') {
+        if (existing) {
+            send(res, 200, existing);
+        } else {
+            send(res, 404, { error: 'Not found' });
+        }
+        return;
+    }
+    
+    if (req.method === 'PUT') {
+        const { value, baseVersion = null } = await readBody(req);
+        if ((existing ? existing.version : null) !== baseVersion) {
+            send(res, 409, { error: 'Changed on the server since', ...existing });
+            return;
+        }
+        const version = String(++settingsVersion);
+        settings.set(key, { value, version });
+        send(res, 200, { version });
+        return;
+    }
+    
+    send(res, 405, { error: 'Method not allowed' });
+}
+
+const server = http.createServer(async (req, res) => {
+    // Pages are usually opened from another origin (or file://)
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    
+    try {
+        await handle(req, res);
+    } catch (error) {
+        send(res, 400, { error: error.message });
+    }
+    console.log(`${req.method} ${req.url} -> ${res.statusCode}`);
+});
+
+server.listen(PORT, () => {
+    console.log(`FitCRM mock sync server on http://localhost:${PORT}`);
+});